@@ -1,3 +1,4 @@
-import { main } from './src/main.js';
+#!/usr/bin/env node
+import { run } from './src/cli.js';
 
-main();
\ No newline at end of file
+process.exitCode = await run(process.argv.slice(2));
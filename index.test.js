@@ -1,14 +1,16 @@
 import { describe, it, expect, vi } from 'vitest';
-import * as mainModule from './src/main.js'; // Import main as a module
+import * as cliModule from './src/cli.js'; // Import the CLI as a module
 
 describe('index.js', () => {
-  it('should call main() when executed', async () => {
-    const mainSpy = vi.spyOn(mainModule, 'main').mockResolvedValueOnce();
+  it('should run the CLI with the process arguments and set the exit code', async () => {
+    const runSpy = vi.spyOn(cliModule, 'run').mockResolvedValueOnce(0);
 
     // Dynamically import index.js to trigger its execution
     // This ensures the top-level code in index.js runs
     await import('./index.js');
 
-    expect(mainSpy).toHaveBeenCalledTimes(1);
+    expect(runSpy).toHaveBeenCalledTimes(1);
+    expect(runSpy).toHaveBeenCalledWith(process.argv.slice(2));
+    expect(process.exitCode).toBe(0);
   });
 });
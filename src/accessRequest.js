@@ -0,0 +1,102 @@
+import path from 'node:path';
+import { parseXmlFiles, validateQueries } from './validators/psFolders.js';
+
+export const accessRequestModes = ['off', 'check', 'write'];
+
+// Access level given to fields that plugin.xml does not already list.
+export const defaultAccess = 'ViewOnly';
+
+const keyOf = ({ table, field }) => `${table}.${field}`.toUpperCase();
+
+/**
+ * Collects every TABLE.FIELD used by the named queries in queries_root.
+ * Both <column column="TABLE.FIELD"> declarations and <arg column="TABLE.FIELD"> attributes count.
+ * @param {string} powerSchoolSourceDir - The directory holding the PowerSchool folders.
+ * @returns {Promise<{table: string, field: string}[]>} The fields, upper-cased, de-duplicated and sorted.
+ */
+export async function collectQueryFields(powerSchoolSourceDir) {
+  // Problems are reported by the source folder validation; here they are only skipped.
+  const ignored = [];
+  const docs = await parseXmlFiles(path.join(powerSchoolSourceDir, 'queries_root'), powerSchoolSourceDir, ignored);
+  const { references } = validateQueries(docs, ignored);
+
+  const fields = new Map();
+  for (const { table, field } of references) {
+    const entry = { table: table.toUpperCase(), field: field.toUpperCase() };
+    fields.set(keyOf(entry), entry);
+  }
+  return [...fields.values()].sort((a, b) => keyOf(a).localeCompare(keyOf(b)));
+}
+
+/**
+ * Reads the access_request entries of a parsed plugin.xml.
+ * @param {object} psXML - The parsed plugin.xml object.
+ * @returns {{table: string, field: string, access: string}[]} The entries listed.
+ */
+export function readAccessRequest(psXML) {
+  return (psXML.plugin.access_request ?? [])
+    .flatMap(accessRequest => (typeof accessRequest === 'object' && accessRequest.field) || [])
+    .map(({ $ = {} }) => ({ table: $.table, field: $.field, access: $.access }));
+}
+
+/**
+ * Compares the access_request of a parsed plugin.xml with the fields used by the named queries.
+ * @param {object} psXML - The parsed plugin.xml object.
+ * @param {{table: string, field: string}[]} fields - The fields used by the queries.
+ * @returns {{missing: object[], unused: object[]}} Fields the queries use but plugin.xml does not list, and the reverse.
+ */
+export function diffAccessRequest(psXML, fields) {
+  const listed = readAccessRequest(psXML);
+  const listedKeys = new Set(listed.map(keyOf));
+  const usedKeys = new Set(fields.map(keyOf));
+  return {
+    missing: fields.filter(entry => !listedKeys.has(keyOf(entry))),
+    unused: listed.filter(entry => !usedKeys.has(keyOf(entry))),
+  };
+}
+
+/**
+ * Replaces the access_request of a parsed plugin.xml with one entry per field, keeping the
+ * access level of entries that were already listed. The block goes right after <publisher>.
+ * @param {object} psXML - The parsed plugin.xml object (modified in place).
+ * @param {{table: string, field: string}[]} fields - The fields used by the queries.
+ * @returns {object} The same psXML object.
+ */
+export function applyAccessRequest(psXML, fields) {
+  const existingAccess = new Map(readAccessRequest(psXML).map(entry => [keyOf(entry), entry.access]));
+  const rest = { ...psXML.plugin };
+  delete rest.access_request;
+
+  if (fields.length === 0) {
+    psXML.plugin = rest;
+    return psXML;
+  }
+
+  const accessRequest = [{
+    field: fields.map(entry => ({
+      $: { table: entry.table, field: entry.field, access: existingAccess.get(keyOf(entry)) ?? defaultAccess },
+    })),
+  }];
+
+  // Rebuild the object so xml2js writes the elements in the expected order.
+  const plugin = {};
+  for (const [key, value] of Object.entries(rest)) {
+    plugin[key] = value;
+    if (key === 'publisher') plugin.access_request = accessRequest;
+  }
+  if (!plugin.access_request) plugin.access_request = accessRequest;
+  psXML.plugin = plugin;
+  return psXML;
+}
+
+/**
+ * Formats an access_request diff as a list of human-readable lines.
+ * @param {{missing: object[], unused: object[]}} diff - The result of diffAccessRequest.
+ * @returns {string[]} One line per differing entry.
+ */
+export function formatAccessRequestDiff({ missing, unused }) {
+  return [
+    ...missing.map(entry => `missing: ${entry.table}.${entry.field} is used by a named query but not listed in access_request`),
+    ...unused.map(entry => `unused: ${entry.table}.${entry.field} is listed in access_request but no named query uses it`),
+  ];
+}
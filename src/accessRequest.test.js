@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import * as fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import xml2js from 'xml2js';
+import { applyAccessRequest, collectQueryFields, diffAccessRequest, formatAccessRequestDiff } from './accessRequest.js';
+
+const fsPromises = fs.promises;
+
+const pluginXml = `
+<plugin name="Test" version="1">
+  <publisher name="Tester"><contact email="t@example.com"/></publisher>
+  <access_request>
+    <field table="STUDENTS" field="DCID" access="FullAccess"/>
+    <field table="STUDENTS" field="GRADE_LEVEL" access="ViewOnly"/>
+  </access_request>
+  <links><link display-text="Home" path="/home.html"/></links>
+</plugin>`;
+
+const fields = [
+  { table: 'STUDENTS', field: 'DCID' },
+  { table: 'U_EXAMPLE', field: 'NOTE' },
+];
+
+describe('collectQueryFields', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'ps-package-access-'));
+    await fsPromises.mkdir(path.join(root, 'queries_root'));
+    await fsPromises.writeFile(path.join(root, 'queries_root', 'a.named_queries.xml'), `
+      <queries>
+        <query name="net.tesd.example.notes">
+          <args><arg name="dcid" type="primitive" column="students.dcid"/></args>
+          <columns>
+            <column column="U_EXAMPLE.NOTE">note</column>
+            <column column="STUDENTS.DCID">dcid</column>
+          </columns>
+          <sql>SELECT 1 FROM dual</sql>
+        </query>
+      </queries>`);
+  });
+
+  afterEach(async () => {
+    await fsPromises.rm(root, { recursive: true, force: true });
+  });
+
+  it('should collect the de-duplicated columns and args of every query', async () => {
+    await expect(collectQueryFields(root)).resolves.toEqual(fields);
+  });
+
+  it('should return nothing when there is no queries_root', async () => {
+    await fsPromises.rm(path.join(root, 'queries_root'), { recursive: true });
+    await expect(collectQueryFields(root)).resolves.toEqual([]);
+  });
+});
+
+describe('diffAccessRequest', () => {
+  it('should report missing and unused entries', async () => {
+    const psXML = await xml2js.parseStringPromise(pluginXml);
+    const diff = diffAccessRequest(psXML, fields);
+
+    expect(formatAccessRequestDiff(diff)).toEqual([
+      'missing: U_EXAMPLE.NOTE is used by a named query but not listed in access_request',
+      'unused: STUDENTS.GRADE_LEVEL is listed in access_request but no named query uses it',
+    ]);
+  });
+});
+
+describe('applyAccessRequest', () => {
+  it('should replace the entries after <publisher>, keeping existing access levels', async () => {
+    const psXML = await xml2js.parseStringPromise(pluginXml);
+    applyAccessRequest(psXML, fields);
+
+    expect(Object.keys(psXML.plugin)).toEqual(['$', 'publisher', 'access_request', 'links']);
+    expect(psXML.plugin.access_request[0].field.map(field => field.$)).toEqual([
+      { table: 'STUDENTS', field: 'DCID', access: 'FullAccess' },
+      { table: 'U_EXAMPLE', field: 'NOTE', access: 'ViewOnly' },
+    ]);
+    expect(diffAccessRequest(psXML, fields)).toEqual({ missing: [], unused: [] });
+  });
+
+  it('should add a block to a plugin.xml that has none and remove it when there are no fields', async () => {
+    const psXML = await xml2js.parseStringPromise('<plugin name="Test" version="1"><publisher name="Tester"/><oauth/></plugin>');
+
+    applyAccessRequest(psXML, fields);
+    expect(Object.keys(psXML.plugin)).toEqual(['$', 'publisher', 'access_request', 'oauth']);
+
+    applyAccessRequest(psXML, []);
+    expect(Object.keys(psXML.plugin)).toEqual(['$', 'publisher', 'oauth']);
+  });
+});
@@ -0,0 +1,221 @@
+import * as fs from 'node:fs';
+import path from 'node:path';
+import { publishedPathOf } from './transaction.js';
+import { isWithin, walkFiles } from './utils/fileOps.js';
+import logger from './utils/logger.js';
+
+const fsPromises = fs.promises;
+
+// Copied files whose asset URLs are rewritten to where the plugin serves them.
+const rewritableExtensions = ['.html', '.js', '.mjs', '.css'];
+
+// Where Vite writes its manifest with build.manifest: true (Vite 5+, then older versions).
+const viteManifestPaths = ['.vite/manifest.json', 'manifest.json'];
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Front-end build adapters, keyed by project type.
+ * - outputDir: where the framework writes its build, relative to the project root (null when there is no front-end build).
+ * - servedFrom: the folder inside WEB_ROOT the build is copied to; {slug} is the plugin's folder name.
+ * - baseUrl: the URL prefix the framework gives its asset paths by default, rewritten to the folder they are served from.
+ */
+export const adapters = {
+  vue: { description: 'Vue/Vite', outputDir: 'dist', servedFrom: 'scripts/{slug}', baseUrl: '/' },
+  svelte: { description: 'Svelte', outputDir: 'public/build', servedFrom: '{slug}', baseUrl: '/build/' },
+  sveltekit: { description: 'SvelteKit', outputDir: 'build', servedFrom: 'scripts/{slug}', baseUrl: '/' },
+  html: { description: 'HTML', outputDir: null },
+};
+
+/**
+ * Returns the directory holding the front-end build output of a project.
+ * @param {object} config - The resolved configuration.
+ * @returns {string|null} The directory, or null if the project type has no front-end build.
+ */
+export function frontendDirOf(config) {
+  if (config.frontendDir) return config.frontendDir;
+  const { outputDir } = adapters[config.projectType];
+  return outputDir ? path.join(config.projectRoot, outputDir) : null;
+}
+
+/**
+ * Returns where a project's front-end build ends up in WEB_ROOT, so its pages count as part of the plugin.
+ * @param {object} config - The resolved configuration.
+ * @param {string} pluginFolder - The plugin's folder name, from plugin.xml.
+ * @returns {{dir: string, url: string}|null} The build output directory and the URL folder it is served from,
+ *   or null if the project type has no front-end build.
+ */
+export function frontendWebRootOf(config, pluginFolder) {
+  const dir = frontendDirOf(config);
+  if (!dir) return null;
+  return { dir, url: `/${adapters[config.projectType].servedFrom.replace('{slug}', pluginFolder)}/` };
+}
+
+/**
+ * Reads the Vite manifest of a build output directory, if there is one.
+ * @param {string} dir - The build output directory.
+ * @returns {Promise<object|null>} The parsed manifest, or null if the build has none.
+ * @throws {Error} If the manifest exists but cannot be parsed or has an unexpected shape.
+ */
+export async function readViteManifest(dir) {
+  for (const relativePath of viteManifestPaths) {
+    const manifestPath = path.join(dir, relativePath);
+    let text;
+    try {
+      text = await fsPromises.readFile(manifestPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+    let manifest;
+    try {
+      manifest = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Could not read the Vite manifest ${manifestPath}: ${error.message}`);
+    }
+    const chunks = typeof manifest === 'object' && manifest !== null ? Object.values(manifest) : [];
+    if (chunks.length === 0 || !chunks.every(chunk => typeof chunk?.file === 'string')) {
+      throw new Error(`Could not read the Vite manifest ${manifestPath}: expected an object of chunks with a "file" each`);
+    }
+    return manifest;
+  }
+  return null;
+}
+
+/**
+ * Lists the files a Vite manifest references: every chunk with its CSS and assets, plus the
+ * built HTML entry points.
+ * @param {object} manifest - The parsed Vite manifest.
+ * @param {string} dir - The build output directory.
+ * @returns {Promise<string[]>} The files, as sorted forward-slash paths relative to the directory.
+ * @throws {Error} If a referenced file is missing from the build output.
+ */
+export async function manifestFiles(manifest, dir) {
+  const files = new Set();
+  for (const [key, chunk] of Object.entries(manifest)) {
+    files.add(chunk.file);
+    (chunk.css ?? []).forEach(file => files.add(file));
+    (chunk.assets ?? []).forEach(file => files.add(file));
+    if (chunk.isEntry && key.endsWith('.html')) files.add(key);
+  }
+
+  const missing = [];
+  for (const file of files) {
+    try {
+      await fsPromises.access(path.join(dir, file));
+    } catch {
+      missing.push(file);
+    }
+  }
+  if (missing.length > 0) {
+    throw new Error(`The Vite manifest references files missing from ${dir}:\n  ${missing.join('\n  ')}`);
+  }
+  return [...files].sort();
+}
+
+/**
+ * Points absolute asset URLs at the folder the plugin serves its front end from, e.g.
+ * "/assets/app.js" becomes "/scripts/my_plugin/assets/app.js". Only URLs that start with one of
+ * the copied top-level files or folders are changed, so links to PowerSchool's own pages are left alone.
+ * @param {string} text - The file contents.
+ * @param {object} params - The rewrite.
+ * @param {string} params.from - The URL prefix used by the build, e.g. "/".
+ * @param {string} params.to - The URL prefix the files are served from, e.g. "/scripts/my_plugin/".
+ * @param {string[]} params.names - The top-level files and folders of the build.
+ * @returns {string} The rewritten contents.
+ */
+export function rewriteAssetUrls(text, { from, to, names }) {
+  if (from === to || names.length === 0) return text;
+  const alternatives = names.map(escapeRegExp).join('|');
+  const pattern = new RegExp(`(^|["'\`(=,\\s])${escapeRegExp(from)}(${alternatives})(?=[/"'\`)?#,\\s]|$)`, 'g');
+  return text.replace(pattern, (match, before, name) => `${before}${to}${name}`);
+}
+
+/**
+ * Copies a project's front-end build into WEB_ROOT with the adapter for its project type.
+ * When the build has a Vite manifest, only the files it references are copied. Asset URLs in
+ * copied HTML, JavaScript and CSS are rewritten to the folder they are served from. A missing
+ * build output is skipped with a warning, or quietly when it is the build directory, which the first
+ * build creates; any other problem fails the build.
+ * @param {object} ctx - The build context.
+ * @param {string} pluginFolder - The plugin's folder name, from plugin.xml.
+ * @returns {Promise<string[]>} The files written to the build directory.
+ * @throws {Error} If the build output cannot be read or copied.
+ */
+export async function copyFrontendBuild(ctx, pluginFolder) {
+  const { config, ops } = ctx;
+  const adapter = adapters[config.projectType];
+  const sourceDir = frontendDirOf(config);
+  if (!sourceDir) return [];
+  const relative = filePath => path.relative(config.projectRoot, filePath);
+
+  // Vite's default outDir is the build directory itself: the output at its root is moved into WEB_ROOT
+  // like any other build. Builds written into a folder of the build directory (the long-standing setup)
+  // are used in place; a staged build starts from a copy of that directory.
+  const buildDir = publishedPathOf(config, config.buildDir);
+  const atBuildRoot = sourceDir === buildDir;
+  if (!atBuildRoot && (isWithin(sourceDir, buildDir) || isWithin(buildDir, sourceDir))) {
+    logger.info(`${adapter.description} build output is in ${relative(sourceDir)} already, nothing to copy.`);
+    return [];
+  }
+  try {
+    await fsPromises.access(sourceDir);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    // The build directory itself only exists after the first build, so there is nothing amiss yet.
+    if (atBuildRoot) {
+      logger.info(`No ${adapter.description} build output in ${relative(sourceDir)} yet, skipping copy step.`);
+      return [];
+    }
+    logger.warn(`${adapter.description} build output not found in ${relative(sourceDir)}, skipping copy step.`);
+    return [];
+  }
+
+  try {
+    const servedFrom = adapter.servedFrom.replace('{slug}', pluginFolder);
+    const targetDir = path.join(config.buildDir, 'WEB_ROOT', ...servedFrom.split('/'));
+    // At the root of the build directory, everything but plugin.xml and the PowerSchool folders is the front-end build.
+    const pluginEntries = new Set(['plugin.xml', ...config.psFolders]);
+    const isBuildOutput = file => !atBuildRoot || !pluginEntries.has(file.split('/')[0]);
+    const manifest = await readViteManifest(sourceDir);
+    const files = manifest
+      ? await manifestFiles(manifest, sourceDir)
+      : (await walkFiles(sourceDir)).map(file => path.relative(sourceDir, file.path).split(path.sep).join('/')).filter(isBuildOutput).sort();
+    if (atBuildRoot && files.length === 0) {
+      logger.info(`No ${adapter.description} build output at the root of ${relative(sourceDir)}, keeping the copy in ${relative(targetDir)}.`);
+      return [];
+    }
+    const rewrite = { from: adapter.baseUrl, to: `/${servedFrom}/`, names: [...new Set(files.map(file => file.split('/')[0]))] };
+
+    // The build directory cannot be copied into a folder of itself, so those builds are copied file by file too.
+    const copyEach = manifest || atBuildRoot;
+    if (!copyEach) await ops.cp(sourceDir, targetDir, { recursive: true });
+    let rewritten = 0;
+    for (const file of files) {
+      const source = path.join(sourceDir, ...file.split('/'));
+      const destination = path.join(targetDir, ...file.split('/'));
+      if (copyEach) await ops.mkdir(path.dirname(destination), { recursive: true });
+
+      if (rewritableExtensions.includes(path.extname(file).toLowerCase())) {
+        const text = await fsPromises.readFile(source, 'utf8');
+        const updated = rewriteAssetUrls(text, rewrite);
+        if (updated !== text) {
+          await ops.writeFile(destination, updated);
+          rewritten++;
+          continue;
+        }
+      }
+      if (copyEach) await ops.cp(source, destination);
+    }
+    if (atBuildRoot) {
+      for (const name of await fsPromises.readdir(config.buildDir)) {
+        if (!pluginEntries.has(name)) await ops.rm(path.join(config.buildDir, name), { recursive: true, force: true });
+      }
+    }
+
+    logger.info(`Copied ${files.length} ${adapter.description} build files${manifest ? ' listed in the Vite manifest' : ''} to ${relative(targetDir)} (asset URLs rewritten in ${rewritten})`);
+    return files.map(file => path.join(targetDir, ...file.split('/')));
+  } catch (error) {
+    throw new Error(`${adapter.description} adapter failed: ${error.message}`);
+  }
+}
@@ -0,0 +1,183 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { copyFrontendBuild, frontendDirOf, rewriteAssetUrls } from './adapters.js';
+import { resolveConfig } from './config.js';
+import { copyFrontendBuildContents, createContext, validateProject } from './main.js';
+
+const fsPromises = fs.promises;
+
+describe('rewriteAssetUrls', () => {
+  const rewrite = { from: '/', to: '/scripts/test_plugin/', names: ['assets', 'index.html'] };
+
+  it('should prefix URLs of copied files and folders', () => {
+    const html = '<script type="module" src="/assets/index-abc.js"></script><link href=\'/assets/index.css\'>';
+    expect(rewriteAssetUrls(html, rewrite)).toBe('<script type="module" src="/scripts/test_plugin/assets/index-abc.js"></script><link href=\'/scripts/test_plugin/assets/index.css\'>');
+    expect(rewriteAssetUrls('url(/assets/font.woff2) import("/assets/chunk.js")', rewrite)).toBe('url(/scripts/test_plugin/assets/font.woff2) import("/scripts/test_plugin/assets/chunk.js")');
+  });
+
+  it('should leave other URLs and already rewritten ones alone', () => {
+    const text = 'href="/admin/home.html" src="/assetsExtra/a.js" src="/scripts/test_plugin/assets/a.js" src="https://cdn.example.com/assets/a.js"';
+    expect(rewriteAssetUrls(text, rewrite)).toBe(text);
+  });
+
+  it('should handle a build that uses a URL prefix of its own', () => {
+    expect(rewriteAssetUrls('src="/build/bundle.js?v=1"', { from: '/build/', to: '/test_plugin/', names: ['bundle.js'] })).toBe('src="/test_plugin/bundle.js?v=1"');
+  });
+});
+
+describe('copyFrontendBuild', () => {
+  let root;
+
+  const write = async (filePath, contents) => {
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+    await fsPromises.writeFile(filePath, contents);
+  };
+  const read = filePath => fsPromises.readFile(filePath, 'utf8');
+  const exists = filePath => fsPromises.access(filePath).then(() => true, () => false);
+  const contextFor = options => createContext(resolveConfig(options, root));
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    root = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'ps-package-adapters-'));
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await fsPromises.rm(root, { recursive: true, force: true });
+  });
+
+  it('should copy only the files in the Vite manifest and rewrite their URLs', async () => {
+    const viteDir = path.join(root, 'vite-dist');
+    await write(path.join(viteDir, '.vite', 'manifest.json'), JSON.stringify({
+      'index.html': { file: 'assets/index-abc.js', isEntry: true, css: ['assets/index-def.css'], assets: ['assets/logo.svg'] },
+    }));
+    await write(path.join(viteDir, 'index.html'), '<script type="module" src="/assets/index-abc.js"></script>');
+    await write(path.join(viteDir, 'assets', 'index-abc.js'), 'import("/assets/logo.svg")');
+    await write(path.join(viteDir, 'assets', 'index-def.css'), 'body{}');
+    await write(path.join(viteDir, 'assets', 'logo.svg'), '<svg/>');
+    await write(path.join(viteDir, 'assets', 'stale-123.js'), 'old');
+    const ctx = contextFor({ frontendDir: 'vite-dist' });
+
+    const files = await copyFrontendBuild(ctx, 'Test_Plugin');
+
+    const target = path.join(ctx.config.buildDir, 'WEB_ROOT', 'scripts', 'Test_Plugin');
+    expect(files).toEqual(['assets/index-abc.js', 'assets/index-def.css', 'assets/logo.svg', 'index.html'].map(file => path.join(target, file)));
+    expect(await read(path.join(target, 'index.html'))).toBe('<script type="module" src="/scripts/Test_Plugin/assets/index-abc.js"></script>');
+    expect(await read(path.join(target, 'assets', 'index-abc.js'))).toBe('import("/scripts/Test_Plugin/assets/logo.svg")');
+    expect(await read(path.join(target, 'assets', 'index-def.css'))).toBe('body{}');
+    expect(await exists(path.join(target, 'assets', 'stale-123.js'))).toBe(false);
+  });
+
+  it('should copy a Svelte build into WEB_ROOT/<plugin>', async () => {
+    await write(path.join(root, 'public', 'build', 'bundle.js'), 'fetch("/build/data.json")');
+    await write(path.join(root, 'public', 'build', 'data.json'), '{}');
+    const ctx = contextFor({ projectType: 'svelte' });
+
+    await copyFrontendBuild(ctx, 'Test_Plugin');
+
+    const target = path.join(ctx.config.buildDir, 'WEB_ROOT', 'Test_Plugin');
+    expect(await read(path.join(target, 'bundle.js'))).toBe('fetch("/Test_Plugin/data.json")');
+    expect(await read(path.join(target, 'data.json'))).toBe('{}');
+  });
+
+  it('should move a Vite build at the root of the build directory into WEB_ROOT with the default vue config', async () => {
+    const ctx = contextFor({});
+    const { buildDir } = ctx.config;
+    expect(frontendDirOf(ctx.config)).toBe(buildDir);
+    await write(path.join(buildDir, '.vite', 'manifest.json'), JSON.stringify({
+      'index.html': { file: 'assets/index-abc.js', isEntry: true },
+    }));
+    await write(path.join(buildDir, 'index.html'), '<script type="module" src="/assets/index-abc.js"></script>');
+    await write(path.join(buildDir, 'assets', 'index-abc.js'), 'start()');
+    await write(path.join(buildDir, 'assets', 'stale-123.js'), 'old');
+    await write(path.join(buildDir, 'plugin.xml'), '<plugin/>');
+    await write(path.join(buildDir, 'WEB_ROOT', 'admin', 'page.html'), 'page');
+
+    const files = await copyFrontendBuild(ctx, 'Test_Plugin');
+
+    const target = path.join(buildDir, 'WEB_ROOT', 'scripts', 'Test_Plugin');
+    expect(files).toEqual([path.join(target, 'assets', 'index-abc.js'), path.join(target, 'index.html')]);
+    expect(await read(path.join(target, 'index.html'))).toBe('<script type="module" src="/scripts/Test_Plugin/assets/index-abc.js"></script>');
+    expect((await fsPromises.readdir(buildDir)).sort()).toEqual(['WEB_ROOT', 'plugin.xml']);
+    expect(await read(path.join(buildDir, 'WEB_ROOT', 'admin', 'page.html'))).toBe('page');
+
+    expect(await copyFrontendBuild(ctx, 'Test_Plugin')).toEqual([]);
+    expect(await read(path.join(target, 'assets', 'index-abc.js'))).toBe('start()');
+  });
+
+  it('should leave builds written into a folder of the build directory in place', async () => {
+    const ctx = contextFor({ frontendDir: 'dist/WEB_ROOT/scripts/app' });
+    expect(await copyFrontendBuild(ctx, 'Test_Plugin')).toEqual([]);
+    expect(frontendDirOf(contextFor({ projectType: 'html' }).config)).toBeNull();
+  });
+
+  it('should remove the junk and excluded files a front-end build brings along', async () => {
+    await write(path.join(root, 'public', 'build', 'bundle.js'), 'start()');
+    await write(path.join(root, 'public', 'build', 'bundle.js.map'), '{}');
+    await write(path.join(root, 'public', 'build', '.DS_Store'), '');
+    const ctx = contextFor({ projectType: 'svelte', exclude: ['**/*.map'] });
+
+    const files = await copyFrontendBuildContents(ctx, { plugin: { $: { name: 'Test Plugin' } } });
+
+    const target = path.join(ctx.config.buildDir, 'WEB_ROOT', 'Test_Plugin');
+    expect(files).toEqual([path.join(target, 'bundle.js')]);
+    expect(await fsPromises.readdir(target)).toEqual(['bundle.js']);
+  });
+
+  it('should skip a missing build output with a warning', async () => {
+    expect(await copyFrontendBuild(contextFor({ projectType: 'sveltekit' }), 'Test_Plugin')).toEqual([]);
+    expect(console.warn).toHaveBeenCalledWith('[WARN]', 'SvelteKit build output not found in build, skipping copy step.');
+  });
+
+  it('should not warn on the first build when the Vite output is the build directory', async () => {
+    expect(await copyFrontendBuild(contextFor({}), 'Test_Plugin')).toEqual([]);
+    expect(console.warn).not.toHaveBeenCalled();
+    expect(console.log).toHaveBeenCalledWith('[INFO]', 'No Vue/Vite build output in dist yet, skipping copy step.');
+  });
+
+  it('should fail when the Vite manifest is unreadable or lists missing files', async () => {
+    const viteDir = path.join(root, 'vite-dist');
+    const ctx = contextFor({ frontendDir: 'vite-dist' });
+
+    await write(path.join(viteDir, '.vite', 'manifest.json'), '{ not json');
+    await expect(copyFrontendBuild(ctx, 'Test_Plugin')).rejects.toThrow(/^Vue\/Vite adapter failed: Could not read the Vite manifest/);
+
+    await write(path.join(viteDir, '.vite', 'manifest.json'), JSON.stringify({ 'main.js': { file: 'assets/main.js', isEntry: true } }));
+    await expect(copyFrontendBuild(ctx, 'Test_Plugin')).rejects.toThrow('references files missing from');
+  });
+});
+
+describe('validateProject with a front-end build', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'ps-package-adapters-'));
+  });
+
+  afterEach(async () => {
+    await fsPromises.rm(root, { recursive: true, force: true });
+  });
+
+  it('should find pages the Vue/Vite build is copied into WEB_ROOT as', async () => {
+    const ctx = createContext(resolveConfig({}, root));
+    const page = pageURL => ({ htmlID: pageURL.replace(/\W/g, ''), title: 'Page', contextType: 'student', pageURL, parentHTMLID: 'nav', sortOrder: 1 });
+    const write = async (filePath, contents) => {
+      await fsPromises.mkdir(path.join(root, path.dirname(filePath)), { recursive: true });
+      await fsPromises.writeFile(path.join(root, filePath), contents);
+    };
+    await write('package.json', JSON.stringify({ name: 'test-plugin', version: '26.06.05' }));
+    await write('plugin.xml', '<plugin name="Test Plugin" version="26.06.05"><publisher name="Tester"><contact email="t@example.com"/></publisher></plugin>');
+    await write('dist/index.html', '<div id="app"></div>');
+    await write('src/powerschool/pagecataloging/pages.json', JSON.stringify({
+      pages: [page('/scripts/Test_Plugin/index.html?frn=~(studentfrn)'), page('/scripts/Test_Plugin/missing.html'), page('/index.html')],
+    }));
+
+    expect(await validateProject(ctx)).toEqual([
+      'pagecataloging/pages.json: pages[2]: pageURL "/scripts/Test_Plugin/missing.html" does not exist in WEB_ROOT',
+      'pagecataloging/pages.json: pages[3]: pageURL "/index.html" does not exist in WEB_ROOT',
+    ]);
+  });
+});
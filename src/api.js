@@ -0,0 +1,59 @@
+import { loadConfig } from './config.js';
+import { createContext, main } from './main.js';
+
+export { defaults, loadConfig, resolveConfig } from './config.js';
+export { hookNames } from './hooks.js';
+export { importArchive, inspectArchive } from './inspect.js';
+export { publishedPathOf } from './transaction.js';
+export {
+  bump,
+  clean,
+  copyFrontendBuildContents,
+  createArchives,
+  createContext,
+  createPluginZip,
+  ensureDirectoriesExist,
+  main,
+  prepareBuildDirectory,
+  pruneArchives,
+  updatePackageVersions,
+  validateProject,
+} from './main.js';
+export { initProject } from './scaffold.js';
+
+/**
+ * Builds a plugin from code, like the build command: bumps the version, merges the folders,
+ * creates the archives and prunes old ones, running the given hooks after any from the
+ * project's config file.
+ * @param {object} [options] - Build options; any other key is a configuration option (see defaults in config.js).
+ * @param {string} [options.projectRoot] - The project directory (defaults to the working directory).
+ * @param {object|object[]} [options.hooks] - Hooks to run, e.g. { afterArchive(ctx, { archives }) {...} }.
+ * @param {boolean} [options.dryRun] - Report what would happen without writing anything.
+ * @param {boolean} [options.bump] - Whether to bump the version (defaults to true).
+ * @param {boolean} [options.prune] - Whether to prune old archives afterwards (defaults to true).
+ * @param {string} [options.version] - An explicit version to build.
+ * @param {string} [options.release] - For semver: 'major', 'minor' or 'patch'.
+ * @param {string} [options.preid] - A pre-release tag, e.g. 'beta'.
+ * @param {boolean} [options.force] - With the git step, release even if the working tree is dirty.
+ * @returns {Promise<{version: string, previousVersion: string, archives: Array<object>, pruned: string[], steps: Array<object>, warnings: Array<object>, ctx: object}>}
+ *   The built version, each archive with its path, manifest and `files`, the pruned archives, the
+ *   steps and warnings of the build report, and the build context.
+ * @throws {Error} If the configuration is invalid or the build fails.
+ */
+export async function createBuild(options = {}) {
+  const { projectRoot = process.cwd(), hooks, dryRun = false, bump, prune, version, release, preid, force, ...overrides } = options;
+  const config = await loadConfig({ projectRoot, overrides });
+  const ctx = createContext(config, { dryRun, hooks });
+  await main(ctx, { bump, prune, version, release, preid, force });
+
+  const { report } = ctx;
+  return {
+    version: report.version.to,
+    previousVersion: report.version.from,
+    archives: report.archives.map(({ entries, ...archive }) => ({ ...archive, files: entries.map(entry => entry.path) })),
+    pruned: [...report.pruned],
+    steps: report.steps,
+    warnings: report.warnings,
+    ctx,
+  };
+}
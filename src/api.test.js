@@ -0,0 +1,113 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createBuild, publishedPathOf } from './api.js';
+import { runGit } from './git.js';
+
+const fsPromises = fs.promises;
+
+const pluginXml = '<plugin name="Hooked Plugin" version="26.06.04" description="Hooks test">'
+  + '<publisher name="Tester"><contact email="t@example.com"/></publisher>'
+  + '</plugin>';
+
+describe('createBuild', () => {
+  let root;
+
+  const write = async (relativePath, contents) => {
+    const filePath = path.join(root, relativePath);
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+    await fsPromises.writeFile(filePath, contents);
+  };
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    root = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'ps-package-api-'));
+    await write('package.json', JSON.stringify({ name: 'hooked-plugin', version: '26.06.04' }));
+    await write('plugin.xml', pluginXml);
+    await write('src/powerschool/WEB_ROOT/admin/hooked/app.js', 'start();');
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    vi.unstubAllEnvs();
+    await fsPromises.rm(root, { recursive: true, force: true });
+  });
+
+  it('should build with the config file and API hooks and return the archives with their files', async () => {
+    await write('ps-package.config.js', [
+      'export default {',
+      '  projectType: \'html\',',
+      '  hooks: { name: \'license\', transformFile: (ctx, { archivePath, contents }) => archivePath.endsWith(\'.js\') ? `/* MIT */ ${contents}` : undefined },',
+      '};',
+    ].join('\n'));
+    const calls = [];
+    const record = name => (ctx, details) => calls.push([name, details.version]);
+
+    const result = await createBuild({
+      projectRoot: root,
+      version: '26.06.05',
+      hooks: {
+        beforeMerge: record('beforeMerge'),
+        afterMerge: (ctx, { files }) => calls.push(['afterMerge', files.map(file => path.relative(root, publishedPathOf(ctx.config, file)))]),
+        beforeArchive: record('beforeArchive'),
+        afterArchive: (ctx, { archives }) => calls.push(['afterArchive', archives.map(archive => archive.name)]),
+      },
+    });
+
+    expect(calls).toEqual([
+      ['beforeMerge', '26.06.05'],
+      ['afterMerge', [path.join('dist', 'plugin.xml'), path.join('dist', 'WEB_ROOT', 'admin', 'hooked', 'app.js'), path.join('schema', 'plugin.xml')]],
+      ['beforeArchive', '26.06.05'],
+      ['afterArchive', ['Hooked_Plugin-26.06.05.zip', 'DATA-Hooked_Plugin-26.06.05.zip']],
+    ]);
+    expect(result.version).toBe('26.06.05');
+    expect(result.previousVersion).toBe('26.06.04');
+    expect(result.archives.map(archive => [archive.path, archive.files])).toEqual([
+      [path.join(root, 'plugin_archive', 'Hooked_Plugin-26.06.05.zip'), expect.arrayContaining(['WEB_ROOT/admin/hooked/app.js', 'plugin.xml'])],
+      [path.join(root, 'plugin_archive', 'DATA-Hooked_Plugin-26.06.05.zip'), ['plugin.xml']],
+    ]);
+    expect(await fsPromises.readFile(path.join(root, 'dist', 'WEB_ROOT', 'admin', 'hooked', 'app.js'), 'utf8')).toBe('/* MIT */ start();');
+  });
+
+  it('should build the same bytes from the same files with deterministic archives', async () => {
+    vi.stubEnv('SOURCE_DATE_EPOCH', '1780000000');
+    for (let i = 0; i < 300; i++) await write(`src/powerschool/WEB_ROOT/admin/hooked/page-${i}.html`, `page ${i}`);
+    const archivePath = path.join(root, 'plugin_archive', 'Hooked_Plugin-26.06.05.zip');
+    const build = () => createBuild({ projectRoot: root, projectType: 'html', deterministicArchives: true, version: '26.06.05' });
+
+    await build();
+    const first = await fsPromises.readFile(archivePath);
+    const appPath = path.join(root, 'src', 'powerschool', 'WEB_ROOT', 'admin', 'hooked', 'app.js');
+    await fsPromises.utimes(appPath, new Date(2001, 0, 1), new Date(2001, 0, 1));
+    await fsPromises.chmod(appPath, 0o755);
+    await build();
+
+    expect((await fsPromises.readFile(archivePath)).equals(first)).toBe(true);
+  });
+
+  it('should name the release tag in the manifests of a git release', async () => {
+    for (const args of [['init', '--quiet'], ['config', 'user.name', 'Tester'], ['config', 'user.email', 'tester@example.com'], ['config', 'commit.gpgsign', 'false'], ['config', 'tag.gpgsign', 'false']]) {
+      await runGit(root, args);
+    }
+    await write('.gitignore', 'dist/\nschema/\nplugin_archive/\n');
+    await runGit(root, ['add', '.']);
+    await runGit(root, ['commit', '--quiet', '-m', 'Initial commit']);
+
+    await createBuild({ projectRoot: root, projectType: 'html', git: true, version: '26.06.05' });
+
+    const manifest = JSON.parse(await fsPromises.readFile(path.join(root, 'plugin_archive', 'Hooked_Plugin-26.06.05.zip.manifest.json'), 'utf8'));
+    expect(manifest.tag).toBe('v26.06.05');
+    expect(await runGit(root, ['log', '-1', '--format=%s', manifest.tag])).toBe('chore(release): 26.06.05');
+  });
+
+  it('should run the onError hooks and reject when the build fails', async () => {
+    await write('plugin.xml', '<plugin name="Hooked Plugin"/>');
+    const onError = vi.fn();
+
+    await expect(createBuild({ projectRoot: root, projectType: 'html', hooks: { onError } })).rejects.toThrow('Invalid plugin.xml');
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ config: expect.any(Object) }), { error: expect.any(Error) });
+  });
+});
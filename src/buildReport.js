@@ -0,0 +1,128 @@
+import path from 'node:path';
+import { publishedPathOf } from './transaction.js';
+import logger, { isJsonMode, observeLogs } from './utils/logger.js';
+
+// Written to the archive directory after every build, and never pruned.
+export const buildReportFileName = 'build-report.json';
+
+const formatDuration = ms => (ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(2)}s`);
+
+/**
+ * Returns the path a file operation touched, as it is once a staged build is published.
+ * @param {object} config - The configuration of the build.
+ * @param {object} action - An action recorded by the file operations (see fileOps.js).
+ * @returns {string} The written, deleted or created path, or the destination of a copy.
+ */
+const pathOf = (config, action) => path.relative(config.projectRoot, publishedPathOf(config, action.path ?? action.to));
+
+/**
+ * Runs one step of a build and records it in the build report: how long it took, the files it
+ * touched and the warnings it logged. In JSON mode the step is also printed as an event. With
+ * `strict`, a step that logged warnings fails the build.
+ * @param {object} ctx - The build context.
+ * @param {string} name - The step name, e.g. 'merge'.
+ * @param {() => Promise<*>} fn - The step.
+ * @returns {Promise<*>} What the step resolves to.
+ * @throws {Error} If the step fails, or logs warnings in strict mode.
+ */
+export async function runStep(ctx, name, fn) {
+  const { config, ops, report } = ctx;
+  const firstAction = ops.actions.length;
+  const warnings = [];
+  const started = Date.now();
+  logger.verbose(`Step ${name}...`);
+
+  const finish = () => {
+    const actions = ops.actions.slice(firstAction);
+    actions.forEach(action => logger.debug(`  ${action.type} ${pathOf(config, action)}`));
+    const step = {
+      step: name,
+      duration: Date.now() - started,
+      files: [...new Set(actions.map(action => pathOf(config, action)))],
+      warnings,
+    };
+    report.steps.push(step);
+    report.warnings.push(...warnings.map(message => ({ step: name, message })));
+    logger.verbose(`Step ${name} finished in ${formatDuration(step.duration)}`);
+    logger.event({ type: 'step', ...step });
+  };
+
+  let result;
+  try {
+    result = await observeLogs((entry) => {
+      if (entry.level === 'WARN') warnings.push(entry.message);
+    }, fn);
+  } finally {
+    finish();
+  }
+  if (config.strict && warnings.length > 0) {
+    throw new Error(`The ${name} step logged warnings (strict mode):\n  ${warnings.join('\n  ')}`);
+  }
+  return result;
+}
+
+/**
+ * Formats the time each build step took.
+ * @param {Array<{step: string, duration: number}>} steps - The steps, in order.
+ * @param {number} duration - The total build time.
+ * @returns {string} The timing summary.
+ */
+export function formatTimings(steps, duration) {
+  const rows = [...steps.map(step => [step.step, formatDuration(step.duration)]), ['total', formatDuration(duration)]];
+  const width = Math.max(...rows.map(([name]) => name.length));
+  return ['Timing:', ...rows.map(([name, time]) => `  ${name.padEnd(width)}  ${time.padStart(7)}`)].join('\n');
+}
+
+/**
+ * Completes the record of a build: logs the timing summary, writes build-report.json to the
+ * archive directory and, in JSON mode, prints a summary event. A report that cannot be written
+ * only logs a warning, so it never hides how the build went.
+ * @param {object} ctx - The build context.
+ * @param {object} details - How the build went.
+ * @param {Date} details.startedAt - When the build started.
+ * @param {Error} [details.error] - The error that failed the build, if any.
+ * @returns {Promise<object>} The build report.
+ */
+export async function finishBuild(ctx, { startedAt, error = null }) {
+  const { config, ops, report } = ctx;
+  const duration = Date.now() - startedAt.getTime();
+  const buildReport = {
+    status: error ? 'failed' : 'succeeded',
+    startedAt: startedAt.toISOString(),
+    duration,
+    env: config.env ?? null,
+    dryRun: ops.dryRun,
+    strict: config.strict,
+    version: report.version,
+    steps: report.steps,
+    warnings: report.warnings,
+    archives: report.archives,
+    pruned: report.pruned,
+    git: report.git,
+    error: error ? error.message : null,
+  };
+
+  if (!isJsonMode() && report.steps.length > 0) logger.info(formatTimings(report.steps, duration));
+
+  const reportPath = path.join(config.archiveDir, buildReportFileName);
+  try {
+    await ops.mkdir(config.archiveDir, { recursive: true });
+    await ops.writeFile(reportPath, `${JSON.stringify(buildReport, null, 2)}\n`);
+    logger.verbose(`Build report written: ${reportPath}`);
+  } catch (writeError) {
+    logger.warn(`Could not write ${buildReportFileName}: ${writeError.message}`);
+  }
+
+  logger.event({
+    type: 'build',
+    status: buildReport.status,
+    duration,
+    version: report.version,
+    steps: report.steps.map(step => ({ step: step.step, duration: step.duration })),
+    warnings: report.warnings.length,
+    archives: report.archives.filter(archive => !archive.skipped).map(archive => archive.path),
+    report: reportPath,
+    error: buildReport.error,
+  });
+  return buildReport;
+}
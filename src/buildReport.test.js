@@ -0,0 +1,82 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { finishBuild, formatTimings, runStep } from './buildReport.js';
+import { resolveConfig } from './config.js';
+import { createContext } from './main.js';
+import logger from './utils/logger.js';
+
+const fsPromises = fs.promises;
+
+describe('formatTimings', () => {
+  it('should list each step and the total', () => {
+    expect(formatTimings([{ step: 'validate', duration: 12 }, { step: 'archive', duration: 1500 }], 1620)).toBe([
+      'Timing:',
+      '  validate     12ms',
+      '  archive     1.50s',
+      '  total       1.62s',
+    ].join('\n'));
+  });
+});
+
+describe('build steps', () => {
+  let root;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    root = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'ps-package-report-'));
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await fsPromises.rm(root, { recursive: true, force: true });
+  });
+
+  it('should record the files each step touched and the warnings it logged', async () => {
+    const ctx = createContext(resolveConfig({}, root));
+
+    const result = await runStep(ctx, 'merge', async () => {
+      await ctx.ops.writeFile(path.join(root, 'notes.txt'), 'notes');
+      logger.warn('Could not clean junk files from dist: EACCES');
+      return 'merged';
+    });
+
+    expect(result).toBe('merged');
+    expect(ctx.report.steps).toEqual([{ step: 'merge', duration: expect.any(Number), files: ['notes.txt'], warnings: ['Could not clean junk files from dist: EACCES'] }]);
+    expect(ctx.report.warnings).toEqual([{ step: 'merge', message: 'Could not clean junk files from dist: EACCES' }]);
+  });
+
+  it('should fail a step that logs warnings in strict mode, and record a step that throws', async () => {
+    const ctx = createContext(resolveConfig({ strict: true }, root));
+
+    await expect(runStep(ctx, 'prune', async () => logger.warn('Could not prune old archives: EBUSY'))).rejects.toThrow(
+      'The prune step logged warnings (strict mode):\n  Could not prune old archives: EBUSY',
+    );
+    await expect(runStep(ctx, 'archive', async () => {
+      throw new Error('disk full');
+    })).rejects.toThrow('disk full');
+    expect(ctx.report.steps.map(step => step.step)).toEqual(['prune', 'archive']);
+  });
+
+  it('should write build-report.json to the archive directory', async () => {
+    const ctx = createContext(resolveConfig({}, root));
+    await runStep(ctx, 'validate', async () => {
+      ctx.report.version = { from: '26.06.04', to: '26.06.05' };
+    });
+
+    const buildReport = await finishBuild(ctx, { startedAt: new Date(Date.now() - 50), error: new Error('Invalid plugin.xml') });
+
+    const written = JSON.parse(await fsPromises.readFile(path.join(root, 'plugin_archive', 'build-report.json'), 'utf8'));
+    expect(written).toEqual(buildReport);
+    expect(written).toMatchObject({
+      status: 'failed',
+      version: { from: '26.06.04', to: '26.06.05' },
+      steps: [{ step: 'validate' }],
+      warnings: [],
+      error: 'Invalid plugin.xml',
+    });
+    expect(written.duration).toBeGreaterThanOrEqual(50);
+  });
+});
@@ -0,0 +1,446 @@
+import os from 'node:os';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { loadConfig, projectTypes } from './config.js';
+import { diffBuilds, formatDiff } from './diff.js';
+import { envNamePattern } from './environments.js';
+import { bump, clean, createContext, main, pruneArchives, updateAccessRequest, validateProject } from './main.js';
+import { formatInspection, importArchive, inspectArchive } from './inspect.js';
+import { verifyArchive } from './manifest.js';
+import { checkProjectMessageKeys } from './messageKeys.js';
+import { formatDryRunReport } from './report.js';
+import { createPrompt, initProject } from './scaffold.js';
+import { startWatching } from './watch.js';
+import { preidPattern, releaseTypes, strategies, versionPattern } from './versioning.js';
+import { findWorkspacePackages, formatWorkspaceSummary, mapConcurrently } from './workspace.js';
+import logger, { captureLogs, configureLogger, printLogs } from './utils/logger.js';
+
+export const usage = `Usage: ps-package [command] [options]
+
+Commands:
+  build       Bump the version, merge folders and create archives (default)
+  bump        Bump the version in package.json, plugin.xml, pagecataloging and MessageKeys only
+  pack        Merge folders and create archives for the current version (or --version)
+  clean       Remove the dist and schema output directories
+  validate    Check the project layout without changing anything
+  prune       Delete old archives beyond the keep limit
+  access-request
+              Regenerate plugin.xml's access_request from the named queries
+              (with --check, only report differences and exit 1 if there are any)
+  message-keys
+              Check the MessageKeys across locales and against the ~[text:...]
+              references in WEB_ROOT, and exit 1 if there are errors
+  verify <zip>
+              Check an archive against its manifest and exit 1 if it differs
+  inspect <zip>
+              Show the plugin.xml, manifest, folders, tables and pages of an archive
+              and its DATA- archive (with --import, also copy it into the project)
+  init        Create plugin.xml, the PowerSchool folders with examples and the
+              package.json scripts, asking for the plugin details in a terminal
+  diff [old.zip] [new.zip]
+              Compare two builds, each with its DATA- archive; without new.zip,
+              compare with the build output, and without old.zip, with the latest archive
+  watch       Keep dist and schema in sync with the sources while developing
+              (with --zip, also rebuild the archives for the current version)
+
+Options (override ps-package.config.js, .ps-packagerc.json or package.json#psPackage):
+  -s, --source <dir>    Source directory (default: src)
+  -d, --dist <dir>      Build output directory (default: dist)
+  -a, --archive <dir>   Archive output directory (default: plugin_archive)
+  -t, --type <type>     Project type: ${projectTypes.join(', ')} (default: vue)
+  -k, --keep <n>        Number of old archives to keep (default: 10)
+  -e, --env <name>      Build for an environment, e.g. test: apply plugin.<name>.xml and
+                        src/powerschool.<name>/ and add the name to the archive names
+      --no-bump         Build without bumping the version
+      --strategy <name> Versioning strategy: ${Object.keys(strategies).join(', ')} (default: calver)
+      --release <type>  With semver: major, minor or patch (default: patch)
+      --preid <tag>     Make a pre-release, e.g. --preid beta gives 26.06.05-beta.1
+      --version <v>     Use this exact version instead of bumping
+      --git             Commit the bumped files, tag the release and update the changelog
+      --no-git          Skip the git step even if the config enables it (e.g. in CI)
+      --force           With the git step, release from a dirty working tree;
+                        with init and inspect --import, replace existing files
+      --deterministic   Build reproducible archives (sorted entries, fixed timestamps and modes)
+  -n, --dry-run         Report what would happen without writing anything
+      --strict          Fail the build when a step logs a warning
+      --silent          Only log errors
+      --verbose         Also log each merged folder, deleted file and step
+      --debug           Also log every file operation and the resolved configuration
+      --json            Print each build step and the outcome as JSON lines (logs go to stderr);
+                        with diff and inspect, print the result as JSON
+      --check           With access-request: compare without writing
+      --zip             With watch: rebuild the archives after each change
+      --import          With inspect: copy plugin.xml and the PowerSchool folders into the project
+      --name <name>     With init: the plugin name
+      --publisher <name>
+                        With init: the publisher name
+      --email <address> With init: the publisher's contact email
+      --description <text>
+                        With init: the plugin description
+  -w, --workspaces      Run the command in every workspace package that has a plugin.xml
+      --concurrency <n> With --workspaces: how many packages to run at once (default: CPU count)
+  -h, --help            Show this help
+`;
+
+const optionDefinitions = {
+  'source': { type: 'string', short: 's' },
+  'dist': { type: 'string', short: 'd' },
+  'archive': { type: 'string', short: 'a' },
+  'type': { type: 'string', short: 't' },
+  'keep': { type: 'string', short: 'k' },
+  'env': { type: 'string', short: 'e' },
+  'no-bump': { type: 'boolean' },
+  'strategy': { type: 'string' },
+  'release': { type: 'string' },
+  'preid': { type: 'string' },
+  'version': { type: 'string' },
+  'git': { type: 'boolean' },
+  'no-git': { type: 'boolean' },
+  'force': { type: 'boolean' },
+  'deterministic': { type: 'boolean' },
+  'dry-run': { type: 'boolean', short: 'n' },
+  'strict': { type: 'boolean' },
+  'silent': { type: 'boolean' },
+  'verbose': { type: 'boolean' },
+  'debug': { type: 'boolean' },
+  'check': { type: 'boolean' },
+  'zip': { type: 'boolean' },
+  'import': { type: 'boolean' },
+  'name': { type: 'string' },
+  'publisher': { type: 'string' },
+  'email': { type: 'string' },
+  'description': { type: 'string' },
+  'json': { type: 'boolean' },
+  'workspaces': { type: 'boolean', short: 'w' },
+  'concurrency': { type: 'string' },
+  'help': { type: 'boolean', short: 'h' },
+};
+
+/**
+ * Command handlers, keyed by subcommand name.
+ * Each handler receives the build context and parsed options, and resolves to an exit code.
+ */
+export const commands = {
+  async build(ctx, options) {
+    await main(ctx, { ...options.versioning, bump: options.bump, force: options.force });
+    return 0;
+  },
+  async bump(ctx, options) {
+    await bump(ctx, { ...options.versioning, force: options.force });
+    return 0;
+  },
+  async pack(ctx, options) {
+    await main(ctx, { ...options.versioning, bump: false, prune: false, force: options.force });
+    return 0;
+  },
+  async clean(ctx) {
+    await clean(ctx);
+    return 0;
+  },
+  async validate(ctx) {
+    const problems = await validateProject(ctx);
+    if (problems.length > 0) {
+      problems.forEach(problem => logger.error(problem));
+      return 1;
+    }
+    logger.info('Project is valid.');
+    return 0;
+  },
+  async prune(ctx) {
+    await pruneArchives(ctx);
+    return 0;
+  },
+  async 'access-request'(ctx, options) {
+    const differences = await updateAccessRequest(ctx, { check: options.check });
+    if (differences.length === 0) {
+      logger.info('access_request is in sync with the named queries.');
+      return 0;
+    }
+    if (options.check) {
+      differences.forEach(difference => logger.error(difference));
+      return 1;
+    }
+    differences.forEach(difference => logger.info(`  - ${difference}`));
+    return 0;
+  },
+  async 'message-keys'(ctx) {
+    const { errors, warnings } = await checkProjectMessageKeys(ctx);
+    warnings.forEach(warning => logger.warn(warning));
+    errors.forEach(error => logger.error(error));
+    if (errors.length > 0) return 1;
+    logger.info(`MessageKeys are complete${warnings.length > 0 ? ` (${warnings.length} warning(s))` : ''}.`);
+    return 0;
+  },
+  async verify(ctx, options) {
+    const zipPath = path.resolve(options.args[0]);
+    const problems = await verifyArchive(zipPath);
+    if (problems.length > 0) {
+      problems.forEach(problem => logger.error(problem));
+      return 1;
+    }
+    logger.info(`${path.basename(zipPath)} matches its manifest.`);
+    return 0;
+  },
+  async inspect(ctx, options) {
+    const zipPath = path.resolve(options.args[0]);
+    const result = await inspectArchive(ctx, zipPath);
+    console.log(options.json ? JSON.stringify(result, null, 2) : formatInspection(result));
+    if (options.import) await importArchive(ctx, zipPath, { force: options.force });
+    return 0;
+  },
+  async init(ctx, options) {
+    // Only ask in a terminal; in scripts and CI the details come from the options and the project.
+    const prompt = process.stdin.isTTY ? createPrompt() : null;
+    try {
+      await initProject(ctx, { answers: options.init, ask: prompt?.ask, version: options.versioning.version, force: options.force });
+    } finally {
+      prompt?.close();
+    }
+    return 0;
+  },
+  async diff(ctx, options) {
+    const [from, to] = options.args.map(file => path.resolve(file));
+    const result = await diffBuilds(ctx, { from, to });
+    console.log(options.json ? JSON.stringify(result, null, 2) : formatDiff(result));
+    return 0;
+  },
+  async watch(ctx, options) {
+    const watcher = await startWatching(ctx, { zip: options.zip });
+    logger.info('Watching for changes. Press Ctrl+C to stop.');
+    await new Promise(resolve => process.once('SIGINT', resolve));
+    await watcher.close();
+    return 0;
+  },
+};
+
+// The arguments a command takes after its name; commands not listed take none.
+const commandArguments = {
+  verify: { min: 1, max: 1, missing: 'verify needs the path of a zip file' },
+  inspect: { min: 1, max: 1, missing: 'inspect needs the path of a zip file' },
+  diff: { min: 0, max: 2 },
+};
+
+// Commands that make sense once per package; the others compare or watch a single project.
+const workspaceCommands = ['build', 'bump', 'pack', 'clean', 'validate', 'prune', 'access-request', 'message-keys'];
+
+/**
+ * Parses command-line arguments into a command name, normalized options and config overrides.
+ * @param {string[]} argv - The arguments, without the node executable and script path.
+ * @returns {{command: string, options: object, overrides: object}} The parsed command, options and config overrides.
+ * @throws {Error} If an option is unknown or has an invalid value.
+ */
+export function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: optionDefinitions, allowPositionals: true });
+
+  const [command = 'build', ...rest] = positionals;
+  if (!values.help && !Object.hasOwn(commands, command)) {
+    throw new Error(`Unknown command: "${command}"`);
+  }
+  const { min = 0, max = 0, missing } = commandArguments[command] ?? {};
+  const args = rest.slice(0, max);
+  if (!values.help && args.length < min) {
+    throw new Error(missing);
+  }
+  if (rest.length > max) {
+    throw new Error(`Unexpected argument: "${rest[max]}"`);
+  }
+
+  const options = {
+    help: values.help === true,
+    bump: values['no-bump'] !== true,
+    dryRun: values['dry-run'] === true,
+    check: values.check === true,
+    zip: values.zip === true,
+    import: values.import === true,
+    force: values.force === true,
+    json: values.json === true,
+    logLevel: values.silent ? 'error' : values.debug ? 'debug' : values.verbose ? 'verbose' : 'info',
+    workspaces: values.workspaces === true,
+    concurrency: os.availableParallelism(),
+    args,
+    init: {
+      name: values.name,
+      publisher: values.publisher,
+      email: values.email,
+      description: values.description,
+    },
+    versioning: {
+      version: values.version,
+      release: values.release,
+      preid: values.preid,
+    },
+  };
+  const overrides = {
+    sourceDir: values.source,
+    buildDir: values.dist,
+    archiveDir: values.archive,
+    projectType: values.type,
+    env: values.env,
+    versionStrategy: values.strategy,
+    git: values['no-git'] ? false : values.git,
+    deterministicArchives: values.deterministic,
+    strict: values.strict,
+  };
+
+  if (overrides.projectType !== undefined && !projectTypes.includes(overrides.projectType)) {
+    throw new Error(`Invalid --type "${overrides.projectType}" (expected one of: ${projectTypes.join(', ')})`);
+  }
+  if (overrides.env !== undefined && !envNamePattern.test(overrides.env)) {
+    throw new Error(`Invalid --env "${overrides.env}" (expected letters, digits, "-" or "_", e.g. test)`);
+  }
+  if ([values.silent, values.verbose, values.debug].filter(Boolean).length > 1) {
+    throw new Error('--silent, --verbose and --debug cannot be used together');
+  }
+  if (values.git && values['no-git']) {
+    throw new Error('--git and --no-git cannot be used together');
+  }
+  if (overrides.versionStrategy !== undefined && !Object.hasOwn(strategies, overrides.versionStrategy)) {
+    throw new Error(`Invalid --strategy "${overrides.versionStrategy}" (expected one of: ${Object.keys(strategies).join(', ')})`);
+  }
+  if (values.release !== undefined && !releaseTypes.includes(values.release)) {
+    throw new Error(`Invalid --release "${values.release}" (expected one of: ${releaseTypes.join(', ')})`);
+  }
+  if (values.preid !== undefined && !preidPattern.test(values.preid)) {
+    throw new Error(`Invalid --preid "${values.preid}" (expected letters and digits starting with a letter, e.g. beta)`);
+  }
+  if (values.version !== undefined && !versionPattern.test(values.version)) {
+    throw new Error(`Invalid --version "${values.version}" (expected dot-separated numbers with an optional pre-release tag, e.g. 26.06.04-beta.1)`);
+  }
+  if (options.workspaces && !workspaceCommands.includes(command)) {
+    throw new Error(`${command} cannot be used with --workspaces`);
+  }
+  if (options.workspaces && options.json) {
+    throw new Error('--json cannot be used with --workspaces');
+  }
+  if (options.workspaces && values.git) {
+    throw new Error('--git cannot be used with --workspaces (the packages\' release commits would race each other)');
+  }
+  if (values.concurrency !== undefined) {
+    const concurrency = Number(values.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`Invalid --concurrency "${values.concurrency}" (expected a positive integer)`);
+    }
+    options.concurrency = concurrency;
+  }
+  if (values.keep !== undefined) {
+    const keep = Number(values.keep);
+    if (!Number.isInteger(keep) || keep < 0) {
+      throw new Error(`Invalid --keep "${values.keep}" (expected a non-negative integer)`);
+    }
+    overrides.archivesToKeep = keep;
+  }
+
+  return { command, options, overrides };
+}
+
+/**
+ * Loads the config of a project and runs a command in it.
+ * @param {string} command - The command name.
+ * @param {object} options - The parsed options.
+ * @param {object} overrides - The config overrides.
+ * @param {string} projectRoot - The project directory.
+ * @returns {Promise<{exitCode: number, ctx: ?object, error: ?Error}>} The exit code, the build context (null if the config failed to load) and the error, if any.
+ */
+async function runCommand(command, options, overrides, projectRoot) {
+  let ctx;
+  try {
+    const config = await loadConfig({ projectRoot, overrides });
+    if (config.configSource) logger.info(`Using config from ${config.configSource}`);
+    logger.debug(`Resolved configuration: ${JSON.stringify(config, null, 2)}`);
+    ctx = createContext(config, { dryRun: options.dryRun });
+  } catch (error) {
+    logger.error(error.message);
+    return { exitCode: 1, ctx: null, error };
+  }
+
+  try {
+    return { exitCode: await commands[command](ctx, options), ctx, error: null };
+  } catch (error) {
+    // The build logs its own failure details; other commands only have the message.
+    if (command !== 'build' && command !== 'pack') {
+      logger.error(error.message);
+    }
+    return { exitCode: 1, ctx, error };
+  }
+}
+
+/**
+ * Runs a command in every workspace package that has a plugin.xml, a few at a time. Each
+ * package's log is collected and printed as one block when it finishes, followed by a summary.
+ * @param {string} command - The command name.
+ * @param {object} options - The parsed options.
+ * @param {object} overrides - The config overrides; relative directories resolve against each package.
+ * @returns {Promise<number>} 0 if the command succeeded in every package, 1 otherwise.
+ */
+async function runWorkspaces(command, options, overrides) {
+  const root = process.cwd();
+  let packages;
+  try {
+    packages = await findWorkspacePackages(root);
+  } catch (error) {
+    logger.error(error.message);
+    return 1;
+  }
+  if (packages.length === 0) {
+    logger.error('No workspace package has a plugin.xml');
+    return 1;
+  }
+  logger.info(`Running ${command} in ${packages.length} workspace package(s): ${packages.map(pkg => pkg.relativeDir).join(', ')}`);
+
+  // A release commit needs a clean working tree, which the other packages' builds are changing.
+  const packageOverrides = { ...overrides, git: false };
+  const results = await mapConcurrently(packages, options.concurrency, async (pkg) => {
+    const entries = [];
+    const started = Date.now();
+    const { exitCode, ctx, error } = await captureLogs(entries, () => runCommand(command, options, packageOverrides, pkg.dir));
+
+    console.log(`\n=== ${pkg.relativeDir} (${pkg.name}) ===`);
+    printLogs(entries);
+    if (options.dryRun && !error) console.log(formatDryRunReport(ctx));
+    return {
+      ...pkg,
+      exitCode,
+      error,
+      version: ctx?.report.version ?? null,
+      archives: ctx?.report.archives ?? [],
+      duration: Date.now() - started,
+    };
+  });
+
+  console.log(`\n${formatWorkspaceSummary(results)}`);
+  return results.every(result => result.exitCode === 0) ? 0 : 1;
+}
+
+/**
+ * Runs the command-line interface.
+ * @param {string[]} argv - The arguments, without the node executable and script path.
+ * @returns {Promise<number>} The process exit code: 0 on success, 1 on failure, 2 on usage errors.
+ */
+export async function run(argv) {
+  let parsed;
+  try {
+    parsed = parseCliArgs(argv);
+  } catch (error) {
+    logger.error(error.message);
+    console.error(usage);
+    return 2;
+  }
+
+  const { command, options, overrides } = parsed;
+  if (options.help) {
+    console.log(usage);
+    return 0;
+  }
+  configureLogger({ level: options.logLevel, json: options.json });
+
+  if (options.workspaces) {
+    return runWorkspaces(command, options, overrides);
+  }
+
+  const { exitCode, ctx, error } = await runCommand(command, options, overrides, process.cwd());
+  // The text report would break the JSON lines; in JSON mode the step events list the files instead.
+  if (options.dryRun && !error && !options.json) {
+    console.log(formatDryRunReport(ctx));
+  }
+  return exitCode;
+}
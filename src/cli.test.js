@@ -0,0 +1,195 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import path from 'node:path';
+import * as mainModule from './main.js';
+import * as workspaceModule from './workspace.js';
+import { parseCliArgs, run } from './cli.js';
+
+vi.mock('./main.js', () => ({
+  bump: vi.fn(),
+  clean: vi.fn(),
+  createContext: vi.fn(config => ({ config, report: { version: null, archives: [] } })),
+  main: vi.fn(),
+  pruneArchives: vi.fn(),
+  updateAccessRequest: vi.fn(),
+  validateProject: vi.fn(),
+}));
+
+vi.mock('./workspace.js', async importOriginal => ({
+  ...await importOriginal(),
+  findWorkspacePackages: vi.fn(),
+}));
+
+describe('parseCliArgs', () => {
+  it('should default to the build command with bumping enabled', () => {
+    const { command, options } = parseCliArgs([]);
+    expect(command).toBe('build');
+    expect(options.bump).toBe(true);
+    expect(options.dryRun).toBe(false);
+  });
+
+  it('should map flags to options and config overrides', () => {
+    const { command, options, overrides } = parseCliArgs([
+      'pack',
+      '--source',
+      'app',
+      '-d',
+      'out',
+      '--archive',
+      'zips',
+      '--type',
+      'svelte',
+      '--keep',
+      '3',
+      '--no-bump',
+      '--dry-run',
+    ]);
+
+    expect(command).toBe('pack');
+    expect(options).toMatchObject({ bump: false, dryRun: true });
+    expect(overrides).toEqual({
+      sourceDir: 'app',
+      buildDir: 'out',
+      archiveDir: 'zips',
+      projectType: 'svelte',
+      archivesToKeep: 3,
+    });
+  });
+
+  it('should take the archive to verify', () => {
+    expect(parseCliArgs(['verify', 'plugin_archive/Test-26.06.05.zip']).options.args).toEqual(['plugin_archive/Test-26.06.05.zip']);
+  });
+
+  it('should take up to two archives to diff', () => {
+    expect(parseCliArgs(['diff']).options.args).toEqual([]);
+    expect(parseCliArgs(['diff', 'a.zip', 'b.zip', '--json']).options).toMatchObject({ args: ['a.zip', 'b.zip'], json: true });
+    expect(() => parseCliArgs(['diff', 'a.zip', 'b.zip', 'c.zip'])).toThrow('Unexpected argument: "c.zip"');
+  });
+
+  it('should take the init details and the archive to inspect', () => {
+    expect(parseCliArgs(['init', '--name', 'Bus Routes', '--email', 'tech@tesd.net', '--force']).options).toMatchObject({
+      init: { name: 'Bus Routes', publisher: undefined, email: 'tech@tesd.net', description: undefined },
+      force: true,
+    });
+    expect(parseCliArgs(['inspect', 'legacy.zip', '--import']).options).toMatchObject({ args: ['legacy.zip'], import: true });
+    expect(() => parseCliArgs(['inspect'])).toThrow('inspect needs the path of a zip file');
+    expect(() => parseCliArgs(['init', '--workspaces'])).toThrow('init cannot be used with --workspaces');
+  });
+
+  it('should take workspace options', () => {
+    expect(parseCliArgs(['build', '-w', '--concurrency', '2']).options).toMatchObject({ workspaces: true, concurrency: 2 });
+    expect(() => parseCliArgs(['diff', '--workspaces'])).toThrow('diff cannot be used with --workspaces');
+    expect(() => parseCliArgs(['build', '--workspaces', '--git'])).toThrow('--git cannot be used with --workspaces');
+    expect(() => parseCliArgs(['build', '-w', '--concurrency', '0'])).toThrow('Invalid --concurrency');
+  });
+
+  it('should map the logging flags', () => {
+    expect(parseCliArgs([]).options.logLevel).toBe('info');
+    expect(parseCliArgs(['--silent']).options.logLevel).toBe('error');
+    expect(parseCliArgs(['--verbose']).options.logLevel).toBe('verbose');
+    expect(parseCliArgs(['--debug', '--json', '--strict'])).toMatchObject({ options: { logLevel: 'debug', json: true }, overrides: { strict: true } });
+    expect(() => parseCliArgs(['--silent', '--debug'])).toThrow('--silent, --verbose and --debug cannot be used together');
+    expect(() => parseCliArgs(['build', '-w', '--json'])).toThrow('--json cannot be used with --workspaces');
+  });
+
+  it('should take the environment', () => {
+    expect(parseCliArgs(['build', '-e', 'test']).overrides.env).toBe('test');
+  });
+
+  it('should map versioning flags', () => {
+    const { options, overrides } = parseCliArgs(['--strategy', 'semver', '--release', 'minor', '--preid', 'beta']);
+    expect(overrides.versionStrategy).toBe('semver');
+    expect(options.versioning).toEqual({ release: 'minor', preid: 'beta' });
+    expect(parseCliArgs(['bump', '--version', '26.06.10']).options.versioning.version).toBe('26.06.10');
+  });
+
+  it('should reject unknown commands, types and keep counts', () => {
+    expect(() => parseCliArgs(['deploy'])).toThrow('Unknown command');
+    expect(() => parseCliArgs(['--type', 'react'])).toThrow('Invalid --type');
+    expect(() => parseCliArgs(['--keep', 'two'])).toThrow('Invalid --keep');
+    expect(() => parseCliArgs(['--strategy', 'random'])).toThrow('Invalid --strategy');
+    expect(() => parseCliArgs(['--release', 'huge'])).toThrow('Invalid --release');
+    expect(() => parseCliArgs(['--preid', '1beta'])).toThrow('Invalid --preid');
+    expect(() => parseCliArgs(['--version', 'v2'])).toThrow('Invalid --version');
+    expect(() => parseCliArgs(['--env', '../prod'])).toThrow('Invalid --env');
+    expect(() => parseCliArgs(['verify'])).toThrow('verify needs the path of a zip file');
+    expect(() => parseCliArgs(['build', 'extra.zip'])).toThrow('Unexpected argument: "extra.zip"');
+    expect(() => parseCliArgs(['--bogus'])).toThrow();
+  });
+});
+
+describe('run', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('should print help and exit 0', async () => {
+    await expect(run(['--help'])).resolves.toBe(0);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Usage: ps-package'));
+    expect(mainModule.main).not.toHaveBeenCalled();
+  });
+
+  it('should exit 2 on usage errors', async () => {
+    await expect(run(['deploy'])).resolves.toBe(2);
+  });
+
+  it('should load the config with overrides and run the build', async () => {
+    mainModule.main.mockResolvedValueOnce({ version: '26.06.05', archives: [] });
+
+    await expect(run(['--no-bump', '-s', 'app'])).resolves.toBe(0);
+
+    const [ctx, options] = mainModule.main.mock.calls[0];
+    expect(ctx.config.sourceDir).toBe(path.resolve('app'));
+    expect(options).toEqual({ bump: false, force: false });
+  });
+
+  it('should pass --force on to a pack that releases a version', async () => {
+    mainModule.main.mockResolvedValueOnce({ version: '26.06.05', archives: [] });
+
+    await expect(run(['pack', '--version', '26.06.05', '--force'])).resolves.toBe(0);
+
+    expect(mainModule.main.mock.calls[0][1]).toEqual({ version: '26.06.05', bump: false, prune: false, force: true });
+  });
+
+  it('should exit 1 when the build fails', async () => {
+    mainModule.main.mockRejectedValueOnce(new Error('boom'));
+    await expect(run(['build'])).resolves.toBe(1);
+  });
+
+  it('should exit 1 when the access_request check finds differences', async () => {
+    mainModule.updateAccessRequest.mockResolvedValueOnce(['missing: STUDENTS.DCID is used by a named query but not listed in access_request']);
+
+    await expect(run(['access-request', '--check'])).resolves.toBe(1);
+    expect(mainModule.updateAccessRequest).toHaveBeenCalledWith(expect.anything(), { check: true });
+  });
+
+  it('should exit 0 after regenerating access_request', async () => {
+    mainModule.updateAccessRequest.mockResolvedValueOnce(['missing: STUDENTS.DCID is used by a named query but not listed in access_request']);
+    await expect(run(['access-request'])).resolves.toBe(0);
+  });
+
+  it('should exit 1 when validation finds problems', async () => {
+    mainModule.validateProject.mockResolvedValueOnce(['plugin.xml is missing']);
+    await expect(run(['validate'])).resolves.toBe(1);
+  });
+
+  it('should build every workspace package and exit 1 if one fails', async () => {
+    workspaceModule.findWorkspacePackages.mockResolvedValueOnce([
+      { dir: path.resolve('plugins/a'), relativeDir: 'plugins/a', name: 'a' },
+      { dir: path.resolve('plugins/b'), relativeDir: 'plugins/b', name: 'b' },
+    ]);
+    mainModule.main.mockImplementation(async (ctx) => {
+      if (ctx.config.projectRoot.endsWith('b')) throw new Error('boom');
+      ctx.report.version = { from: '26.06.04', to: '26.06.05' };
+    });
+
+    await expect(run(['build', '--workspaces', '-s', 'app'])).resolves.toBe(1);
+
+    const configs = mainModule.main.mock.calls.map(([ctx]) => ctx.config);
+    expect(configs.map(config => config.sourceDir)).toEqual([path.resolve('plugins/a/app'), path.resolve('plugins/b/app')]);
+    expect(configs.every(config => config.git === false)).toBe(true);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('plugins/a  a     26.06.04 -> 26.06.05'));
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('FAILED: boom'));
+  });
+});
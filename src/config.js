@@ -0,0 +1,250 @@
+import * as fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { accessRequestModes } from './accessRequest.js';
+import { adapters } from './adapters.js';
+import { envNamePattern } from './environments.js';
+import { checkHooks, normalizeHooks } from './hooks.js';
+import { messageKeysModes } from './messageKeys.js';
+import { strategies } from './versioning.js';
+import { globToRegExp } from './utils/glob.js';
+
+const fsPromises = fs.promises;
+
+export const projectTypes = Object.keys(adapters);
+
+export const unchangedArchiveModes = ['flag', 'skip'];
+export const validationModes = ['off', 'warn', 'error'];
+
+// Config files checked in each project root, in order of precedence.
+export const configFileNames = ['ps-package.config.js', '.ps-packagerc.json'];
+
+// Default settings, relative to the project root.
+export const defaults = {
+  sourceDir: 'src',
+  buildDir: 'dist',
+  archiveDir: 'plugin_archive',
+  schemaDir: 'schema',
+  // Defaults to <sourceDir>/powerschool when not set.
+  powerSchoolSourceDir: undefined,
+  // Folders to be merged into the build.
+  psFolders: ['permissions_root', 'user_schema_root', 'queries_root', 'WEB_ROOT', 'pagecataloging', 'MessageKeys'],
+  // Files to be removed from the build: names or glob patterns.
+  junkFiles: ['.DS_Store', 'Thumbs.db', 'robots.txt', 'sitemap.xml', 'ssr-manifest.json'],
+  // Glob patterns of further files to leave out of the build and archives, e.g. '**/*.map'.
+  exclude: [],
+  // Glob patterns of files to keep even though junkFiles or exclude match them.
+  include: [],
+  // Write excluded source maps to a separate sourcemaps-<version>.zip instead of dropping them.
+  sourceMapsArchive: false,
+  // Number of recent archives to keep.
+  archivesToKeep: 10,
+  // The type of project ('vue', 'svelte', 'sveltekit' or 'html'), which picks the front-end build adapter.
+  projectType: 'vue',
+  // Directory holding the front-end build output. Defaults to the adapter's (e.g. public/build for svelte).
+  frontendDir: undefined,
+  // Deployment environment, e.g. 'test': applies plugin.<env>.xml and <powerSchoolSourceDir>.<env> and is added to archive names.
+  env: undefined,
+  // Check the PowerSchool source files (schema, queries, permissions and pagecataloging) during builds:
+  // 'off', 'warn' or 'error' (fail the build on problems). The validate command always runs the checks.
+  validate: 'error',
+  // Check the MessageKeys files and their ~[text:...] references during builds: 'off', 'warn' or 'error' (fail the build on errors).
+  // Off by default, so existing projects build as before; the message-keys command runs the checks on demand.
+  messageKeys: 'off',
+  // Keep plugin.xml's access_request in sync with the named queries: 'off', 'check' or 'write'.
+  accessRequest: 'off',
+  // How versions are bumped: 'calver' (YY.MM.PATCH), 'calver-daily' (YYYY.MM.DD.N), 'calver-weekly' (YY.WW.PATCH) or 'semver'.
+  versionStrategy: 'calver',
+  // Commit the version bump, tag it and update the changelog after each release.
+  git: false,
+  // Prefix of release tags, e.g. 'v' for v26.06.04.
+  tagPrefix: 'v',
+  // Changelog updated by the git step, relative to the project root.
+  changelogFile: 'CHANGELOG.md',
+  // Build byte-for-byte reproducible archives: sorted entries, fixed timestamps and file modes.
+  deterministicArchives: false,
+  // What to do with an archive whose content matches the previous one: 'flag' (warn) or 'skip' (delete it).
+  unchangedArchives: 'flag',
+  // Fail the build when a step logs a warning, e.g. junk files that could not be removed or archives that could not be pruned.
+  strict: false,
+  // Functions run at points of the build (beforeMerge, transformFile, afterMerge, beforeArchive, afterArchive, onError):
+  // an object of hook functions, or an array of them, e.g. from plugin packages. Only ps-package.config.js can set them.
+  hooks: [],
+};
+
+const isNonEmptyString = value => typeof value === 'string' && value.length > 0;
+
+/**
+ * Checks a list of glob patterns.
+ * @param {*} value - The configured value.
+ * @returns {string|null} An error description, or null if every pattern is valid.
+ */
+function checkGlobs(value) {
+  if (!Array.isArray(value) || !value.every(isNonEmptyString)) return 'must be an array of non-empty strings';
+  for (const pattern of value) {
+    try {
+      globToRegExp(pattern);
+    } catch (error) {
+      return `has an invalid pattern: ${error.message.replace(/^Invalid glob pattern /, '')}`;
+    }
+  }
+  return null;
+}
+
+// One check per supported key; each returns an error description or null.
+const validators = {
+  sourceDir: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  buildDir: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  archiveDir: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  schemaDir: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  powerSchoolSourceDir: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  psFolders: value => Array.isArray(value) && value.every(isNonEmptyString) ? null : 'must be an array of non-empty strings',
+  junkFiles: checkGlobs,
+  exclude: checkGlobs,
+  include: checkGlobs,
+  sourceMapsArchive: value => typeof value === 'boolean' ? null : 'must be true or false',
+  archivesToKeep: value => Number.isInteger(value) && value >= 0 ? null : 'must be a non-negative integer',
+  frontendDir: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  env: value => isNonEmptyString(value) && envNamePattern.test(value) ? null : 'must be letters, digits, "-" or "_", starting with a letter or digit',
+  projectType: value => projectTypes.includes(value) ? null : `must be one of: ${projectTypes.join(', ')}`,
+  validate: value => validationModes.includes(value) ? null : `must be one of: ${validationModes.join(', ')}`,
+  messageKeys: value => messageKeysModes.includes(value) ? null : `must be one of: ${messageKeysModes.join(', ')}`,
+  accessRequest: value => accessRequestModes.includes(value) ? null : `must be one of: ${accessRequestModes.join(', ')}`,
+  git: value => typeof value === 'boolean' ? null : 'must be true or false',
+  tagPrefix: value => typeof value === 'string' && !/\s/.test(value) ? null : 'must be a string without spaces',
+  changelogFile: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  deterministicArchives: value => typeof value === 'boolean' ? null : 'must be true or false',
+  strict: value => typeof value === 'boolean' ? null : 'must be true or false',
+  unchangedArchives: value => unchangedArchiveModes.includes(value) ? null : `must be one of: ${unchangedArchiveModes.join(', ')}`,
+  versionStrategy: value => Object.hasOwn(strategies, value) ? null : `must be one of: ${Object.keys(strategies).join(', ')}`,
+  hooks: checkHooks,
+};
+
+/**
+ * Validates user-supplied configuration options.
+ * Undefined values are ignored so callers can pass sparse overrides.
+ * @param {object} options - The options to validate.
+ * @param {string} [source] - Where the options came from, used in error messages.
+ * @returns {object} The options, unchanged.
+ * @throws {Error} Listing every unknown key and invalid value.
+ */
+export function validateConfig(options, source = 'configuration') {
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    throw new Error(`Invalid ${source}: expected an object`);
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(options)) {
+    if (!Object.hasOwn(validators, key)) {
+      errors.push(`Unknown key "${key}"`);
+    } else if (value !== undefined) {
+      const problem = validators[key](value);
+      if (problem) errors.push(`"${key}" ${problem} (got ${JSON.stringify(value)})`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${source}:\n  ${errors.join('\n  ')}`);
+  }
+  return options;
+}
+
+/**
+ * Finds and reads the project's config file.
+ * Looks for ps-package.config.js, then .ps-packagerc.json, then a "psPackage" key in package.json.
+ * @param {string} projectRoot - The project root directory.
+ * @returns {Promise<{source: string, options: object} | null>} The config found, or null if there is none.
+ */
+export async function findConfigFile(projectRoot) {
+  for (const fileName of configFileNames) {
+    const filePath = path.join(projectRoot, fileName);
+    try {
+      await fsPromises.access(filePath);
+    } catch {
+      continue;
+    }
+
+    if (fileName.endsWith('.js')) {
+      const module = await import(pathToFileURL(filePath).href);
+      return { source: fileName, options: module.default };
+    }
+    try {
+      return { source: fileName, options: JSON.parse(await fsPromises.readFile(filePath, 'utf8')) };
+    } catch (error) {
+      throw new Error(`Could not parse ${fileName}: ${error.message}`);
+    }
+  }
+
+  try {
+    const packageJson = JSON.parse(await fsPromises.readFile(path.join(projectRoot, 'package.json'), 'utf8'));
+    if (packageJson.psPackage !== undefined) {
+      return { source: 'package.json#psPackage', options: packageJson.psPackage };
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Could not parse package.json: ${error.message}`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Merges option layers left to right; an undefined value never masks an earlier layer.
+ * @param {...object} layers - Option objects, lowest precedence first.
+ * @returns {object} The merged options.
+ */
+function mergeOptions(...layers) {
+  const merged = {};
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer)) {
+      if (value !== undefined) merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Merges options over the defaults and resolves every directory to an absolute path.
+ * @param {object} [options] - Validated options.
+ * @param {string} [projectRoot] - The project root directory.
+ * @returns {object} The resolved configuration.
+ */
+export function resolveConfig(options = {}, projectRoot = process.cwd()) {
+  const merged = mergeOptions(defaults, options);
+  const resolve = dir => path.resolve(projectRoot, dir);
+
+  const sourceDir = resolve(merged.sourceDir);
+  return {
+    ...merged,
+    projectRoot: path.resolve(projectRoot),
+    sourceDir,
+    buildDir: resolve(merged.buildDir),
+    archiveDir: resolve(merged.archiveDir),
+    schemaDir: resolve(merged.schemaDir),
+    powerSchoolSourceDir: merged.powerSchoolSourceDir ? resolve(merged.powerSchoolSourceDir) : path.join(sourceDir, 'powerschool'),
+    frontendDir: merged.frontendDir ? resolve(merged.frontendDir) : undefined,
+    psFolders: [...merged.psFolders],
+    junkFiles: [...merged.junkFiles],
+    exclude: [...merged.exclude],
+    include: [...merged.include],
+    hooks: normalizeHooks(merged.hooks),
+  };
+}
+
+/**
+ * Discovers, validates and resolves the configuration for a project.
+ * Command-line overrides take precedence over the config file, which takes precedence over the defaults.
+ * @param {object} [params] - Load parameters.
+ * @param {string} [params.projectRoot] - The project root directory.
+ * @param {object} [params.overrides] - Options that override the config file (e.g. from the CLI).
+ * @returns {Promise<object>} The resolved configuration.
+ */
+export async function loadConfig({ projectRoot = process.cwd(), overrides = {} } = {}) {
+  const found = await findConfigFile(projectRoot);
+  const fileOptions = found ? validateConfig(found.options, found.source) : {};
+  validateConfig(overrides, 'command-line options');
+
+  const config = resolveConfig(mergeOptions(fileOptions, overrides), projectRoot);
+  config.configSource = found?.source ?? null;
+  return config;
+}
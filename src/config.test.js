@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import * as fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { defaults, findConfigFile, loadConfig, resolveConfig, validateConfig } from './config.js';
+
+const fsPromises = fs.promises;
+
+describe('validateConfig', () => {
+  it('should accept known keys with valid values', () => {
+    const options = { sourceDir: 'app', junkFiles: ['.DS_Store'], archivesToKeep: 0, projectType: 'svelte' };
+    expect(validateConfig(options)).toBe(options);
+  });
+
+  it('should report every unknown key and bad value', () => {
+    const options = { sourceDirectory: 'app', archivesToKeep: -1, psFolders: 'WEB_ROOT', projectType: 'react', messageKeys: 'strict' };
+    expect(() => validateConfig(options, 'ps-package.config.js')).toThrow(
+      'Invalid ps-package.config.js:\n'
+      + '  Unknown key "sourceDirectory"\n'
+      + '  "archivesToKeep" must be a non-negative integer (got -1)\n'
+      + '  "psFolders" must be an array of non-empty strings (got "WEB_ROOT")\n'
+      + '  "projectType" must be one of: vue, svelte, sveltekit, html (got "react")\n'
+      + '  "messageKeys" must be one of: off, warn, error (got "strict")',
+    );
+  });
+
+  it('should reject invalid glob patterns', () => {
+    expect(() => validateConfig({ exclude: ['**/*.{js,ts'], include: 'WEB_ROOT/**' })).toThrow(
+      'Invalid configuration:\n'
+      + '  "exclude" has an invalid pattern: "**/*.{js,ts": unclosed "{" (got ["**/*.{js,ts"])\n'
+      + '  "include" must be an array of non-empty strings (got "WEB_ROOT/**")',
+    );
+  });
+
+  it('should reject non-object configs', () => {
+    expect(() => validateConfig(['src'])).toThrow('expected an object');
+  });
+});
+
+describe('resolveConfig', () => {
+  it('should resolve directories against the project root', () => {
+    const config = resolveConfig({ sourceDir: 'app', buildDir: '/abs/out' }, '/project');
+
+    expect(config.projectRoot).toBe(path.resolve('/project'));
+    expect(config.sourceDir).toBe(path.resolve('/project/app'));
+    expect(config.powerSchoolSourceDir).toBe(path.resolve('/project/app/powerschool'));
+    expect(config.buildDir).toBe(path.resolve('/abs/out'));
+    expect(config.archiveDir).toBe(path.resolve('/project/plugin_archive'));
+    expect(config.psFolders).toEqual(defaults.psFolders);
+  });
+
+  it('should return independent configs', () => {
+    const first = resolveConfig({}, '/a');
+    const second = resolveConfig({}, '/b');
+    first.junkFiles.push('extra.txt');
+    expect(second.junkFiles).toEqual(defaults.junkFiles);
+  });
+});
+
+describe('config discovery', () => {
+  let projectRoot;
+
+  beforeEach(async () => {
+    projectRoot = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'ps-package-config-'));
+  });
+
+  afterEach(async () => {
+    await fsPromises.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should return null when there is no config', async () => {
+    await expect(findConfigFile(projectRoot)).resolves.toBeNull();
+  });
+
+  it('should read the psPackage key from package.json', async () => {
+    await fsPromises.writeFile(path.join(projectRoot, 'package.json'), JSON.stringify({ psPackage: { archivesToKeep: 2 } }));
+    await expect(findConfigFile(projectRoot)).resolves.toEqual({ source: 'package.json#psPackage', options: { archivesToKeep: 2 } });
+  });
+
+  it('should prefer ps-package.config.js over .ps-packagerc.json and package.json', async () => {
+    await fsPromises.writeFile(path.join(projectRoot, 'package.json'), JSON.stringify({ psPackage: { archivesToKeep: 2 } }));
+    await fsPromises.writeFile(path.join(projectRoot, '.ps-packagerc.json'), JSON.stringify({ archivesToKeep: 3 }));
+    await fsPromises.writeFile(path.join(projectRoot, 'ps-package.config.js'), 'export default { archivesToKeep: 4 };');
+
+    const found = await findConfigFile(projectRoot);
+    expect(found).toEqual({ source: 'ps-package.config.js', options: { archivesToKeep: 4 } });
+  });
+
+  it('should report malformed JSON config files', async () => {
+    await fsPromises.writeFile(path.join(projectRoot, '.ps-packagerc.json'), '{ nope');
+    await expect(findConfigFile(projectRoot)).rejects.toThrow('Could not parse .ps-packagerc.json');
+  });
+
+  it('should merge defaults, the config file and overrides in that order', async () => {
+    await fsPromises.writeFile(path.join(projectRoot, '.ps-packagerc.json'), JSON.stringify({ archivesToKeep: 3, junkFiles: ['notes.md'], projectType: 'svelte' }));
+
+    const config = await loadConfig({ projectRoot, overrides: { archivesToKeep: 1, buildDir: undefined, projectType: undefined } });
+
+    expect(config.configSource).toBe('.ps-packagerc.json');
+    expect(config.archivesToKeep).toBe(1);
+    expect(config.junkFiles).toEqual(['notes.md']);
+    expect(config.projectType).toBe('svelte');
+    expect(config.buildDir).toBe(path.join(projectRoot, 'dist'));
+  });
+
+  it('should fail on an invalid config file', async () => {
+    await fsPromises.writeFile(path.join(projectRoot, '.ps-packagerc.json'), JSON.stringify({ zipLevel: 9 }));
+    await expect(loadConfig({ projectRoot })).rejects.toThrow('Invalid .ps-packagerc.json:\n  Unknown key "zipLevel"');
+  });
+});
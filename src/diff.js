@@ -0,0 +1,469 @@
+import * as fs from 'node:fs';
+import path from 'node:path';
+import xml2js from 'xml2js';
+import { readAccessRequest } from './accessRequest.js';
+import { classifyPath } from './fileRules.js';
+import { parseProperties } from './messageKeys.js';
+import { walkFiles } from './utils/fileOps.js';
+import { readZipEntries } from './utils/zip.js';
+import logger from './utils/logger.js';
+
+const fsPromises = fs.promises;
+
+// Lines of unchanged context shown around each change in a text diff.
+const contextLines = 3;
+
+// Above this many cells in the line comparison table, a text diff is summarized instead.
+const maxDiffCells = 4_000_000;
+
+const attributesOf = element => (typeof element === 'object' && element?.$) || {};
+const childrenOf = (element, name) => (typeof element === 'object' && element?.[name]) || [];
+const quote = value => JSON.stringify(value);
+
+const isSchemaFile = filePath => filePath.startsWith('user_schema_root/') && filePath.toLowerCase().endsWith('.xml');
+const isMessageKeysFile = filePath => filePath.startsWith('MessageKeys/') && filePath.endsWith('.properties');
+const isBinary = data => data.subarray(0, 8000).includes(0);
+
+/**
+ * Reads the file entries of an archive.
+ * @param {string} zipPath - The archive path.
+ * @returns {Promise<Map<string, Buffer>>} The entry contents, keyed by path.
+ */
+export async function readArchiveTree(zipPath) {
+  const entries = readZipEntries(await fsPromises.readFile(zipPath));
+  return new Map(entries.map(entry => [entry.path, entry.data]));
+}
+
+/**
+ * Reads every file under a directory, keyed the way an archive of the directory would be.
+ * @param {string} dir - The directory.
+ * @param {(relativePath: string) => boolean} [keep] - Which files an archive of the directory would contain.
+ * @returns {Promise<Map<string, Buffer>>} The file contents, keyed by forward-slash relative path.
+ */
+export async function readDirectoryTree(dir, keep = () => true) {
+  const tree = new Map();
+  for (const file of await walkFiles(dir)) {
+    const relativePath = path.relative(dir, file.path).split(path.sep).join('/');
+    if (keep(relativePath)) tree.set(relativePath, await fsPromises.readFile(file.path));
+  }
+  return tree;
+}
+
+/**
+ * Describes how a named value changed.
+ * @param {string} label - What changed.
+ * @param {string|undefined} before - The old value, undefined if it was added.
+ * @param {string|undefined} after - The new value, undefined if it was removed.
+ * @returns {string} The description.
+ */
+function describeChange(label, before, after) {
+  if (before === undefined) return `${label}: added ${quote(after)}`;
+  if (after === undefined) return `${label}: removed (was ${quote(before)})`;
+  return `${label}: ${quote(before)} -> ${quote(after)}`;
+}
+
+/**
+ * Compares two records of named values.
+ * @param {object} before - The old values.
+ * @param {object} after - The new values.
+ * @param {string} [prefix] - Prepended to each name in the descriptions.
+ * @returns {string[]} One description per changed value, in name order.
+ */
+function diffRecords(before, after, prefix = '') {
+  const names = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+  return names
+    .filter(name => before[name] !== after[name])
+    .map(name => describeChange(`${prefix}${name}`, before[name], after[name]));
+}
+
+/**
+ * Compares two texts line by line.
+ * @param {string} oldText - The old text.
+ * @param {string} newText - The new text.
+ * @returns {string[]|null} Unified diff hunks (header lines and prefixed content lines), or null if the texts are too large to compare.
+ */
+export function diffLines(oldText, newText) {
+  const toLines = text => (text === '' ? [] : text.replace(/\n$/, '').split('\n'));
+  const a = toLines(oldText);
+  const b = toLines(newText);
+
+  // Only the part between the common prefix and suffix needs the comparison table.
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  const n = endA - start;
+  const m = endB - start;
+  if (n * m > maxDiffCells) return null;
+
+  // lcs[i * width + j] is the longest common subsequence of a[start + i..] and b[start + j..].
+  const width = m + 1;
+  const lcs = new Uint16Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[start + i] === b[start + j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, start).map(line => [' ', line]);
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[start + i] === b[start + j]) {
+      ops.push([' ', a[start + i]]);
+      i++;
+      j++;
+    } else if (i < n && (j === m || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+      ops.push(['-', a[start + i]]);
+      i++;
+    } else {
+      ops.push(['+', b[start + j]]);
+      j++;
+    }
+  }
+  ops.push(...a.slice(endA).map(line => [' ', line]));
+
+  // Group changes that are close enough to share their context into hunks.
+  const changed = ops.flatMap(([type], index) => (type === ' ' ? [] : [index]));
+  const groups = [];
+  for (const index of changed) {
+    const last = groups.at(-1);
+    if (last && index - last.to <= 2 * contextLines) {
+      last.to = index;
+    } else {
+      groups.push({ from: index, to: index });
+    }
+  }
+
+  const lines = [];
+  for (const group of groups) {
+    const from = Math.max(0, group.from - contextLines);
+    const to = Math.min(ops.length, group.to + contextLines + 1);
+    const before = ops.slice(0, from);
+    const hunk = ops.slice(from, to);
+    const oldBefore = before.filter(([type]) => type !== '+').length;
+    const newBefore = before.filter(([type]) => type !== '-').length;
+    const oldCount = hunk.filter(([type]) => type !== '+').length;
+    const newCount = hunk.filter(([type]) => type !== '-').length;
+    lines.push(`@@ -${oldBefore + (oldCount > 0 ? 1 : 0)},${oldCount} +${newBefore + (newCount > 0 ? 1 : 0)},${newCount} @@`);
+    lines.push(...hunk.map(([type, line]) => `${type}${line}`));
+  }
+  return lines;
+}
+
+/**
+ * Compares two parsed plugin.xml documents: the plugin attributes, the access_request entries
+ * and, as a whole, every other element.
+ * @param {object|null} oldDoc - The old plugin.xml, or null if there was none.
+ * @param {object|null} newDoc - The new plugin.xml, or null if there is none.
+ * @returns {string[]} The changes.
+ */
+export function diffPluginXml(oldDoc, newDoc) {
+  const oldPlugin = oldDoc?.plugin ?? {};
+  const newPlugin = newDoc?.plugin ?? {};
+  const changes = diffRecords(attributesOf(oldPlugin), attributesOf(newPlugin), 'attribute ');
+
+  const accessOf = plugin => Object.fromEntries(
+    readAccessRequest({ plugin }).map(({ table, field, access }) => [`${table}.${field}`.toUpperCase(), access ?? ''])
+  );
+  const oldAccess = accessOf(oldPlugin);
+  const newAccess = accessOf(newPlugin);
+  for (const field of [...new Set([...Object.keys(oldAccess), ...Object.keys(newAccess)])].sort()) {
+    if (!Object.hasOwn(oldAccess, field)) {
+      changes.push(`access_request: added ${field} (${newAccess[field]})`);
+    } else if (!Object.hasOwn(newAccess, field)) {
+      changes.push(`access_request: removed ${field} (was ${oldAccess[field]})`);
+    } else if (oldAccess[field] !== newAccess[field]) {
+      changes.push(`access_request: ${field} access ${oldAccess[field]} -> ${newAccess[field]}`);
+    }
+  }
+
+  const elements = new Set([...Object.keys(oldPlugin), ...Object.keys(newPlugin)]);
+  for (const element of [...elements].sort()) {
+    if (element === '$' || element === 'access_request') continue;
+    if (JSON.stringify(oldPlugin[element]) !== JSON.stringify(newPlugin[element])) {
+      if (!oldPlugin[element]) changes.push(`<${element}>: added`);
+      else if (!newPlugin[element]) changes.push(`<${element}>: removed`);
+      else changes.push(`<${element}>: changed`);
+    }
+  }
+  return changes;
+}
+
+/**
+ * Collects the tables and fields of a parsed user_schema_root document.
+ * @param {object|null} doc - The parsed document (an <extensions> or <tables> file), or null.
+ * @returns {Map<string, {attributes: object, fields: Map<string, object>}>} Tables (upper case) with their attributes and fields (upper case).
+ */
+export function schemaTablesOf(doc) {
+  const tables = new Map();
+  const addTable = (table, extension = {}) => {
+    const { name, ...attributes } = attributesOf(table);
+    if (!name) return;
+    const fields = new Map(childrenOf(table, 'field')
+      .map(attributesOf)
+      .filter(field => field.name)
+      .map(({ name: fieldName, ...fieldAttributes }) => [fieldName.toUpperCase(), fieldAttributes]));
+    // A table inherits the core table of its extension, so moving it to another one shows up.
+    const coreTable = attributesOf(extension).coreTable;
+    tables.set(name.toUpperCase(), { attributes: coreTable ? { coreTable, ...attributes } : attributes, fields });
+  };
+
+  if (doc && Object.hasOwn(doc, 'extensions')) {
+    for (const extension of childrenOf(doc.extensions, 'extension')) {
+      childrenOf(extension, 'table').forEach(table => addTable(table, extension));
+    }
+  } else if (doc && Object.hasOwn(doc, 'tables')) {
+    childrenOf(doc.tables, 'table').forEach(table => addTable(table));
+  } else if (doc) {
+    throw new Error('root element must be <extensions> or <tables>');
+  }
+  return tables;
+}
+
+/**
+ * Describes a field for the schema diff, e.g. "NOTE (String, maxLength 200)".
+ * @param {string} name - The field name.
+ * @param {object} attributes - The field attributes.
+ * @returns {string} The description.
+ */
+export const describeField = (name, { type, maxLength }) => `${name} (${[type, maxLength && `maxLength ${maxLength}`].filter(Boolean).join(', ')})`;
+
+/**
+ * Compares the tables and fields of two parsed user_schema_root documents.
+ * @param {object|null} oldDoc - The old document, or null if the file was added.
+ * @param {object|null} newDoc - The new document, or null if the file was removed.
+ * @returns {string[]} The changes.
+ * @throws {Error} If a document is not an <extensions> or <tables> file.
+ */
+export function diffSchema(oldDoc, newDoc) {
+  const oldTables = schemaTablesOf(oldDoc);
+  const newTables = schemaTablesOf(newDoc);
+  const changes = [];
+
+  for (const name of [...new Set([...oldTables.keys(), ...newTables.keys()])].sort()) {
+    const before = oldTables.get(name);
+    const after = newTables.get(name);
+    if (!before) {
+      changes.push(`table ${name}: added with fields ${[...after.fields].map(([field, attributes]) => describeField(field, attributes)).join(', ')}`);
+      continue;
+    }
+    if (!after) {
+      changes.push(`table ${name}: removed`);
+      continue;
+    }
+    changes.push(...diffRecords(before.attributes, after.attributes, `table ${name}: `));
+    for (const field of [...new Set([...before.fields.keys(), ...after.fields.keys()])].sort()) {
+      const oldField = before.fields.get(field);
+      const newField = after.fields.get(field);
+      if (!oldField) changes.push(`table ${name}: added field ${describeField(field, newField)}`);
+      else if (!newField) changes.push(`table ${name}: removed field ${describeField(field, oldField)}`);
+      else changes.push(...diffRecords(oldField, newField, `table ${name}: field ${field} `));
+    }
+  }
+  return changes;
+}
+
+/**
+ * Compares the keys of two MessageKeys .properties files.
+ * @param {string} oldText - The old file contents.
+ * @param {string} newText - The new file contents.
+ * @returns {string[]} The changes.
+ */
+export function diffMessageKeys(oldText, newText) {
+  const keysOf = text => Object.fromEntries(parseProperties(text).map(({ key, value }) => [key, value]));
+  return diffRecords(keysOf(oldText), keysOf(newText));
+}
+
+/**
+ * Parses an XML entry for a semantic diff.
+ * @param {Buffer|undefined} data - The entry contents, undefined if the entry does not exist.
+ * @returns {Promise<object|null>} The parsed document, or null for a missing entry.
+ */
+const parseXml = async data => (data === undefined ? null : xml2js.parseStringPromise(data.toString('utf8')));
+
+/**
+ * Compares one entry that differs between two trees. plugin.xml, user_schema_root and
+ * MessageKeys files are compared by meaning; if they cannot be parsed, they fall back to a
+ * text diff like every other file.
+ * @param {string} filePath - The entry path.
+ * @param {Buffer|undefined} before - The old contents, undefined if the entry was added.
+ * @param {Buffer|undefined} after - The new contents, undefined if the entry was removed.
+ * @returns {Promise<{kind: string, changes: string[], signOff: boolean}>} What kind of file it is, its changes and whether they need DBA sign-off.
+ */
+async function diffEntry(filePath, before, after) {
+  try {
+    if (filePath === 'plugin.xml') {
+      if (!before || !after) return { kind: 'plugin.xml', changes: [], signOff: false };
+      const changes = diffPluginXml(await parseXml(before), await parseXml(after));
+      return { kind: 'plugin.xml', changes: changes.length > 0 ? changes : ['formatting only'], signOff: false };
+    }
+    if (isSchemaFile(filePath)) {
+      const changes = diffSchema(await parseXml(before), await parseXml(after));
+      return { kind: 'schema', changes: changes.length > 0 ? changes : ['formatting only'], signOff: changes.length > 0 };
+    }
+    if (isMessageKeysFile(filePath)) {
+      if (!before || !after) return { kind: 'messageKeys', changes: [], signOff: false };
+      const changes = diffMessageKeys(before.toString('utf8'), after.toString('utf8'));
+      return { kind: 'messageKeys', changes: changes.length > 0 ? changes : ['comments or formatting only'], signOff: false };
+    }
+  } catch (error) {
+    logger.warn(`${filePath}: comparing as text (${error.message.replace(/\s*\n\s*/g, ' ')})`);
+  }
+
+  if (!before || !after) return { kind: 'file', changes: [], signOff: false };
+  if (isBinary(before) || isBinary(after)) {
+    return { kind: 'binary', changes: [`binary content changed (${before.length} -> ${after.length} bytes)`], signOff: false };
+  }
+  const hunks = diffLines(before.toString('utf8'), after.toString('utf8'));
+  if (hunks === null) {
+    return { kind: 'text', changes: [`too large to compare line by line (${before.length} -> ${after.length} bytes)`], signOff: false };
+  }
+  return { kind: 'text', changes: hunks.length > 0 ? hunks : ['line endings only'], signOff: false };
+}
+
+/**
+ * Compares two trees of files, such as the entries of two archives.
+ * @param {Map<string, Buffer>} oldTree - The old files, keyed by path.
+ * @param {Map<string, Buffer>} newTree - The new files, keyed by path.
+ * @returns {Promise<{path: string, status: string, kind: string, changes: string[], signOff: boolean}[]>} One record per added, removed or modified file, in path order.
+ */
+export async function diffTrees(oldTree, newTree) {
+  const paths = [...new Set([...oldTree.keys(), ...newTree.keys()])].sort();
+  const files = [];
+  for (const filePath of paths) {
+    const before = oldTree.get(filePath);
+    const after = newTree.get(filePath);
+    if (before && after && before.equals(after)) continue;
+    const status = !before ? 'added' : !after ? 'removed' : 'modified';
+    files.push({ path: filePath, status, ...await diffEntry(filePath, before, after) });
+  }
+  return files;
+}
+
+/**
+ * Finds the most recently written plugin archive (not a DATA- or source maps archive).
+ * @param {string} archiveDir - The archive directory.
+ * @returns {Promise<string>} The archive path.
+ * @throws {Error} If there are no archives.
+ */
+export async function findLatestArchive(archiveDir) {
+  let files = [];
+  try {
+    files = await fsPromises.readdir(archiveDir);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  const archives = await Promise.all(files
+    .filter(file => file.endsWith('.zip') && !file.startsWith('DATA-') && !file.startsWith('sourcemaps-'))
+    .map(async (file) => {
+      const filePath = path.join(archiveDir, file);
+      return { filePath, mtimeMs: (await fsPromises.stat(filePath)).mtimeMs };
+    }));
+  if (archives.length === 0) throw new Error(`No archives found in ${archiveDir}`);
+  archives.sort((a, b) => b.mtimeMs - a.mtimeMs);
+  return archives[0].filePath;
+}
+
+/**
+ * Describes one side of a diff: an archive with its DATA- counterpart, or the build output.
+ * @param {object} ctx - The build context.
+ * @param {string|null} zipPath - Either archive of the pair, or null for the build output.
+ * @returns {Promise<{plugin: object, data: object}>} The label and files of the plugin and DATA sides.
+ * @throws {Error} If the archive or the build output does not exist.
+ */
+async function readSide(ctx, zipPath) {
+  const { config } = ctx;
+  if (!zipPath) {
+    // Leave out what the build's exclude rules keep out of the archives.
+    const keep = relativePath => classifyPath(config, relativePath) === 'keep';
+    const plugin = await readDirectoryTree(config.buildDir, keep);
+    if (plugin.size === 0) throw new Error(`Nothing to compare in ${config.buildDir}: build or watch the project first`);
+    return {
+      plugin: { label: path.relative(config.projectRoot, config.buildDir), tree: plugin },
+      data: { label: path.relative(config.projectRoot, config.schemaDir), tree: await readDirectoryTree(config.schemaDir, keep) },
+    };
+  }
+
+  const dir = path.dirname(zipPath);
+  const baseName = path.basename(zipPath).replace(/^DATA-/, '');
+  const side = {};
+  for (const [key, name] of [['plugin', baseName], ['data', `DATA-${baseName}`]]) {
+    const filePath = path.join(dir, name);
+    try {
+      side[key] = { label: name, tree: await readArchiveTree(filePath) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw new Error(`Could not read ${filePath}: ${error.message}`);
+      side[key] = { label: name, tree: null };
+    }
+  }
+  if (!side.plugin.tree && !side.data.tree) throw new Error(`Archive not found: ${zipPath}`);
+  return side;
+}
+
+/**
+ * Compares two plugin builds, each of them an archive (together with its DATA- archive) or the
+ * current build output in the build and schema directories. Without arguments, the build
+ * output is compared with the latest archive.
+ * @param {object} ctx - The build context.
+ * @param {object} [options] - What to compare.
+ * @param {string} [options.from] - The old archive (defaults to the latest archive).
+ * @param {string} [options.to] - The new archive (defaults to the build output).
+ * @returns {Promise<{from: string, to: string, comparisons: object[], signOff: string[]}>} The plugin and DATA comparisons, and the schema files whose changes need DBA sign-off.
+ */
+export async function diffBuilds(ctx, { from, to } = {}) {
+  const oldSide = await readSide(ctx, from ?? await findLatestArchive(ctx.config.archiveDir));
+  const newSide = await readSide(ctx, to ?? null);
+
+  const comparisons = [];
+  for (const key of ['plugin', 'data']) {
+    const before = oldSide[key];
+    const after = newSide[key];
+    if (!before.tree || !after.tree) {
+      logger.warn(`Skipping ${before.label} -> ${after.label}: ${!before.tree ? before.label : after.label} does not exist`);
+      continue;
+    }
+    comparisons.push({ from: before.label, to: after.label, files: await diffTrees(before.tree, after.tree) });
+  }
+
+  return {
+    from: oldSide.plugin.label,
+    to: newSide.plugin.label,
+    comparisons,
+    signOff: comparisons.flatMap(comparison => comparison.files.filter(file => file.signOff).map(file => file.path)),
+  };
+}
+
+/**
+ * Formats the result of diffBuilds as a human-readable report.
+ * @param {object} result - The result of diffBuilds.
+ * @returns {string} The report text.
+ */
+export function formatDiff(result) {
+  const marks = { added: '+', removed: '-', modified: '~' };
+  const lines = [];
+  const counts = { added: 0, removed: 0, modified: 0 };
+
+  for (const comparison of result.comparisons) {
+    lines.push(`${comparison.from} -> ${comparison.to}:`);
+    if (comparison.files.length === 0) lines.push('  (no differences)');
+    for (const file of comparison.files) {
+      counts[file.status]++;
+      lines.push(`  ${marks[file.status]} ${file.path}${file.signOff ? ' (needs DBA sign-off)' : ''}`);
+      lines.push(...file.changes.map(change => `      ${change}`));
+    }
+  }
+
+  lines.push(`Summary: ${counts.added} added, ${counts.removed} removed, ${counts.modified} modified`);
+  if (result.signOff.length > 0) {
+    lines.push('Schema changes needing DBA sign-off:');
+    lines.push(...result.signOff.map(file => `  ${file}`));
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,157 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import xml2js from 'xml2js';
+import { resolveConfig } from './config.js';
+import { createContext } from './main.js';
+import { diffBuilds, diffLines, diffMessageKeys, diffPluginXml, diffSchema, formatDiff } from './diff.js';
+import { makeZip } from './test/makeZip.js';
+
+const fsPromises = fs.promises;
+
+const writeZip = async (zipPath, files) => fsPromises.writeFile(zipPath, await makeZip(files));
+
+const parse = xml => xml2js.parseStringPromise(xml);
+
+const schemaXml = fields => `<extensions><extension name="U_EXAMPLE" coreTable="STUDENTS"><table name="U_EXAMPLE">${fields}</table></extension></extensions>`;
+
+describe('diffLines', () => {
+  it('should produce unified diff hunks with context', () => {
+    const before = 'a\nb\nc\nd\ne\nf\ng\nh\n';
+    const after = 'a\nb\nc\nD\ne\nf\ng\nh\ni\n';
+    expect(diffLines(before, after)).toEqual([
+      '@@ -1,8 +1,9 @@', ' a', ' b', ' c', '-d', '+D', ' e', ' f', ' g', ' h', '+i',
+    ]);
+  });
+
+  it('should split distant changes into separate hunks', () => {
+    const lines = Array.from({ length: 20 }, (_, index) => `line ${index + 1}`);
+    const changed = lines.map((line, index) => (index === 0 || index === 19 ? `${line}!` : line));
+    const hunks = diffLines(lines.join('\n'), changed.join('\n')).filter(line => line.startsWith('@@'));
+    expect(hunks).toEqual(['@@ -1,4 +1,4 @@', '@@ -17,4 +17,4 @@']);
+  });
+
+  it('should return no hunks for equal text', () => {
+    expect(diffLines('same\n', 'same\n')).toEqual([]);
+  });
+});
+
+describe('semantic diffs', () => {
+  it('should compare plugin attributes, access_request and other elements', async () => {
+    const before = await parse('<plugin name="Test" version="26.06.03"><publisher name="A"/><access_request><field table="STUDENTS" field="DCID" access="ViewOnly"/><field table="STUDENTS" field="LASTFIRST" access="ViewOnly"/></access_request></plugin>');
+    const after = await parse('<plugin name="Test" version="26.06.04" description="New"><publisher name="B"/><access_request><field table="STUDENTS" field="DCID" access="FullAccess"/><field table="SCHOOLS" field="NAME" access="ViewOnly"/></access_request></plugin>');
+
+    expect(diffPluginXml(before, after)).toEqual([
+      'attribute description: added "New"',
+      'attribute version: "26.06.03" -> "26.06.04"',
+      'access_request: added SCHOOLS.NAME (ViewOnly)',
+      'access_request: STUDENTS.DCID access ViewOnly -> FullAccess',
+      'access_request: removed STUDENTS.LASTFIRST (was ViewOnly)',
+      '<publisher>: changed',
+    ]);
+  });
+
+  it('should compare schema tables and fields', async () => {
+    const before = await parse(schemaXml('<field name="NOTE" type="String" maxLength="200"/><field name="OLD" type="Integer"/>'));
+    const after = await parse(schemaXml('<field name="NOTE" type="String" maxLength="400"/><field name="REVIEWED" type="Boolean"/>'));
+
+    expect(diffSchema(before, after)).toEqual([
+      'table U_EXAMPLE: field NOTE maxLength: "200" -> "400"',
+      'table U_EXAMPLE: removed field OLD (Integer)',
+      'table U_EXAMPLE: added field REVIEWED (Boolean)',
+    ]);
+    expect(diffSchema(null, before)).toEqual(['table U_EXAMPLE: added with fields NOTE (String, maxLength 200), OLD (Integer)']);
+    expect(diffSchema(before, await parse('<tables/>'))).toEqual(['table U_EXAMPLE: removed']);
+  });
+
+  it('should compare MessageKeys by key', () => {
+    expect(diffMessageKeys('# Version: 1\na=One\nb=Two\n', '# Version: 2\na=Uno\nc=Three\n')).toEqual([
+      'a: "One" -> "Uno"',
+      'b: removed (was "Two")',
+      'c: added "Three"',
+    ]);
+  });
+});
+
+describe('diffBuilds', () => {
+  let root;
+  let ctx;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    root = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'ps-package-diff-'));
+    ctx = createContext(resolveConfig({}, root));
+    await fsPromises.mkdir(ctx.config.archiveDir, { recursive: true });
+    await writeZip(path.join(ctx.config.archiveDir, 'Test-26.06.03.zip'), {
+      'plugin.xml': '<plugin name="Test" version="26.06.03"/>',
+      'WEB_ROOT/page.html': 'hello\n',
+      'WEB_ROOT/old.html': 'old\n',
+    });
+    await writeZip(path.join(ctx.config.archiveDir, 'DATA-Test-26.06.03.zip'), {
+      'user_schema_root/example.xml': schemaXml('<field name="NOTE" type="String" maxLength="200"/>'),
+      'MessageKeys/keys.US_en.properties': 'a=One\n',
+    });
+  });
+
+  afterEach(async () => {
+    await fsPromises.rm(root, { recursive: true, force: true });
+  });
+
+  it('should compare two archives together with their DATA- archives', async () => {
+    await writeZip(path.join(ctx.config.archiveDir, 'Test-26.06.04.zip'), {
+      'plugin.xml': '<plugin name="Test" version="26.06.04"/>',
+      'WEB_ROOT/page.html': 'hello world\n',
+      'WEB_ROOT/new.html': 'new\n',
+    });
+    await writeZip(path.join(ctx.config.archiveDir, 'DATA-Test-26.06.04.zip'), {
+      'user_schema_root/example.xml': schemaXml('<field name="NOTE" type="String" maxLength="200"/><field name="DONE" type="Boolean"/>'),
+      'MessageKeys/keys.US_en.properties': 'a=One\n',
+    });
+
+    const result = await diffBuilds(ctx, {
+      from: path.join(ctx.config.archiveDir, 'Test-26.06.03.zip'),
+      to: path.join(ctx.config.archiveDir, 'DATA-Test-26.06.04.zip'),
+    });
+
+    expect(result.from).toBe('Test-26.06.03.zip');
+    expect(result.to).toBe('Test-26.06.04.zip');
+    expect(result.comparisons.map(comparison => comparison.files.map(file => [file.status, file.path]))).toEqual([
+      [['added', 'WEB_ROOT/new.html'], ['removed', 'WEB_ROOT/old.html'], ['modified', 'WEB_ROOT/page.html'], ['modified', 'plugin.xml']],
+      [['modified', 'user_schema_root/example.xml']],
+    ]);
+    expect(result.comparisons[0].files[3].changes).toEqual(['attribute version: "26.06.03" -> "26.06.04"']);
+    expect(result.comparisons[1].files[0]).toMatchObject({ kind: 'schema', signOff: true, changes: ['table U_EXAMPLE: added field DONE (Boolean)'] });
+    expect(result.signOff).toEqual(['user_schema_root/example.xml']);
+
+    const report = formatDiff(result);
+    expect(report).toContain('  ~ user_schema_root/example.xml (needs DBA sign-off)');
+    expect(report).toContain('      +hello world');
+    expect(report).toContain('Summary: 1 added, 1 removed, 3 modified');
+  });
+
+  it('should compare the build output with the latest archive by default', async () => {
+    const { buildDir, schemaDir } = ctx.config;
+    await fsPromises.mkdir(path.join(buildDir, 'WEB_ROOT'), { recursive: true });
+    await fsPromises.writeFile(path.join(buildDir, 'plugin.xml'), '<plugin name="Test" version="26.06.03"/>');
+    await fsPromises.writeFile(path.join(buildDir, 'WEB_ROOT', 'page.html'), 'hello\n');
+    await fsPromises.writeFile(path.join(buildDir, 'WEB_ROOT', 'old.html'), 'old\n');
+    await fsPromises.mkdir(path.join(schemaDir, 'MessageKeys'), { recursive: true });
+    await fsPromises.writeFile(path.join(schemaDir, 'MessageKeys', 'keys.US_en.properties'), 'a=Uno\n');
+
+    const result = await diffBuilds(ctx);
+
+    expect(result.to).toBe('dist');
+    expect(result.comparisons[0].files).toEqual([]);
+    expect(result.comparisons[1].files).toEqual([
+      { path: 'MessageKeys/keys.US_en.properties', status: 'modified', kind: 'messageKeys', changes: ['a: "One" -> "Uno"'], signOff: false },
+      { path: 'user_schema_root/example.xml', status: 'removed', kind: 'schema', changes: ['table U_EXAMPLE: removed'], signOff: true },
+    ]);
+  });
+
+  it('should fail when there is nothing to compare', async () => {
+    await expect(diffBuilds(ctx)).rejects.toThrow('Nothing to compare');
+    await expect(diffBuilds(ctx, { from: path.join(root, 'missing.zip') })).rejects.toThrow('Archive not found');
+  });
+});
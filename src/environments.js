@@ -0,0 +1,102 @@
+import * as fs from 'node:fs';
+import path from 'node:path';
+import xml2js from 'xml2js';
+import { validatePluginXml } from './validators/pluginXml.js';
+
+const fsPromises = fs.promises;
+
+// Environment names end up in file and zip names, so they are kept to a safe set of characters.
+export const envNamePattern = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+/**
+ * Returns the folder whose PowerSchool folders are merged over the regular ones for the
+ * configured environment, e.g. src/powerschool.test.
+ * @param {object} config - The resolved configuration.
+ * @returns {string|null} The folder, or null when no environment is configured.
+ */
+export function envSourceDirOf(config) {
+  return config.env ? `${config.powerSchoolSourceDir}.${config.env}` : null;
+}
+
+/**
+ * Returns the plugin.xml overlay of the configured environment, e.g. plugin.test.xml.
+ * @param {object} config - The resolved configuration.
+ * @returns {string|null} The overlay path, or null when no environment is configured.
+ */
+export function pluginXmlOverlayPathOf(config) {
+  return config.env ? path.join(config.projectRoot, `plugin.${config.env}.xml`) : null;
+}
+
+/**
+ * Reads and parses the plugin.xml overlay of the configured environment.
+ * @param {object} config - The resolved configuration.
+ * @returns {Promise<{source: string, xml: object}|null>} The overlay, or null if there is none.
+ * @throws {Error} If the overlay cannot be parsed.
+ */
+export async function readPluginXmlOverlay(config) {
+  const overlayPath = pluginXmlOverlayPathOf(config);
+  if (!overlayPath) return null;
+  const source = path.basename(overlayPath);
+  let xmlString;
+  try {
+    xmlString = await fsPromises.readFile(overlayPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  try {
+    return { source, xml: await xml2js.parseStringPromise(xmlString) };
+  } catch (error) {
+    throw new Error(`Could not parse ${source}: ${error.message}`);
+  }
+}
+
+/**
+ * Applies a plugin.xml overlay: attributes of its <plugin> element replace those of plugin.xml,
+ * and each child element replaces every element of the same name, e.g. the whole <oauth/> or
+ * <links>. The version always comes from the build, so the overlay cannot set it.
+ * @param {object} psXML - The parsed plugin.xml object (not modified).
+ * @param {object} overlay - The parsed overlay.
+ * @param {string} source - The overlay file name, used in error messages.
+ * @returns {object} The parsed plugin.xml with the overlay applied.
+ * @throws {Error} If the overlay is malformed or the result is not a valid plugin.xml.
+ */
+export function applyPluginXmlOverlay(psXML, overlay, source) {
+  if (!overlay || !Object.hasOwn(overlay, 'plugin')) {
+    throw new Error(`Invalid ${source}: the root element must be <plugin>`);
+  }
+  // An empty <plugin/> parses as an empty string.
+  const { $: attributes = {}, ...elements } = typeof overlay.plugin === 'object' ? overlay.plugin : {};
+  if (Object.hasOwn(attributes, 'version')) {
+    throw new Error(`Invalid ${source}: the version cannot be overridden`);
+  }
+
+  const merged = structuredClone(psXML);
+  merged.plugin.$ = { ...merged.plugin.$, ...attributes };
+  Object.assign(merged.plugin, structuredClone(elements));
+
+  const problems = validatePluginXml(merged);
+  if (problems.length > 0) {
+    throw new Error(`Invalid plugin.xml with ${source} applied:\n  ${problems.join('\n  ')}`);
+  }
+  return merged;
+}
+
+/**
+ * Lists the overlays found for the configured environment.
+ * @param {object} config - The resolved configuration.
+ * @returns {Promise<string[]>} The overlay file and folder paths that exist.
+ */
+export async function findEnvOverlays(config) {
+  const candidates = [pluginXmlOverlayPathOf(config), envSourceDirOf(config)].filter(Boolean);
+  const found = [];
+  for (const candidate of candidates) {
+    try {
+      await fsPromises.access(candidate);
+      found.push(candidate);
+    } catch {
+      // Either overlay is optional.
+    }
+  }
+  return found;
+}
@@ -0,0 +1,118 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import xml2js from 'xml2js';
+import { resolveConfig } from './config.js';
+import { applyPluginXmlOverlay, envSourceDirOf, readPluginXmlOverlay } from './environments.js';
+import { createContext, ensureDirectoriesExist, prepareBuildDirectory, validateProject, writeBuildXml } from './main.js';
+
+const fsPromises = fs.promises;
+
+const pluginXml = '<plugin name="Attendance" version="26.06.05" description="Attendance tools">'
+  + '<publisher name="Tester"><contact email="t@example.com"/></publisher>'
+  + '<oauth base_url="https://ps.example.com"/>'
+  + '</plugin>';
+
+describe('applyPluginXmlOverlay', () => {
+  it('should replace attributes and whole elements', async () => {
+    const psXML = await xml2js.parseStringPromise(pluginXml);
+    const overlay = await xml2js.parseStringPromise('<plugin name="Attendance (TEST)"><oauth base_url="https://test.example.com"/><links><link display-text="Debug" path="/admin/debug.html"/></links></plugin>');
+
+    const merged = applyPluginXmlOverlay(psXML, overlay, 'plugin.test.xml');
+
+    expect(merged.plugin.$).toEqual({ name: 'Attendance (TEST)', version: '26.06.05', description: 'Attendance tools' });
+    expect(merged.plugin.oauth).toEqual([{ $: { base_url: 'https://test.example.com' } }]);
+    expect(merged.plugin.links[0].link[0].$.path).toBe('/admin/debug.html');
+    expect(merged.plugin.publisher).toEqual(psXML.plugin.publisher);
+    expect(psXML.plugin.$.name).toBe('Attendance');
+  });
+
+  it('should reject overlays that set the version or make plugin.xml invalid', async () => {
+    const psXML = await xml2js.parseStringPromise(pluginXml);
+    const parse = xml => xml2js.parseStringPromise(xml);
+
+    expect(() => applyPluginXmlOverlay(psXML, { links: '' }, 'plugin.test.xml')).toThrow('Invalid plugin.test.xml: the root element must be <plugin>');
+    expect(() => applyPluginXmlOverlay(psXML, { plugin: { $: { version: '1.0.0' } } }, 'plugin.test.xml')).toThrow('the version cannot be overridden');
+    expect(() => applyPluginXmlOverlay(psXML, { plugin: { $: { name: 'A'.repeat(41) } } }, 'plugin.test.xml')).toThrow(/^Invalid plugin\.xml with plugin\.test\.xml applied:\n {2}plugin: name/);
+    expect(applyPluginXmlOverlay(psXML, await parse('<plugin/>'), 'plugin.test.xml')).toEqual(psXML);
+  });
+});
+
+describe('environment builds', () => {
+  let root;
+
+  const write = async (filePath, contents) => {
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+    await fsPromises.writeFile(filePath, contents);
+  };
+  const read = filePath => fsPromises.readFile(filePath, 'utf8');
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    root = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'ps-package-env-'));
+  });
+
+  afterEach(async () => {
+    await fsPromises.rm(root, { recursive: true, force: true });
+  });
+
+  it('should find no overlay without an environment or overlay file', async () => {
+    const config = resolveConfig({}, root);
+    expect(envSourceDirOf(config)).toBeNull();
+    await expect(readPluginXmlOverlay(config)).resolves.toBeNull();
+    await expect(readPluginXmlOverlay(resolveConfig({ env: 'test' }, root))).resolves.toBeNull();
+  });
+
+  it('should report an overlay that cannot be parsed', async () => {
+    await write(path.join(root, 'plugin.test.xml'), '<plugin');
+    await expect(readPluginXmlOverlay(resolveConfig({ env: 'test' }, root))).rejects.toThrow('Could not parse plugin.test.xml');
+  });
+
+  it('should write the overlaid plugin.xml to the build and schema directories', async () => {
+    await write(path.join(root, 'plugin.test.xml'), '<plugin name="Attendance (TEST)"/>');
+    const ctx = createContext(resolveConfig({ env: 'test' }, root));
+    await ensureDirectoriesExist(ctx);
+
+    await writeBuildXml(ctx, await xml2js.parseStringPromise(pluginXml));
+
+    expect(await read(path.join(ctx.config.buildDir, 'plugin.xml'))).toContain('name="Attendance (TEST)"');
+    expect(await read(path.join(ctx.config.schemaDir, 'plugin.xml'))).toContain('name="Attendance (TEST) DATA"');
+  });
+
+  it('should merge the environment folders over the regular ones', async () => {
+    const ctx = createContext(resolveConfig({ env: 'test' }, root));
+    const { powerSchoolSourceDir } = ctx.config;
+    await write(path.join(powerSchoolSourceDir, 'WEB_ROOT', 'admin', 'page.html'), 'production');
+    await write(path.join(powerSchoolSourceDir, 'WEB_ROOT', 'admin', 'other.html'), 'shared');
+    await write(path.join(`${powerSchoolSourceDir}.test`, 'WEB_ROOT', 'admin', 'page.html'), 'test');
+    await write(path.join(`${powerSchoolSourceDir}.test`, 'WEB_ROOT', 'admin', 'debug.html'), 'debug');
+    await write(path.join(`${powerSchoolSourceDir}.test`, 'MessageKeys', 'test.US_en_US.properties'), 'key=test');
+
+    await prepareBuildDirectory(ctx);
+
+    const adminDir = path.join(ctx.config.buildDir, 'WEB_ROOT', 'admin');
+    expect(await read(path.join(adminDir, 'page.html'))).toBe('test');
+    expect(await read(path.join(adminDir, 'other.html'))).toBe('shared');
+    expect(await read(path.join(adminDir, 'debug.html'))).toBe('debug');
+    expect(await read(path.join(ctx.config.schemaDir, 'MessageKeys', 'test.US_en_US.properties'))).toBe('key=test');
+  });
+
+  it('should look for pages in the source and environment WEB_ROOT, not in the previous build', async () => {
+    const ctx = createContext(resolveConfig({ env: 'test' }, root));
+    const { powerSchoolSourceDir } = ctx.config;
+    const page = pageURL => ({ htmlID: pageURL.replace(/\W/g, ''), title: 'Page', contextType: 'student', pageURL, parentHTMLID: 'nav', sortOrder: 1 });
+    await write(path.join(root, 'package.json'), JSON.stringify({ name: 'attendance', version: '26.06.05' }));
+    await write(path.join(root, 'plugin.xml'), pluginXml);
+    await write(path.join(powerSchoolSourceDir, 'WEB_ROOT', 'admin', 'page.html'), 'production');
+    await write(path.join(`${powerSchoolSourceDir}.test`, 'WEB_ROOT', 'admin', 'debug.html'), 'debug');
+    await write(path.join(ctx.config.buildDir, 'WEB_ROOT', 'admin', 'removed.html'), 'stale');
+    await write(path.join(powerSchoolSourceDir, 'pagecataloging', 'pages.json'), JSON.stringify({
+      pages: [page('/admin/page.html'), page('/admin/debug.html'), page('/admin/removed.html')],
+    }));
+
+    expect(await validateProject(ctx)).toEqual([
+      'pagecataloging/pages.json: pages[3]: pageURL "/admin/removed.html" does not exist in WEB_ROOT',
+    ]);
+  });
+});
@@ -0,0 +1,33 @@
+import path from 'node:path';
+import { isWithin } from './utils/fileOps.js';
+import { createMatcher } from './utils/glob.js';
+
+// Compiled junkFiles/exclude/include matchers, per resolved configuration.
+const fileRules = new WeakMap();
+
+/**
+ * Returns the path a build output file has inside its archive.
+ * @param {object} config - The resolved configuration.
+ * @param {string} filePath - A file in the build or schema directory.
+ * @returns {string} The forward-slash path relative to that directory.
+ */
+export function archivePathOf(config, filePath) {
+  const root = isWithin(filePath, config.schemaDir) ? config.schemaDir : config.buildDir;
+  return path.relative(root, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Decides what happens to a file under the junkFiles, exclude and include rules.
+ * @param {object} config - The resolved configuration.
+ * @param {string} archivePath - The file's path inside its archive (see archivePathOf).
+ * @returns {'keep'|'exclude'|'sourcemap'} 'sourcemap' for an excluded source map that goes into sourcemaps-<version>.zip.
+ */
+export function classifyPath(config, archivePath) {
+  let rules = fileRules.get(config);
+  if (!rules) {
+    rules = { excluded: createMatcher([...config.junkFiles, ...config.exclude]), included: createMatcher(config.include) };
+    fileRules.set(config, rules);
+  }
+  if (!rules.excluded(archivePath) || rules.included(archivePath)) return 'keep';
+  return config.sourceMapsArchive && archivePath.endsWith('.map') ? 'sourcemap' : 'exclude';
+}
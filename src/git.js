@@ -0,0 +1,229 @@
+import * as fs from 'node:fs';
+import path from 'node:path';
+import { execFile } from 'node:child_process';
+import * as util from 'node:util';
+import { isWithin } from './utils/fileOps.js';
+import logger from './utils/logger.js';
+
+const fsPromises = fs.promises;
+const execFileAsync = util.promisify(execFile);
+
+// Subject of the commits made by commitRelease; these are left out of the changelog.
+const releaseSubject = version => `chore(release): ${version}`;
+
+// Build output, which releases neither commit nor need to be clean.
+const outputDirsOf = config => [config.buildDir, config.schemaDir, config.archiveDir];
+
+/**
+ * Returns the tag a release of a version gets, e.g. v26.06.05.
+ * @param {object} config - The resolved configuration.
+ * @param {string} version - The released version.
+ * @returns {string} The tag name.
+ */
+export function releaseTagOf(config, version) {
+  return `${config.tagPrefix}${version}`;
+}
+
+/**
+ * Runs a git command in a directory.
+ * @param {string} cwd - The directory to run in.
+ * @param {string[]} args - The git arguments.
+ * @returns {Promise<string>} The standard output, without trailing whitespace.
+ * @throws {Error} If git is missing or the command fails.
+ */
+export async function runGit(cwd, args) {
+  try {
+    const { stdout } = await execFileAsync('git', args, { cwd });
+    return stdout.trimEnd();
+  } catch (error) {
+    const detail = error.code === 'ENOENT' ? 'git is not installed' : (error.stderr || error.message).trim();
+    throw new Error(`git ${args[0]} failed: ${detail}`);
+  }
+}
+
+/**
+ * Lists the tracked files with uncommitted changes. Untracked files are ignored.
+ * @param {string} cwd - The repository directory.
+ * @param {object} [options] - Options.
+ * @param {string[]} [options.ignore] - Directories whose changes are left out, e.g. build output that is tracked.
+ * @returns {Promise<string[]>} One `git status --porcelain` line per changed file.
+ */
+export async function getDirtyFiles(cwd, { ignore = [] } = {}) {
+  const output = await runGit(cwd, ['status', '--porcelain', '--untracked-files=no']);
+  const lines = output ? output.split('\n') : [];
+  if (lines.length === 0 || ignore.length === 0) return lines;
+  // Porcelain paths are relative to the top of the repository and a rename lists "old -> new".
+  const prefix = await runGit(cwd, ['rev-parse', '--show-prefix']);
+  const dirs = ignore.map(dir => path.posix.join(prefix, path.relative(cwd, dir).split(path.sep).join('/')));
+  return lines.filter(line => {
+    const file = line.slice(3).split(' -> ').pop();
+    return !dirs.some(dir => file === dir || file.startsWith(`${dir}/`));
+  });
+}
+
+/**
+ * Finds the most recent tag reachable from HEAD.
+ * @param {string} cwd - The repository directory.
+ * @returns {Promise<string|null>} The tag, or null if there is none.
+ */
+export async function getLastTag(cwd) {
+  try {
+    return await runGit(cwd, ['describe', '--tags', '--abbrev=0']);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Returns the commit checked out in a directory.
+ * @param {string} cwd - The directory.
+ * @returns {Promise<string|null>} The full commit hash, or null outside a git repository.
+ */
+export async function getHeadCommit(cwd) {
+  try {
+    return await runGit(cwd, ['rev-parse', 'HEAD']);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Returns the committer date of the commit checked out in a directory.
+ * @param {string} cwd - The directory.
+ * @returns {Promise<Date|null>} The commit date, or null outside a git repository.
+ */
+export async function getHeadCommitDate(cwd) {
+  try {
+    return new Date(Number(await runGit(cwd, ['log', '-1', '--format=%ct'])) * 1000);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Lists the commits made since a tag, newest first, leaving out earlier release commits.
+ * @param {string} cwd - The repository directory.
+ * @param {string|null} tag - The previous tag, or null for the whole history.
+ * @returns {Promise<{hash: string, subject: string}[]>} The commits.
+ */
+export async function getCommitsSince(cwd, tag) {
+  const output = await runGit(cwd, ['log', '--format=%h%x09%s', ...(tag ? [`${tag}..HEAD`] : [])]);
+  return output.split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      const [hash, ...subject] = line.split('\t');
+      return { hash, subject: subject.join('\t') };
+    })
+    .filter(commit => !commit.subject.startsWith(releaseSubject('')));
+}
+
+/**
+ * Formats the changelog section for a release.
+ * @param {string} version - The released version.
+ * @param {{hash: string, subject: string}[]} commits - The commits in the release.
+ * @param {Date} [date] - The release date.
+ * @returns {string} The Markdown section.
+ */
+export function formatChangelogSection(version, commits, date = new Date()) {
+  const day = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  const items = commits.length > 0
+    ? commits.map(commit => `* ${commit.subject} (${commit.hash})`)
+    : ['* No changes recorded.'];
+  return `## ${version} (${day})\n\n${items.join('\n')}\n`;
+}
+
+/**
+ * Adds a section to the top of a changelog, below its "# " title if it has one.
+ * @param {string} changelog - The current changelog, or an empty string.
+ * @param {string} section - The section to add.
+ * @returns {string} The new changelog.
+ */
+export function prependChangelogSection(changelog, section) {
+  const title = '# Changelog\n\n';
+  if (!changelog.trim()) return `${title}${section}`;
+  const match = /^# .*\n+/.exec(changelog);
+  if (!match) return `${section}\n${changelog}`;
+  return `${match[0]}${section}\n${changelog.slice(match[0].length)}`;
+}
+
+/**
+ * Checks that a release can be committed and tagged: the project is in a git repository
+ * with a committer identity, the tag does not exist yet, and, unless forced, no tracked file outside the build
+ * output has uncommitted changes.
+ * Runs before anything is written so a refused release leaves the tree untouched.
+ * @param {object} ctx - The build context.
+ * @param {string} version - The version about to be released.
+ * @param {object} [options] - Options.
+ * @param {boolean} [options.force] - Release even if the working tree is dirty.
+ * @throws {Error} If the release cannot be made.
+ */
+export async function assertReleasable(ctx, version, { force = false } = {}) {
+  const { config } = ctx;
+  const cwd = config.projectRoot;
+  await runGit(cwd, ['rev-parse', '--is-inside-work-tree']);
+  // Fails when no user.name/user.email is configured, which would otherwise only show at commit time.
+  await runGit(cwd, ['var', 'GIT_COMMITTER_IDENT']);
+
+  const tag = releaseTagOf(config, version);
+  if (await runGit(cwd, ['tag', '--list', tag])) {
+    throw new Error(`git tag ${tag} already exists`);
+  }
+
+  const dirty = await getDirtyFiles(cwd, { ignore: outputDirsOf(config) });
+  if (dirty.length === 0) return;
+  if (!force) {
+    throw new Error(`Working tree has uncommitted changes (commit them, or use --force to release anyway):\n  ${dirty.join('\n  ')}`);
+  }
+  logger.warn(`Releasing from a dirty working tree (${dirty.length} changed files).`);
+}
+
+/**
+ * Records a release in git: adds a CHANGELOG section with the commits since the previous tag,
+ * commits the files the version bump changed together with the changelog, and tags the commit.
+ * If the tag cannot be created, the commit is undone. Build output is never committed. In dry-run mode only the changelog write is recorded.
+ * @param {object} ctx - The build context.
+ * @param {string} version - The released version.
+ * @returns {Promise<{tag: string, commit: string|null, files: string[], changes: number}>} What was recorded.
+ */
+export async function commitRelease(ctx, version) {
+  const { config, ops, report } = ctx;
+  const cwd = config.projectRoot;
+  const tag = releaseTagOf(config, version);
+
+  const previousTag = await getLastTag(cwd);
+  const commits = await getCommitsSince(cwd, previousTag);
+  const changelogPath = path.resolve(cwd, config.changelogFile);
+  let changelog = '';
+  try {
+    changelog = await fsPromises.readFile(changelogPath, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  await ops.writeFile(changelogPath, prependChangelogSection(changelog, formatChangelogSection(version, commits)));
+  logger.info(`Added ${commits.length} commits since ${previousTag ?? 'the first commit'} to ${config.changelogFile}`);
+
+  const outputDirs = outputDirsOf(config);
+  const files = [...new Set(ops.actions
+    .filter(action => action.type === 'write' && isWithin(action.path, cwd))
+    .filter(action => !outputDirs.some(dir => isWithin(action.path, dir)))
+    .map(action => path.relative(cwd, action.path)))];
+
+  const result = { tag, commit: null, files, changes: commits.length };
+  report.git = result;
+  if (ops.dryRun) return result;
+
+  await runGit(cwd, ['add', '--', ...files]);
+  await runGit(cwd, ['commit', '-m', releaseSubject(version), '--', ...files]);
+  try {
+    await runGit(cwd, ['tag', '-a', tag, '-m', releaseSubject(version)]);
+  } catch (error) {
+    // Take the commit back out, so that HEAD matches the files the failed build puts back.
+    await runGit(cwd, ['reset', '--soft', 'HEAD~1']);
+    await runGit(cwd, ['reset', '--quiet', '--', ...files]);
+    throw error;
+  }
+  result.commit = await runGit(cwd, ['rev-parse', '--short', 'HEAD']);
+  logger.info(`Committed ${files.length} files as ${result.commit} and tagged ${tag}`);
+  return result;
+}
+
@@ -0,0 +1,140 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { resolveConfig } from './config.js';
+import {
+  assertReleasable,
+  commitRelease,
+  formatChangelogSection,
+  getCommitsSince,
+  prependChangelogSection,
+  runGit,
+} from './git.js';
+import { createContext } from './main.js';
+
+const fsPromises = fs.promises;
+
+describe('changelog formatting', () => {
+  it('should list the commits under a dated heading', () => {
+    const section = formatChangelogSection('26.06.05', [{ hash: 'abc1234', subject: 'Add report page' }], new Date(2026, 5, 15));
+    expect(section).toBe('## 26.06.05 (2026-06-15)\n\n* Add report page (abc1234)\n');
+  });
+
+  it('should add sections below the title', () => {
+    const first = prependChangelogSection('', '## 1\n');
+    expect(first).toBe('# Changelog\n\n## 1\n');
+    expect(prependChangelogSection(first, '## 2\n')).toBe('# Changelog\n\n## 2\n\n## 1\n');
+  });
+});
+
+describe('git release', () => {
+  let root;
+  let ctx;
+
+  const write = (file, contents) => fsPromises.writeFile(path.join(root, file), contents);
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    root = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'ps-package-git-'));
+    await runGit(root, ['init', '--quiet']);
+    await runGit(root, ['config', 'user.name', 'Tester']);
+    await runGit(root, ['config', 'user.email', 'tester@example.com']);
+    await runGit(root, ['config', 'commit.gpgsign', 'false']);
+    await runGit(root, ['config', 'tag.gpgsign', 'false']);
+    await write('package.json', '{"version":"26.06.04"}');
+    await write('notes.txt', 'first');
+    await runGit(root, ['add', '.']);
+    await runGit(root, ['commit', '--quiet', '-m', 'Initial commit']);
+    await runGit(root, ['tag', 'v26.06.04']);
+    await write('notes.txt', 'second');
+    await runGit(root, ['commit', '--quiet', '-am', 'Add report page']);
+
+    ctx = createContext(resolveConfig({ git: true }, root));
+  });
+
+  afterEach(async () => {
+    await fsPromises.rm(root, { recursive: true, force: true });
+  });
+
+  it('should refuse a dirty working tree unless forced', async () => {
+    await write('notes.txt', 'uncommitted');
+
+    await expect(assertReleasable(ctx, '26.06.05')).rejects.toThrow(
+      'Working tree has uncommitted changes (commit them, or use --force to release anyway):\n   M notes.txt',
+    );
+    await expect(assertReleasable(ctx, '26.06.05', { force: true })).resolves.toBeUndefined();
+  });
+
+  it('should ignore untracked files and refuse existing tags', async () => {
+    await write('scratch.txt', 'untracked');
+
+    await expect(assertReleasable(ctx, '26.06.05')).resolves.toBeUndefined();
+    await expect(assertReleasable(ctx, '26.06.04')).rejects.toThrow('git tag v26.06.04 already exists');
+  });
+
+  it('should release twice in a row when build output is tracked', async () => {
+    await fsPromises.mkdir(path.join(root, 'schema'));
+    await write('schema/plugin.xml', '<plugin version="26.06.04"/>');
+    await runGit(root, ['add', '.']);
+    await runGit(root, ['commit', '--quiet', '-m', 'Track the schema build']);
+
+    for (const version of ['26.06.05', '26.06.06']) {
+      const releaseCtx = createContext(resolveConfig({ git: true }, root));
+      await assertReleasable(releaseCtx, version);
+      await releaseCtx.ops.writeFile(path.join(root, 'package.json'), `{"version":"${version}"}`);
+      await releaseCtx.ops.writeFile(path.join(root, 'schema', 'plugin.xml'), `<plugin version="${version}"/>`);
+      await commitRelease(releaseCtx, version);
+    }
+
+    expect(await runGit(root, ['describe', '--tags'])).toBe('v26.06.06');
+    expect(await runGit(root, ['status', '--porcelain'])).toBe(' M schema/plugin.xml');
+  });
+
+  it('should fail outside a git repository', async () => {
+    await fsPromises.rm(path.join(root, '.git'), { recursive: true });
+    await expect(assertReleasable(ctx, '26.06.05')).rejects.toThrow('git rev-parse failed');
+  });
+
+  it('should commit the bumped files and changelog, then tag the release', async () => {
+    await fsPromises.mkdir(path.join(root, 'dist'));
+    await ctx.ops.writeFile(path.join(root, 'package.json'), '{"version":"26.06.05"}');
+    await ctx.ops.writeFile(path.join(root, 'dist', 'plugin.xml'), '<plugin/>');
+
+    const result = await commitRelease(ctx, '26.06.05');
+
+    expect(result).toMatchObject({ tag: 'v26.06.05', files: ['package.json', 'CHANGELOG.md'], changes: 1 });
+    expect(await runGit(root, ['log', '-1', '--format=%s'])).toBe('chore(release): 26.06.05');
+    expect(await runGit(root, ['show', '--name-only', '--format=', 'HEAD'])).toBe('CHANGELOG.md\npackage.json');
+    expect(await runGit(root, ['describe', '--tags'])).toBe('v26.06.05');
+    const changelog = await fsPromises.readFile(path.join(root, 'CHANGELOG.md'), 'utf8');
+    expect(changelog).toMatch(/^# Changelog\n\n## 26\.06\.05 \(\d{4}-\d\d-\d\d\)\n\n\* Add report page \([0-9a-f]+\)\n$/);
+
+    // The release commit itself is left out of the next changelog section.
+    expect(await getCommitsSince(root, 'v26.06.04')).toEqual([expect.objectContaining({ subject: 'Add report page' })]);
+  });
+
+  it('should undo the release commit when the tag cannot be created', async () => {
+    const head = await runGit(root, ['rev-parse', 'HEAD']);
+    await runGit(root, ['tag', 'v26.06.05']);
+    await ctx.ops.writeFile(path.join(root, 'package.json'), '{"version":"26.06.05"}');
+
+    await expect(commitRelease(ctx, '26.06.05')).rejects.toThrow('already exists');
+
+    expect(await runGit(root, ['rev-parse', 'HEAD'])).toBe(head);
+    expect(await runGit(root, ['diff', '--cached', '--name-only'])).toBe('');
+    expect(await runGit(root, ['status', '--porcelain'])).toBe(' M package.json\n?? CHANGELOG.md');
+  });
+
+  it('should only record the release in dry-run mode', async () => {
+    const dryRunCtx = createContext(resolveConfig({ git: true }, root), { dryRun: true });
+
+    const result = await commitRelease(dryRunCtx, '26.06.05');
+
+    expect(result).toEqual({ tag: 'v26.06.05', commit: null, files: ['CHANGELOG.md'], changes: 1 });
+    expect(dryRunCtx.report.git).toBe(result);
+    await expect(fsPromises.access(path.join(root, 'CHANGELOG.md'))).rejects.toThrow();
+    expect(await runGit(root, ['tag', '--list'])).toBe('v26.06.04');
+  });
+});
@@ -0,0 +1,135 @@
+import * as fs from 'node:fs';
+import { archivePathOf } from './fileRules.js';
+import logger from './utils/logger.js';
+
+const fsPromises = fs.promises;
+
+// The points of a build that hooks can run at, in the order they run.
+export const hookNames = ['beforeMerge', 'transformFile', 'afterMerge', 'beforeArchive', 'afterArchive', 'onError'];
+
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Checks a set of hooks: an object of hook functions with an optional `name`, or an array of
+ * such objects, e.g. one per plugin package.
+ * @param {*} value - The configured hooks.
+ * @returns {string|null} An error description, or null if the hooks are valid.
+ */
+export function checkHooks(value) {
+  const sets = Array.isArray(value) ? value : [value];
+  for (const [index, hooks] of sets.entries()) {
+    const prefix = Array.isArray(value) ? `item ${index} ` : '';
+    if (!isPlainObject(hooks)) return `${prefix}must be an object of hook functions or an array of them`;
+    for (const [key, hook] of Object.entries(hooks)) {
+      if (key === 'name') {
+        if (typeof hook !== 'string') return `${prefix}has a "name" that is not a string`;
+      } else if (!hookNames.includes(key)) {
+        return `${prefix}has an unknown hook "${key}" (expected one of: ${hookNames.join(', ')})`;
+      } else if (typeof hook !== 'function') {
+        return `${prefix}has a "${key}" that is not a function`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Turns configured hooks into a list of hook sets.
+ * @param {object|object[]} [value] - An object of hook functions, or an array of them.
+ * @returns {object[]} The hook sets, in the order their hooks run.
+ * @throws {Error} If the hooks are invalid.
+ */
+export function normalizeHooks(value) {
+  if (value === undefined) return [];
+  const problem = checkHooks(value);
+  if (problem) throw new Error(`Invalid hooks: ${problem}`);
+  return Array.isArray(value) ? [...value] : [value];
+}
+
+/**
+ * Returns the registered functions of a hook, with the name of the set each came from.
+ * @param {object} ctx - The build context.
+ * @param {string} name - The hook name.
+ * @returns {Array<{fn: Function, label: string}>} The functions, in registration order.
+ */
+function hooksOf(ctx, name) {
+  return (ctx.hooks ?? [])
+    .filter(hooks => hooks[name])
+    .map(hooks => ({ fn: hooks[name], label: hooks.name ? `${hooks.name} ${name}` : name }));
+}
+
+/**
+ * Runs every function registered for a hook, one after the other.
+ * @param {object} ctx - The build context.
+ * @param {string} name - The hook name, e.g. 'afterArchive'.
+ * @param {object} details - What the hook is given besides the context.
+ * @returns {Promise<void>} Resolves once every function has finished.
+ * @throws {Error} If a hook function fails.
+ */
+export async function runHook(ctx, name, details) {
+  for (const { fn, label } of hooksOf(ctx, name)) {
+    try {
+      await fn(ctx, details);
+    } catch (error) {
+      throw new Error(`${label} hook failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Runs the onError hooks of a failed build. Their own failures are logged, so they never hide
+ * the error that failed the build.
+ * @param {object} ctx - The build context.
+ * @param {Error} error - The error that failed the build.
+ */
+export async function runErrorHooks(ctx, error) {
+  try {
+    await runHook(ctx, 'onError', { error });
+  } catch (hookError) {
+    logger.warn(hookError.message);
+  }
+}
+
+/**
+ * Passes every file of the build and schema directories through the transformFile hooks. Each
+ * hook gets the file's path, its path inside the archive and its contents, and returns new
+ * contents (a string or Buffer) or nothing to leave the file as it is. Later hooks see what
+ * earlier ones returned. In dry-run mode the merged files are not on disk, so nothing is transformed.
+ * @param {object} ctx - The build context.
+ * @returns {Promise<string[]>} The files that were changed.
+ */
+export async function transformFiles(ctx) {
+  const { config, ops } = ctx;
+  const hooks = hooksOf(ctx, 'transformFile');
+  if (hooks.length === 0) return [];
+  const files = [...await ops.listFiles(config.buildDir), ...await ops.listFiles(config.schemaDir)];
+  if (ops.dryRun) {
+    logger.info(`Would run ${hooks.length} transformFile hook(s) on ${files.length} file(s)`);
+    return [];
+  }
+
+  const changed = [];
+  for (const { path: filePath } of files) {
+    const original = await fsPromises.readFile(filePath);
+    let contents = original;
+    for (const { fn, label } of hooks) {
+      let result;
+      try {
+        result = await fn(ctx, { path: filePath, archivePath: archivePathOf(config, filePath), contents });
+      } catch (error) {
+        throw new Error(`${label} hook failed for ${archivePathOf(config, filePath)}: ${error.message}`);
+      }
+      if (result === undefined || result === null) continue;
+      if (typeof result !== 'string' && !Buffer.isBuffer(result)) {
+        throw new Error(`${label} hook returned ${typeof result} for ${archivePathOf(config, filePath)} (expected a string or Buffer)`);
+      }
+      contents = Buffer.isBuffer(result) ? result : Buffer.from(result);
+    }
+    if (!contents.equals(original)) {
+      await ops.writeFile(filePath, contents);
+      changed.push(filePath);
+    }
+  }
+  logger.info(`Transformed ${changed.length} file(s)`);
+  return changed;
+}
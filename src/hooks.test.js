@@ -0,0 +1,93 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { resolveConfig } from './config.js';
+import { checkHooks, normalizeHooks, runErrorHooks, runHook, transformFiles } from './hooks.js';
+import { createContext } from './main.js';
+import logger from './utils/logger.js';
+
+const fsPromises = fs.promises;
+
+describe('checkHooks', () => {
+  it('should accept a hook object or an array of them', () => {
+    expect(checkHooks({ name: 'license', transformFile: () => {} })).toBeNull();
+    expect(checkHooks([{ beforeMerge: () => {} }, { afterArchive: async () => {} }])).toBeNull();
+  });
+
+  it('should describe unknown hooks and values that are not functions', () => {
+    expect(checkHooks({ beforeBuild: () => {} })).toBe('has an unknown hook "beforeBuild" (expected one of: beforeMerge, transformFile, afterMerge, beforeArchive, afterArchive, onError)');
+    expect(checkHooks([{}, { afterMerge: 'lint' }])).toBe('item 1 has a "afterMerge" that is not a function');
+    expect(checkHooks([{ name: 1 }])).toBe('item 0 has a "name" that is not a string');
+    expect(checkHooks('hooks.js')).toBe('must be an object of hook functions or an array of them');
+    expect(() => normalizeHooks([null])).toThrow('Invalid hooks: item 0 must be an object');
+  });
+});
+
+describe('hooks', () => {
+  let root;
+  let ctx;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    root = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'ps-package-hooks-'));
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await fsPromises.rm(root, { recursive: true, force: true });
+  });
+
+  it('should run config hooks before those given to the context, one after the other', async () => {
+    const calls = [];
+    const config = resolveConfig({ hooks: { beforeMerge: async () => calls.push('config') } }, root);
+    ctx = createContext(config, { hooks: [{ beforeMerge: (hookCtx, { version }) => calls.push(`api ${version}`) }, { afterMerge: () => calls.push('other') }] });
+
+    await runHook(ctx, 'beforeMerge', { version: '26.06.05' });
+
+    expect(calls).toEqual(['config', 'api 26.06.05']);
+  });
+
+  it('should name the hook that failed, and never let onError hide the build error', async () => {
+    ctx = createContext(resolveConfig({}, root), {
+      hooks: [
+        { name: 'sql-templates', beforeArchive: () => { throw new Error('no template'); } },
+        { onError: () => { throw new Error('webhook down'); } },
+      ],
+    });
+    const warn = vi.spyOn(logger, 'warn').mockImplementation(() => {});
+
+    await expect(runHook(ctx, 'beforeArchive', {})).rejects.toThrow('sql-templates beforeArchive hook failed: no template');
+    await runErrorHooks(ctx, new Error('build failed'));
+    expect(warn).toHaveBeenCalledWith('onError hook failed: webhook down');
+  });
+
+  it('should pass each output file through the transformFile hooks', async () => {
+    ctx = createContext(resolveConfig({
+      hooks: [
+        { transformFile: (hookCtx, { archivePath, contents }) => (archivePath.endsWith('.js') ? `/* License */\n${contents}` : undefined) },
+        { transformFile: (hookCtx, { contents }) => contents.toString().replace('{{year}}', '2026') },
+      ],
+    }, root));
+    const { buildDir, schemaDir } = ctx.config;
+    await fsPromises.mkdir(path.join(buildDir, 'WEB_ROOT'), { recursive: true });
+    await fsPromises.mkdir(schemaDir, { recursive: true });
+    await fsPromises.writeFile(path.join(buildDir, 'WEB_ROOT', 'app.js'), 'run({{year}});');
+    await fsPromises.writeFile(path.join(buildDir, 'WEB_ROOT', 'page.html'), '<p></p>');
+    await fsPromises.writeFile(path.join(schemaDir, 'plugin.xml'), '<plugin/>');
+
+    const changed = await transformFiles(ctx);
+
+    expect(changed).toEqual([path.join(buildDir, 'WEB_ROOT', 'app.js')]);
+    expect(await fsPromises.readFile(path.join(buildDir, 'WEB_ROOT', 'app.js'), 'utf8')).toBe('/* License */\nrun(2026);');
+    expect(await fsPromises.readFile(path.join(buildDir, 'WEB_ROOT', 'page.html'), 'utf8')).toBe('<p></p>');
+  });
+
+  it('should reject transformFile results that are not file contents', async () => {
+    ctx = createContext(resolveConfig({}, root), { hooks: { transformFile: () => 42 } });
+    await fsPromises.mkdir(ctx.config.buildDir, { recursive: true });
+    await fsPromises.writeFile(path.join(ctx.config.buildDir, 'plugin.xml'), '<plugin/>');
+
+    await expect(transformFiles(ctx)).rejects.toThrow('transformFile hook returned number for plugin.xml (expected a string or Buffer)');
+  });
+});
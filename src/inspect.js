@@ -0,0 +1,277 @@
+import * as fs from 'node:fs';
+import path from 'node:path';
+import xml2js from 'xml2js';
+import { readAccessRequest } from './accessRequest.js';
+import { describeField, readArchiveTree, schemaTablesOf } from './diff.js';
+import { manifestPathFor, verifyArchive } from './manifest.js';
+import { validatePluginXml } from './validators/pluginXml.js';
+import logger from './utils/logger.js';
+
+const fsPromises = fs.promises;
+
+const isPage = filePath => /^WEB_ROOT\/.+\.html?$/i.test(filePath);
+const isSchemaFile = filePath => filePath.startsWith('user_schema_root/') && filePath.toLowerCase().endsWith('.xml');
+const isPageCatalogingFile = filePath => filePath.startsWith('pagecataloging/') && filePath.endsWith('.json');
+
+/**
+ * Reads a plugin archive together with its DATA- archive, when there is one next to it.
+ * Either archive of the pair can be given; a legacy plugin is often a single zip.
+ * @param {string} zipPath - The archive path.
+ * @returns {Promise<{archives: string[], tree: Map<string, Buffer>}>} The archives read, and their
+ *   entries keyed by path (the plugin archive's plugin.xml wins over the DATA- archive's).
+ * @throws {Error} If neither archive exists or one cannot be read.
+ */
+export async function readPluginArchives(zipPath) {
+  const dir = path.dirname(zipPath);
+  const baseName = path.basename(zipPath).replace(/^DATA-/, '');
+  const archives = [];
+  const tree = new Map();
+  for (const name of [`DATA-${baseName}`, baseName]) {
+    const filePath = path.join(dir, name);
+    let entries;
+    try {
+      entries = await readArchiveTree(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw new Error(`Could not read ${filePath}: ${error.message}`);
+    }
+    archives.unshift(filePath);
+    entries.forEach((data, entryPath) => tree.set(entryPath, data));
+  }
+  if (archives.length === 0) throw new Error(`Archive not found: ${zipPath}`);
+  return { archives, tree };
+}
+
+/**
+ * Describes the plugin.xml of an archive.
+ * @param {Buffer|undefined} data - The plugin.xml entry.
+ * @param {string[]} problems - The list problems are added to.
+ * @returns {Promise<object|null>} The name, version, description, publisher, contact and access_request
+ *   field count, or null if there is no readable plugin.xml.
+ */
+async function describePlugin(data, problems) {
+  if (!data) {
+    problems.push('plugin.xml: not in the archive');
+    return null;
+  }
+  let psXML;
+  try {
+    psXML = await xml2js.parseStringPromise(data.toString('utf8'));
+  } catch (error) {
+    problems.push(`plugin.xml: ${error.message}`);
+    return null;
+  }
+  problems.push(...validatePluginXml(psXML).map(problem => `plugin.xml: ${problem}`));
+  const attributes = psXML?.plugin?.$ ?? {};
+  const publisher = psXML?.plugin?.publisher?.[0];
+  return {
+    name: attributes.name ?? null,
+    version: attributes.version ?? null,
+    description: attributes.description ?? null,
+    publisher: publisher?.$?.name ?? null,
+    email: publisher?.contact?.[0]?.$?.email ?? null,
+    accessRequest: psXML?.plugin ? readAccessRequest(psXML).length : 0,
+  };
+}
+
+/**
+ * Describes what a plugin archive holds: its plugin.xml, the ps-package manifest next to it if
+ * there is one, its top-level folders, the tables of user_schema_root and the WEB_ROOT pages
+ * with their pagecataloging entries. Together with its DATA- archive, if there is one.
+ * Files that cannot be parsed are reported as problems rather than failing the inspection.
+ * @param {object} ctx - The build context.
+ * @param {string} zipPath - The archive path.
+ * @returns {Promise<{archives: string[], plugin: object|null, manifests: object[], folders: object[], files: string[],
+ *   tables: object[], pages: object[], problems: string[]}>} The description.
+ * @throws {Error} If the archive does not exist or is not a zip file.
+ */
+export async function inspectArchive(ctx, zipPath) {
+  const { config } = ctx;
+  const { archives, tree } = await readPluginArchives(zipPath);
+  const problems = [];
+  const plugin = await describePlugin(tree.get('plugin.xml'), problems);
+
+  const manifests = [];
+  for (const archive of archives) {
+    let manifest;
+    try {
+      manifest = JSON.parse(await fsPromises.readFile(manifestPathFor(archive), 'utf8'));
+    } catch {
+      continue;
+    }
+    manifests.push({
+      archive: path.basename(archive),
+      builtAt: manifest.builtAt ?? null,
+      commit: manifest.commit ?? null,
+      differences: await verifyArchive(archive),
+    });
+  }
+
+  const counts = new Map();
+  const files = [];
+  for (const entryPath of [...tree.keys()].sort()) {
+    const slash = entryPath.indexOf('/');
+    if (slash === -1) {
+      if (entryPath !== 'plugin.xml') files.push(entryPath);
+      continue;
+    }
+    const folder = entryPath.slice(0, slash);
+    counts.set(folder, (counts.get(folder) ?? 0) + 1);
+  }
+  const folders = [...counts].map(([name, fileCount]) => ({ name, files: fileCount, psFolder: config.psFolders.includes(name) }));
+
+  const tables = [];
+  for (const [file, data] of tree) {
+    if (!isSchemaFile(file)) continue;
+    try {
+      const doc = await xml2js.parseStringPromise(data.toString('utf8'));
+      for (const [name, { attributes, fields }] of schemaTablesOf(doc)) {
+        tables.push({ name, file, coreTable: attributes.coreTable ?? null, fields: [...fields].map(([field, fieldAttributes]) => describeField(field, fieldAttributes)) });
+      }
+    } catch (error) {
+      problems.push(`${file}: ${error.message}`);
+    }
+  }
+  tables.sort((a, b) => a.name.localeCompare(b.name));
+
+  // Cataloged pages by the WEB_ROOT file their pageURL points at.
+  const catalog = new Map();
+  for (const [file, data] of tree) {
+    if (!isPageCatalogingFile(file)) continue;
+    try {
+      const { pages } = JSON.parse(data.toString('utf8'));
+      for (const { htmlID, title, pageURL, parentHTMLID } of Array.isArray(pages) ? pages : []) {
+        if (typeof pageURL === 'string') catalog.set(`WEB_ROOT${pageURL.split(/[?#]/)[0]}`, { htmlID, title, parentHTMLID, file });
+      }
+    } catch (error) {
+      problems.push(`${file}: ${error.message}`);
+    }
+  }
+  const pages = [...tree.keys()]
+    .filter(isPage)
+    .sort()
+    .map(file => ({ path: file.slice('WEB_ROOT'.length), pageCataloging: catalog.get(file) ?? null }));
+  for (const [page, { file }] of catalog) {
+    if (!tree.has(page)) problems.push(`${file}: pageURL ${page.slice('WEB_ROOT'.length)} is not in WEB_ROOT`);
+  }
+
+  return { archives: archives.map(archive => path.basename(archive)), plugin, manifests, folders, files, tables, pages, problems };
+}
+
+/**
+ * Formats the result of inspectArchive as a human-readable report.
+ * @param {object} result - The result of inspectArchive.
+ * @returns {string} The report text.
+ */
+export function formatInspection(result) {
+  const { plugin } = result;
+  const lines = [`Archives: ${result.archives.join(', ')}`];
+  if (plugin) {
+    lines.push(`Plugin: ${plugin.name} ${plugin.version}`);
+    if (plugin.description) lines.push(`  Description: ${plugin.description}`);
+    lines.push(`  Publisher: ${plugin.publisher ?? '(none)'}${plugin.email ? ` <${plugin.email}>` : ''}`);
+    lines.push(`  access_request: ${plugin.accessRequest} field(s)`);
+  }
+  for (const manifest of result.manifests) {
+    const state = manifest.differences.length === 0 ? 'matches the archive' : `${manifest.differences.length} difference(s), see ps-package verify`;
+    lines.push(`Manifest of ${manifest.archive}: built ${manifest.builtAt}${manifest.commit ? ` from ${manifest.commit}` : ''}, ${state}`);
+  }
+
+  lines.push('Folders:');
+  if (result.folders.length === 0) lines.push('  (none)');
+  const width = Math.max(0, ...result.folders.map(folder => folder.name.length));
+  for (const folder of result.folders) {
+    lines.push(`  ${folder.name.padEnd(width)}  ${folder.files} file(s)${folder.psFolder ? '' : ' (not in psFolders)'}`);
+  }
+  if (result.files.length > 0) lines.push(`Other files: ${result.files.join(', ')}`);
+
+  lines.push('Tables:');
+  if (result.tables.length === 0) lines.push('  (none)');
+  for (const table of result.tables) {
+    lines.push(`  ${table.name}${table.coreTable ? ` (extends ${table.coreTable})` : ''}: ${table.fields.join(', ')}`);
+  }
+
+  lines.push('Pages:');
+  if (result.pages.length === 0) lines.push('  (none)');
+  for (const page of result.pages) {
+    const entry = page.pageCataloging;
+    lines.push(`  ${page.path}${entry ? ` (pagecataloging: ${JSON.stringify(entry.title)} under ${entry.parentHTMLID})` : ''}`);
+  }
+
+  if (result.problems.length > 0) {
+    lines.push('Problems:');
+    lines.push(...result.problems.map(problem => `  ${problem}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Imports a plugin archive (with its DATA- archive, if there is one) into the project's source
+ * layout: plugin.xml goes to the project root and the folders of `config.psFolders` to the
+ * PowerSchool source folder. Other files are reported and left out. The version in package.json,
+ * if there is one, is set to the plugin's.
+ * @param {object} ctx - The build context.
+ * @param {string} zipPath - The archive path.
+ * @param {object} [options] - Import options.
+ * @param {boolean} [options.force] - Replace files that already exist.
+ * @returns {Promise<{files: string[], skipped: string[]}>} The files written, relative to the project root, and the archive entries left out.
+ * @throws {Error} If the archive cannot be read, or files exist and `force` is not set.
+ */
+export async function importArchive(ctx, zipPath, { force = false } = {}) {
+  const { config, ops } = ctx;
+  const { tree } = await readPluginArchives(zipPath);
+  const sourceDir = config.powerSchoolSourceDir;
+
+  const targets = [];
+  const skipped = [];
+  for (const entryPath of [...tree.keys()].sort()) {
+    const target = entryPath === 'plugin.xml'
+      ? path.join(config.projectRoot, 'plugin.xml')
+      : path.resolve(sourceDir, ...entryPath.split('/'));
+    const folder = entryPath.split('/')[0];
+    // Entries outside the PowerSchool folders, or escaping them with "..", are not imported.
+    if (entryPath !== 'plugin.xml' && (!config.psFolders.includes(folder) || !target.startsWith(path.join(sourceDir, folder) + path.sep))) {
+      skipped.push(entryPath);
+      continue;
+    }
+    targets.push([entryPath, target]);
+  }
+
+  const relative = filePath => path.relative(config.projectRoot, filePath);
+  if (!force) {
+    const existing = [];
+    for (const [, target] of targets) {
+      if (await ops.exists(target)) existing.push(relative(target));
+    }
+    if (existing.length > 0) {
+      throw new Error(`These files already exist (use --force to replace them):\n  ${existing.join('\n  ')}`);
+    }
+  }
+
+  for (const [entryPath, target] of targets) {
+    await ops.mkdir(path.dirname(target), { recursive: true });
+    await ops.writeFile(target, tree.get(entryPath));
+    logger.verbose(`Imported ${entryPath} to ${relative(target)}`);
+  }
+  if (skipped.length > 0) {
+    logger.warn(`Left out ${skipped.length} file(s) that are not in a PowerSchool folder (psFolders):\n  ${skipped.join('\n  ')}`);
+  }
+
+  // The build bumps from the version in package.json, so it must match the imported plugin.xml.
+  const psXML = tree.has('plugin.xml') ? await xml2js.parseStringPromise(tree.get('plugin.xml').toString('utf8')).catch(() => null) : null;
+  const version = psXML?.plugin?.$?.version;
+  const packageJsonPath = path.join(config.projectRoot, 'package.json');
+  if (!await ops.exists(packageJsonPath)) {
+    logger.info('There is no package.json yet: run ps-package init to add one');
+  } else if (version) {
+    const packageJson = JSON.parse(await fsPromises.readFile(packageJsonPath, 'utf8'));
+    if (packageJson.version !== version) {
+      packageJson.version = version;
+      await ops.writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2));
+      logger.info(`Updated package.json to version ${version}`);
+    }
+  }
+
+  logger.info(`Imported ${targets.length} file(s) from ${path.basename(zipPath)} into ${relative(sourceDir)}`);
+  return { files: targets.map(([, target]) => relative(target)), skipped };
+}
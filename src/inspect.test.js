@@ -0,0 +1,129 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { resolveConfig } from './config.js';
+import { formatInspection, importArchive, inspectArchive } from './inspect.js';
+import { createContext } from './main.js';
+import { createManifest, manifestPathFor } from './manifest.js';
+import { makeZip } from './test/makeZip.js';
+
+const fsPromises = fs.promises;
+
+const writeZip = async (zipPath, files) => fsPromises.writeFile(zipPath, await makeZip(files));
+
+const pluginXml = (name, version) => `<plugin name="${name}" version="${version}" description="Bus routes">`
+  + '<publisher name="TESD Tech"><contact email="tech@tesd.net"/></publisher>'
+  + '<access_request><field table="STUDENTS" field="DCID" access="ViewOnly"/></access_request>'
+  + '</plugin>';
+
+const pageCataloging = JSON.stringify({
+  pages: [
+    { htmlID: 'busRoutes', title: 'Bus Routes', pageURL: '/admin/students/bus.html?frn=~(studentfrn)', parentHTMLID: 'navStudentProfileSection' },
+    { htmlID: 'busStops', title: 'Bus Stops', pageURL: '/admin/students/stops.html', parentHTMLID: 'navStudentProfileSection' },
+  ],
+});
+
+const schema = '<extensions><extension name="U_BUS" coreTable="STUDENTS"><table name="U_BUS">'
+  + '<field name="ROUTE" type="String" maxLength="20"/><field name="RIDER" type="Boolean"/>'
+  + '</table></extension></extensions>';
+
+describe('inspect', () => {
+  let root;
+  let ctx;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    root = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'ps-package-inspect-'));
+    ctx = createContext(resolveConfig({ projectType: 'html' }, root));
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await fsPromises.rm(root, { recursive: true, force: true });
+  });
+
+  it('should describe an archive together with its DATA- archive and manifest', async () => {
+    const zipPath = path.join(root, 'Bus_Routes-2.0.1.zip');
+    await writeZip(zipPath, {
+      'plugin.xml': pluginXml('Bus Routes', '2.0.1'),
+      'WEB_ROOT/admin/students/bus.html': '<p>bus</p>',
+      'WEB_ROOT/scripts/bus.js': 'export {};',
+      'pagecataloging/bus.json': pageCataloging,
+      'extras/readme.txt': 'legacy notes',
+      'notes.txt': 'more notes',
+    });
+    await writeZip(path.join(root, 'DATA-Bus_Routes-2.0.1.zip'), {
+      'plugin.xml': pluginXml('Bus Routes DATA', '2.0.1'),
+      'user_schema_root/bus.xml': schema,
+    });
+    const manifest = createManifest({
+      name: 'Bus_Routes-2.0.1.zip',
+      buffer: await fsPromises.readFile(zipPath),
+      plugin: { name: 'Bus Routes', version: '2.0.1' },
+      commit: 'abc1234',
+      builtAt: new Date('2026-06-01T12:00:00Z'),
+    });
+    await fsPromises.writeFile(manifestPathFor(zipPath), JSON.stringify(manifest));
+
+    const result = await inspectArchive(ctx, path.join(root, 'DATA-Bus_Routes-2.0.1.zip'));
+
+    expect(result.archives).toEqual(['Bus_Routes-2.0.1.zip', 'DATA-Bus_Routes-2.0.1.zip']);
+    expect(result.plugin).toEqual({ name: 'Bus Routes', version: '2.0.1', description: 'Bus routes', publisher: 'TESD Tech', email: 'tech@tesd.net', accessRequest: 1 });
+    expect(formatInspection(result)).toBe([
+      'Archives: Bus_Routes-2.0.1.zip, DATA-Bus_Routes-2.0.1.zip',
+      'Plugin: Bus Routes 2.0.1',
+      '  Description: Bus routes',
+      '  Publisher: TESD Tech <tech@tesd.net>',
+      '  access_request: 1 field(s)',
+      'Manifest of Bus_Routes-2.0.1.zip: built 2026-06-01T12:00:00.000Z from abc1234, matches the archive',
+      'Folders:',
+      '  WEB_ROOT          2 file(s)',
+      '  extras            1 file(s) (not in psFolders)',
+      '  pagecataloging    1 file(s)',
+      '  user_schema_root  1 file(s)',
+      'Other files: notes.txt',
+      'Tables:',
+      '  U_BUS (extends STUDENTS): ROUTE (String, maxLength 20), RIDER (Boolean)',
+      'Pages:',
+      '  /admin/students/bus.html (pagecataloging: "Bus Routes" under navStudentProfileSection)',
+      'Problems:',
+      '  pagecataloging/bus.json: pageURL /admin/students/stops.html is not in WEB_ROOT',
+    ].join('\n'));
+  });
+
+  it('should import a legacy archive into the source layout', async () => {
+    const zipPath = path.join(root, 'legacy.zip');
+    await writeZip(zipPath, {
+      'plugin.xml': pluginXml('Bus Routes', '2.0.1'),
+      'WEB_ROOT/admin/students/bus.html': '<p>bus</p>',
+      'user_schema_root/bus.xml': schema,
+      'extras/readme.txt': 'legacy notes',
+    });
+    await fsPromises.writeFile(path.join(root, 'package.json'), JSON.stringify({ name: 'bus-routes', version: '1.0.0' }));
+
+    const result = await importArchive(ctx, zipPath);
+
+    expect(result).toEqual({
+      files: [
+        'src/powerschool/WEB_ROOT/admin/students/bus.html',
+        'plugin.xml',
+        'src/powerschool/user_schema_root/bus.xml',
+      ],
+      skipped: ['extras/readme.txt'],
+    });
+    expect(await fsPromises.readFile(path.join(root, 'src/powerschool/user_schema_root/bus.xml'), 'utf8')).toBe(schema);
+    expect(JSON.parse(await fsPromises.readFile(path.join(root, 'package.json'), 'utf8')).version).toBe('2.0.1');
+
+    await fsPromises.writeFile(path.join(root, 'plugin.xml'), pluginXml('Bus Routes', '2.0.2'));
+    await expect(importArchive(ctx, zipPath)).rejects.toThrow([
+      'These files already exist (use --force to replace them):',
+      '  src/powerschool/WEB_ROOT/admin/students/bus.html',
+      '  plugin.xml',
+      '  src/powerschool/user_schema_root/bus.xml',
+    ].join('\n'));
+    await importArchive(ctx, zipPath, { force: true });
+    expect(await fsPromises.readFile(path.join(root, 'plugin.xml'), 'utf8')).toBe(pluginXml('Bus Routes', '2.0.1'));
+  });
+});
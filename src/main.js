@@ -2,6 +2,20 @@ import * as fs from 'node:fs';
 import path from 'node:path';
 import xml2js from 'xml2js';
 import { ZipArchive } from 'archiver';
+import { copyFrontendBuild, frontendWebRootOf } from './adapters.js';
+import { buildReportFileName, finishBuild, runStep } from './buildReport.js';
+import { applyAccessRequest, collectQueryFields, diffAccessRequest, formatAccessRequestDiff } from './accessRequest.js';
+import { applyPluginXmlOverlay, envSourceDirOf, findEnvOverlays, readPluginXmlOverlay } from './environments.js';
+import { archivePathOf, classifyPath } from './fileRules.js';
+import { assertReleasable, commitRelease, getHeadCommit, getHeadCommitDate, releaseTagOf } from './git.js';
+import { normalizeHooks, runErrorHooks, runHook, transformFiles } from './hooks.js';
+import { checkProjectMessageKeys, versionHeaderPattern } from './messageKeys.js';
+import { createTransaction, publishedPathOf } from './transaction.js';
+import { findPreviousManifest, manifestPathFor, manifestSuffix, writeManifest } from './manifest.js';
+import { createFileOps } from './utils/fileOps.js';
+import { validatePluginXml } from './validators/pluginXml.js';
+import { validatePageCatalogingFolder, validatePowerSchoolFolders } from './validators/psFolders.js';
+import { nextVersion, pluginVersionOf } from './versioning.js';
 import logger from './utils/logger.js';
 import * as util from 'node:util';
 import * as stream from 'node:stream';
@@ -9,67 +23,64 @@ import * as stream from 'node:stream';
 // Use the promises API from the core fs module for async operations
 const fsPromises = fs.promises;
 
-// --- CONFIGURATION ---
-// Centralized configuration for easier management of paths and settings.
-export const config = {
-  projectRoot: process.cwd(),
-  sourceDir: path.join(process.cwd(), 'src'),
-  buildDir: path.join(process.cwd(), 'dist'),
-  archiveDir: path.join(process.cwd(), 'plugin_archive'),
-  schemaDir: path.join(process.cwd(), 'schema'),
-  powerSchoolSourceDir: path.join(process.cwd(), 'src', 'powerschool'),
-  // Folders to be merged into the build.
-  psFolders: ['permissions_root', 'user_schema_root', 'queries_root', 'WEB_ROOT', 'pagecataloging', 'MessageKeys'],
-  // Files to be removed from the build.
-  junkFiles: ['.DS_Store', 'Thumbs.db', 'robots.txt', 'sitemap.xml', 'ssr-manifest.json'],
-  // Number of recent archives to keep.
-  archivesToKeep: 10,
-  // The type of project ('vue', 'svelte', etc.). This can influence build steps.
-  projectType: 'vue',
-};
-
-/**
- * Generates a new version string based on the current date.
- * Format: YY.MM.PATCH
- * The patch number increments unless the year or month has changed, in which case it resets to 1.
+/**
+ * Creates the build context that is passed through every build step,
+ * so that no step depends on module-level state.
+ * All disk changes go through `ops`, which records them and, in dry-run mode, only simulates them.
+ * @param {object} config - A resolved configuration (see resolveConfig in config.js).
+ * @param {object} [options] - Context options.
+ * @param {boolean} [options.dryRun] - Report what would happen without writing anything.
+ * @param {object|object[]} [options.hooks] - Hooks to run after the ones from the configuration (see hooks.js).
+ * @returns {{config: object, ops: object, hooks: object[], report: object}} The build context.
+ */
+export function createContext(config, { dryRun = false, hooks } = {}) {
+  return {
+    config,
+    ops: createFileOps({ dryRun }),
+    hooks: [...(config.hooks ?? []), ...normalizeHooks(hooks)],
+    report: { version: null, archives: [], pruned: [], git: null, steps: [], warnings: [] },
+  };
+}
+
+/**
+ * Generates the next version string.
+ * Defaults to the YY.MM.PATCH calendar strategy: the patch number increments unless the year
+ * or month has changed, in which case it resets to 1. See nextVersion in versioning.js for the other options.
  * @param {string} currentVersion - The current version string (e.g., "25.07.01").
+ * @param {object} [options] - Versioning options (strategy, release, preid, version).
  * @returns {string} The new, incremented version string.
  */
-export function getNewVersion(currentVersion) {
-  try {
-    const [year, month, patch] = currentVersion.split('.').map(Number);
-    if (isNaN(year) || isNaN(month) || isNaN(patch)) {
-      throw new Error('Invalid version format');
-    }
-
-    const now = new Date();
-    const currentYear = now.getFullYear() % 100; // Last two digits of the year
-    const currentMonth = now.getMonth() + 1; // JS months are 0-indexed
-
-    let newYear = year;
-    let newMonth = month;
-    let newPatch = patch + 1;
+export function getNewVersion(currentVersion, options = {}) {
+  return nextVersion(currentVersion, options);
+}
 
-    // Reset if the year has changed.
-    if (year !== currentYear) {
-      newYear = currentYear;
-      newMonth = currentMonth;
-      newPatch = 1;
-    }
-    // Reset if the month has changed.
-    else if (month !== currentMonth) {
-      newMonth = currentMonth;
-      newPatch = 1;
-    }
+/**
+ * Whether a build or bump should be committed and tagged: only when the git step is
+ * enabled and the version actually changes.
+ * @param {object} ctx - The build context.
+ * @param {string} currentVersion - The version before the build.
+ * @param {string} newVersion - The version being built.
+ * @returns {boolean} True if the release should be recorded in git.
+ */
+function isGitRelease(ctx, currentVersion, newVersion) {
+  return ctx.config.git && newVersion !== currentVersion;
+}
 
-    return `${newYear}.${String(newMonth).padStart(2, '0')}.${String(newPatch).padStart(2, '0')}`;
-  } catch (error) {
-    logger.warn(`Could not parse current version "${currentVersion}". Falling back to a new version based on today's date.`);
-    const now = new Date();
-    const year = now.getFullYear().toString().slice(-2);
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    return `${year}.${month}.01`;
-  }
+/**
+ * Works out the version a build or bump should produce.
+ * An explicit version always wins; otherwise the configured strategy bumps the current one.
+ * @param {object} ctx - The build context.
+ * @param {string} currentVersion - The version in package.json.
+ * @param {object} [options] - Version options.
+ * @param {boolean} [options.bump] - Whether to bump the version (defaults to true).
+ * @param {string} [options.version] - An explicit version to use instead.
+ * @param {string} [options.release] - For semver: 'major', 'minor' or 'patch'.
+ * @param {string} [options.preid] - A pre-release tag, e.g. 'beta'.
+ * @returns {string} The version to build.
+ */
+function resolveVersion(ctx, currentVersion, { bump: shouldBump = true, version, release, preid } = {}) {
+  if (version === undefined && !shouldBump) return currentVersion;
+  return getNewVersion(currentVersion, { strategy: ctx.config.versionStrategy, version, release, preid });
 }
 
 /**
@@ -99,21 +110,19 @@ export function sanitizeName(name) {
 }
 
 /**
- * Recursively removes specified junk files from a directory.
+ * Recursively removes junk and excluded files from a directory.
+ * Excluded source maps are kept when they go into a separate sourcemaps archive.
+ * @param {object} ctx - The build context.
  * @param {string} dir - The directory to clean.
  */
-export async function removeJunk(dir) {
+export async function removeJunk(ctx, dir) {
+  const { config, ops } = ctx;
   try {
-    const files = await fsPromises.readdir(dir);
-    for (const file of files) {
-      const fullPath = path.join(dir, file);
-      const stat = await fsPromises.stat(fullPath);
-
-      if (stat.isDirectory()) {
-        await removeJunk(fullPath);
-      } else if (config.junkFiles.includes(file)) {
-        await fsPromises.unlink(fullPath);
-        logger.info(`Deleted junk file: ${fullPath}`);
+    const files = await ops.listFiles(dir);
+    for (const { path: fullPath } of files) {
+      if (classifyPath(config, archivePathOf(config, fullPath)) === 'exclude') {
+        await ops.unlink(fullPath);
+        logger.verbose(`Deleted junk file: ${fullPath}`);
       }
     }
   } catch (error) {
@@ -127,43 +136,65 @@ export async function removeJunk(dir) {
 }
 
 /**
- * Merges PowerSchool-specific folders from the source directory into a target directory.
- * @param {string} targetDir - The destination directory (e.g., 'dist' or 'schema').
+ * Returns where a PowerSchool folder is merged to.
+ * user_schema_root and MessageKeys go into the schema directory, everything else into the build directory.
+ * @param {object} config - The resolved configuration.
+ * @param {string} folder - The folder name, e.g. 'WEB_ROOT'.
+ * @returns {string} The destination directory.
+ */
+export function destinationFor(config, folder) {
+  return (folder === 'user_schema_root' || folder === 'MessageKeys')
+    ? path.join(config.schemaDir, folder)
+    : path.join(config.buildDir, folder);
+}
+
+/**
+ * Merges PowerSchool-specific folders from the source directory into the build and schema directories,
+ * leaving out files the junkFiles and exclude rules drop. With an environment, the folders of
+ * <powerSchoolSourceDir>.<env> are merged on top, so their files replace the regular ones.
+ * @param {object} ctx - The build context.
  */
-async function mergePSfolders() {
+async function mergePSfolders(ctx) {
+  const { config, ops } = ctx;
   logger.info('Merging PowerSchool folders...');
   const errors = [];
+  const sourceDirs = [config.powerSchoolSourceDir, envSourceDirOf(config)].filter(Boolean);
 
   for (const folder of config.psFolders) {
-    const sourcePath = path.join(config.powerSchoolSourceDir, folder);
-    // Robustly skip folders from any 'examples' directory
-    if (sourcePath.includes(`${path.sep}examples${path.sep}`)) {
-      logger.info(`  - Skipping folder from examples: ${sourcePath}`);
-      continue;
-    }
-    // Specific folders go into the schema directory.
-    const destPath = (folder === 'user_schema_root' || folder === 'MessageKeys')
-      ? path.join(config.schemaDir, folder)
-      : path.join(config.buildDir, folder);
-
-    try {
-      // Check if the source exists before trying to copy.
-      await fsPromises.access(sourcePath);
-      // Clean up the destination if it's not the WEB_ROOT folder.
-      if (folder !== 'WEB_ROOT') {
-        await fsPromises.rm(destPath, { recursive: true, force: true });
+    const destPath = destinationFor(config, folder);
+    let cleaned = false;
+
+    for (const sourceDir of sourceDirs) {
+      const sourcePath = path.join(sourceDir, folder);
+      // Robustly skip folders from any 'examples' directory
+      if (sourcePath.includes(`${path.sep}examples${path.sep}`)) {
+        logger.info(`  - Skipping folder from examples: ${sourcePath}`);
+        continue;
       }
-      await fsPromises.cp(sourcePath, destPath, { recursive: true });
-      logger.info(`  - Merged ${sourcePath} -> ${destPath}`);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        // It's okay if a source folder doesn't exist, just skip it.
-        logger.info(`  - Skipping non-existent folder: ${folder}`);
-      } else {
-        // Critical error - collect it and fail after attempting all folders
-        const errorMsg = `Failed to merge folder ${folder}: ${error.message}`;
-        logger.error(`  - ${errorMsg}`);
-        errors.push(errorMsg);
+
+      try {
+        // Check if the source exists before trying to copy.
+        await fsPromises.access(sourcePath);
+        // Clean up the destination if it's not the WEB_ROOT folder, before the first layer only.
+        if (folder !== 'WEB_ROOT' && !cleaned) {
+          await ops.rm(destPath, { recursive: true, force: true });
+          cleaned = true;
+        }
+        await ops.cp(sourcePath, destPath, {
+          recursive: true,
+          filter: (source, destination) => classifyPath(config, archivePathOf(config, destination)) !== 'exclude',
+        });
+        logger.verbose(`  - Merged ${sourcePath} -> ${destPath}`);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          // It's okay if a source folder doesn't exist, just skip it.
+          if (sourceDir === config.powerSchoolSourceDir) logger.verbose(`  - Skipping non-existent folder: ${folder}`);
+        } else {
+          // Critical error - collect it and fail after attempting all folders
+          const errorMsg = `Failed to merge folder ${path.relative(config.projectRoot, sourcePath)}: ${error.message}`;
+          logger.error(`  - ${errorMsg}`);
+          errors.push(errorMsg);
+        }
       }
     }
   }
@@ -175,21 +206,78 @@ async function mergePSfolders() {
 }
 
 /**
- * Creates a zip archive from a specified folder.
+ * Returns the timestamp given to every entry of a deterministic archive: SOURCE_DATE_EPOCH
+ * (seconds since 1970) when set, otherwise the date of the last commit, otherwise a fixed date.
+ * @param {object} ctx - The build context.
+ * @returns {Promise<Date>} The entry date.
+ * @throws {Error} If SOURCE_DATE_EPOCH is not a whole number of seconds.
+ */
+async function getSourceDate(ctx) {
+  const epoch = process.env.SOURCE_DATE_EPOCH;
+  if (epoch !== undefined && epoch !== '') {
+    if (!/^\d+$/.test(epoch)) {
+      throw new Error(`Invalid SOURCE_DATE_EPOCH "${epoch}" (expected seconds since 1970-01-01)`);
+    }
+    return new Date(Number(epoch) * 1000);
+  }
+  const commitDate = await getHeadCommitDate(ctx.config.projectRoot);
+  if (commitDate) return commitDate;
+  logger.warn('No SOURCE_DATE_EPOCH or git commit found; using 2000-01-01 for archive timestamps.');
+  return new Date(Date.UTC(2000, 0, 1));
+}
+
+/**
+ * Lists the files that go into an archive, sorted by their path inside it.
+ * @param {object} ctx - The build context.
+ * @param {string} sourceFolder - The folder to zip.
+ * @param {string} [contents] - Which files to list: 'keep' for the plugin archives, 'sourcemap' for the source maps archive.
+ * @returns {Promise<{path: string, name: string, size: number}[]>} The files, with their entry names.
+ */
+async function listArchiveEntries(ctx, sourceFolder, contents = 'keep') {
+  const files = await ctx.ops.listFiles(sourceFolder);
+  return files
+    .map(file => ({ ...file, name: path.relative(sourceFolder, file.path).split(path.sep).join('/') }))
+    .filter(file => classifyPath(ctx.config, file.name) === contents)
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+}
+
+/**
+ * Creates a zip archive from a specified folder, with a manifest of its entries and checksums next to it.
+ * @param {object} ctx - The build context.
  * @param {string} sourceFolder - The folder to zip.
  * @param {string} zipFileName - The name of the output zip file.
+ * @param {object} details - The plugin name/version and git commit for the manifest, and the entry date for deterministic archives.
+ * @param {string} [contents] - Which files to zip (see listArchiveEntries); junk and excluded files are always left out.
  * @returns {Promise<void>} A promise that resolves when the archive is created.
  */
-async function createPluginZip(sourceFolder, zipFileName) {
+export async function createPluginZip(ctx, sourceFolder, zipFileName, details, contents = 'keep') {
+  const { config, ops, report } = ctx;
   try {
-    await fsPromises.access(sourceFolder); // Check if source folder exists.
     const outputPath = path.resolve(config.archiveDir, zipFileName);
     const archiveDirResolved = path.resolve(config.archiveDir);
     if (!outputPath.startsWith(archiveDirResolved + path.sep)) {
       throw new Error(`Unsafe zip output path rejected: "${outputPath}"`);
     }
-    const output = fs.createWriteStream(outputPath);
-    const archive = new ZipArchive({ zlib: { level: 9 } });
+
+    if (ops.dryRun) {
+      // List what the archive would contain instead of writing it.
+      const files = await listArchiveEntries(ctx, sourceFolder, contents);
+      if (files.length === 0) {
+        logger.info(`Skipping archive creation for non-existent folder: ${sourceFolder}`);
+        return;
+      }
+      const entries = files.map(file => ({ path: file.name, size: file.size }));
+      report.archives.push({ name: zipFileName, path: outputPath, entries, manifest: manifestPathFor(outputPath) });
+      logger.info(`Would create archive: ${outputPath} (${entries.length} files)`);
+      return;
+    }
+
+    await fsPromises.access(sourceFolder); // Check if source folder exists.
+    // Staged builds look in the archive directory they are published to.
+    const previous = await findPreviousManifest(publishedPathOf(config, config.archiveDir), zipFileName, details.plugin.version, details.plugin.env);
+    const output = ops.createWriteStream(outputPath);
+    // Deterministic archives stat one file at a time, so their entries are written in the order they were added.
+    const archive = new ZipArchive({ zlib: { level: 9 }, ...(config.deterministicArchives && { statConcurrency: 1 }) });
 
     const streamPipeline = util.promisify(stream.pipeline);
 
@@ -207,13 +295,26 @@ async function createPluginZip(sourceFolder, zipFileName) {
       throw err;
     });
 
-    archive.directory(sourceFolder, false);
+    if (config.deterministicArchives) {
+      // Same bytes for the same files: fixed order, timestamps and modes instead of the filesystem's.
+      for (const file of await listArchiveEntries(ctx, sourceFolder, contents)) {
+        // archive.file opens each file only when it is written, so large builds do not run out of file handles.
+        archive.file(file.path, { name: file.name, date: details.sourceDate, mode: 0o644 });
+      }
+    } else {
+      archive.directory(sourceFolder, false, (entry) => {
+        const name = entry.name.split(path.sep).join('/');
+        // Folders only matter to the plugin archives; the source maps archive just holds files.
+        if (entry.stats?.isDirectory()) return contents === 'keep' && classifyPath(config, name) === 'keep' ? entry : false;
+        return classifyPath(config, name) === contents ? entry : false;
+      });
+    }
     archive.finalize();
 
     await streamPipeline(archive, output);
 
     const archiveSize = archive.pointer();
-    logger.info(`Archive created: ${outputPath} (${archiveSize} bytes)`);
+    logger.info(`Archive created: ${publishedPathOf(config, outputPath)} (${archiveSize} bytes)`);
 
     // Validate the archive was created successfully
     const stats = await fsPromises.stat(outputPath);
@@ -223,6 +324,21 @@ async function createPluginZip(sourceFolder, zipFileName) {
     if (stats.size !== archiveSize) {
       logger.warn(`Archive size mismatch: expected ${archiveSize} bytes, got ${stats.size} bytes`);
     }
+    const { manifestPath, manifest } = await writeManifest(ctx, outputPath, details);
+    const entries = manifest.entries.map(({ path: entryPath, size }) => ({ path: entryPath, size }));
+    const entry = { name: zipFileName, path: outputPath, size: stats.size, manifest: manifestPath, entries };
+    if (previous && previous.contentHash === manifest.contentHash) {
+      entry.unchangedFrom = previous.archive;
+      if (config.unchangedArchives === 'skip') {
+        await ops.rm(outputPath, { force: true });
+        await ops.rm(manifestPath, { force: true });
+        entry.skipped = true;
+        logger.warn(`Skipped ${zipFileName}: same content as ${previous.archive}`);
+      } else {
+        logger.warn(`${zipFileName} has the same content as ${previous.archive}`);
+      }
+    }
+    report.archives.push(entry);
   } catch (error) {
     if (error.code === 'ENOENT') {
       logger.info(`Skipping archive creation for non-existent folder: ${sourceFolder}`);
@@ -233,67 +349,75 @@ async function createPluginZip(sourceFolder, zipFileName) {
 }
 
 /**
- * Recursively finds all JSON files in a directory and updates their 'version' property.
- * @param {string} dir - The directory to search.
+ * Stamps the new version into the `version` field of each page in the pagecataloging JSON files.
+ * Other `version` keys are left alone; the files must already have been validated.
+ * @param {object} ctx - The build context.
+ * @param {string} dir - The pagecataloging directory.
  * @param {string} newVersion - The new version string.
  */
-async function updateJsonVersionsInDir(dir, newVersion) {
-  try {
-    const files = await fsPromises.readdir(dir);
-    for (const file of files) {
-      const fullPath = path.join(dir, file);
-      const stat = await fsPromises.stat(fullPath);
-
-      if (stat.isDirectory()) {
-        await updateJsonVersionsInDir(fullPath, newVersion);
-      } else if (path.extname(file) === '.json') {
-        try {
-          const jsonString = await fsPromises.readFile(fullPath, 'utf8');
-          const jsonObj = JSON.parse(jsonString);
-
-          // Simple recursive function to find and update 'version' keys.
-          const updateVersionInObject = (obj) => {
-            for (const key in obj) {
-              if (key === 'version') obj[key] = newVersion;
-              else if (typeof obj[key] === 'object' && obj[key] !== null) {
-                updateVersionInObject(obj[key]);
-              }
-            }
-          };
-
-          updateVersionInObject(jsonObj);
-          await fsPromises.writeFile(fullPath, JSON.stringify(jsonObj, null, 2));
-        } catch (parseError) {
-          logger.warn(`Could not parse or update JSON file: ${fullPath}`, parseError);
-        }
-      }
-    }
-  } catch (error) {
-    if (error.code !== 'ENOENT') {
-      logger.error(`Error updating JSON versions in ${dir}:`, error);
+async function updatePageCatalogingVersions(ctx, dir, newVersion) {
+  const files = (await ctx.ops.listFiles(dir)).filter(file => path.extname(file.path) === '.json');
+  for (const { path: filePath } of files) {
+    const pageCataloging = JSON.parse(await fsPromises.readFile(filePath, 'utf8'));
+    const pages = pageCataloging.pages.filter(page => Object.hasOwn(page, 'version') && page.version !== newVersion);
+    if (pages.length === 0) continue;
+    pages.forEach((page) => {
+      page.version = newVersion;
+    });
+    await ctx.ops.writeFile(filePath, JSON.stringify(pageCataloging, null, 2));
+  }
+}
+
+/**
+ * Stamps the new version into the "Version:" header comments of the MessageKeys .properties files,
+ * e.g. "# My Plugin - Version: 24.11.02". Files without such a comment are left alone.
+ * @param {object} ctx - The build context.
+ * @param {string} dir - The MessageKeys directory.
+ * @param {string} newVersion - The new version string.
+ */
+async function updateMessageKeyVersions(ctx, dir, newVersion) {
+  const files = (await ctx.ops.listFiles(dir)).filter(file => path.extname(file.path) === '.properties');
+  for (const { path: filePath } of files) {
+    const contents = await fsPromises.readFile(filePath, 'utf8');
+    const stamped = contents.replace(versionHeaderPattern, `$1${newVersion}`);
+    if (stamped !== contents) {
+      await ctx.ops.writeFile(filePath, stamped);
     }
   }
 }
 
 /**
  * Reads, updates, and writes the plugin.xml file for both the main plugin and the schema.
+ * @param {object} ctx - The build context.
  * @param {object} psXML - The parsed plugin.xml object.
  * @param {string} newVersion - The new version string.
  */
-async function writeXmlVariants(psXML, newVersion) {
-  const builder = new xml2js.Builder();
+async function writeXmlVariants(ctx, psXML, newVersion) {
   psXML.plugin.$.version = newVersion;
-
-  // Write main plugin.xml
-  const xmlOutput = builder.buildObject(psXML);
-  await fsPromises.writeFile(path.join(config.projectRoot, 'plugin.xml'), xmlOutput);
-  await fsPromises.writeFile(path.join(config.buildDir, 'plugin.xml'), xmlOutput);
+  await ctx.ops.writeFile(path.join(ctx.config.projectRoot, 'plugin.xml'), new xml2js.Builder().buildObject(psXML));
   logger.info(`Updated plugin.xml to version ${newVersion}`);
+  await writeBuildXml(ctx, psXML);
+}
+
+/**
+ * Writes plugin.xml into the build directory and its schema-only variant into the schema directory,
+ * with the environment's plugin.<env>.xml overlay applied to both.
+ * @param {object} ctx - The build context.
+ * @param {object} psXML - The parsed plugin.xml object (not modified).
+ */
+export async function writeBuildXml(ctx, psXML) {
+  const { config, ops } = ctx;
+  const overlay = await readPluginXmlOverlay(config);
+  const buildXML = overlay ? applyPluginXmlOverlay(psXML, overlay.xml, overlay.source) : psXML;
+  if (overlay) logger.info(`Applied ${overlay.source} (plugin name: ${buildXML.plugin.$.name})`);
+
+  const builder = new xml2js.Builder();
+  await ops.writeFile(path.join(config.buildDir, 'plugin.xml'), builder.buildObject(buildXML));
 
   // Create and write schema-only plugin.xml
   try {
     // Create a deep clone to avoid mutating the original psXML object
-    const schemaXML = JSON.parse(JSON.stringify(psXML));
+    const schemaXML = JSON.parse(JSON.stringify(buildXML));
 
     // Modify for the "DATA" plugin
     const originalName = schemaXML.plugin.$.name;
@@ -305,7 +429,7 @@ async function writeXmlVariants(psXML, newVersion) {
     delete schemaXML.plugin.access_request; // Remove fields not needed for data plugin
 
     const xmlOutputData = builder.buildObject(schemaXML);
-    await fsPromises.writeFile(path.join(config.schemaDir, 'plugin.xml'), xmlOutputData);
+    await ops.writeFile(path.join(config.schemaDir, 'plugin.xml'), xmlOutputData);
     logger.info(`Created schema-only plugin.xml`);
   } catch (error) {
     // Schema variant is critical for the build process
@@ -315,42 +439,175 @@ async function writeXmlVariants(psXML, newVersion) {
 
 
 /**
- * Updates the version in package.json and plugin.xml.
+ * Validates a parsed plugin.xml as it will be written with the given version.
+ * @param {object} psXML - The parsed plugin.xml object.
+ * @param {string} version - The version the manifest will carry.
+ * @throws {Error} Listing every problem found.
+ */
+function assertValidPluginXml(psXML, version) {
+  const plugin = psXML?.plugin;
+  const candidate = typeof plugin === 'object' ? { plugin: { ...plugin, $: { ...plugin.$, version } } } : psXML;
+  const problems = validatePluginXml(candidate);
+  if (problems.length > 0) {
+    throw new Error(`Invalid plugin.xml:\n  ${problems.join('\n  ')}`);
+  }
+}
+
+/**
+ * Reads the plugin's folder name, the slug of its plugin.xml name.
+ * @param {object} ctx - The build context.
+ * @returns {Promise<string|null>} The folder name, or null if plugin.xml has no usable name (reported by its own validation).
+ */
+async function readPluginFolder(ctx) {
+  try {
+    const xmlString = await fsPromises.readFile(path.join(ctx.config.projectRoot, 'plugin.xml'), 'utf8');
+    const psXML = await xml2js.parseStringPromise(xmlString);
+    return sanitizeName(slugify(psXML.plugin.$.name));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validates the database extension, named query and permission mapping files in the source folders,
+ * including the environment's overlay folders.
+ * @param {object} ctx - The build context.
+ * @returns {Promise<string[]>} A list of problems found.
+ */
+async function validateSourceFolders(ctx) {
+  const { config } = ctx;
+  const envSourceDir = envSourceDirOf(config);
+  // Pages must come from the sources or the front-end build: the build directory only holds the previous build's output.
+  const webRoots = [config.powerSchoolSourceDir, envSourceDir].filter(Boolean).map(dir => path.join(dir, 'WEB_ROOT'));
+  const pluginFolder = await readPluginFolder(ctx);
+  const frontendWebRoot = pluginFolder && frontendWebRootOf(config, pluginFolder);
+  if (frontendWebRoot) webRoots.push(frontendWebRoot);
+  const problems = await validatePowerSchoolFolders(config.powerSchoolSourceDir, { webRoots });
+  if (envSourceDir && (await findEnvOverlays(config)).includes(envSourceDir)) {
+    const envProblems = await validatePowerSchoolFolders(envSourceDir, { webRoots });
+    problems.push(...envProblems.map(problem => `${path.basename(envSourceDir)}: ${problem}`));
+  }
+  return problems;
+}
+
+/**
+ * Reports source file problems the way the validate option asks: as warnings, or by failing the build.
+ * @param {object} ctx - The build context.
+ * @param {string} title - What was checked, e.g. 'Invalid pagecataloging files'.
+ * @param {string[]} problems - The problems found.
+ * @throws {Error} Listing the problems, when validate is 'error'.
+ */
+function reportSourceProblems(ctx, title, problems) {
+  if (problems.length === 0) return;
+  const message = `${title}:\n  ${problems.join('\n  ')}`;
+  if (ctx.config.validate === 'error') throw new Error(message);
+  logger.warn(message);
+}
+
+/**
+ * Brings the access_request of a parsed plugin.xml in line with the fields used by the named queries.
+ * @param {object} ctx - The build context.
+ * @param {object} psXML - The parsed plugin.xml object (modified in place when writing).
+ * @param {'check'|'write'} mode - Whether to only compare, or to also update psXML.
+ * @returns {Promise<string[]>} The differences found before any update.
+ */
+async function syncAccessRequest(ctx, psXML, mode) {
+  const { config } = ctx;
+  if (typeof psXML?.plugin !== 'object') return [];
+
+  const fields = await collectQueryFields(config.powerSchoolSourceDir);
+  const differences = formatAccessRequestDiff(diffAccessRequest(psXML, fields));
+  if (mode === 'write' && differences.length > 0) {
+    applyAccessRequest(psXML, fields);
+    logger.info(`Updated access_request in plugin.xml (${differences.length} change(s))`);
+  }
+  return differences;
+}
+
+/**
+ * Checks or regenerates the access_request of the project's plugin.xml from the named queries,
+ * without bumping the version.
+ * @param {object} ctx - The build context.
+ * @param {object} [options] - Options.
+ * @param {boolean} [options.check] - Only report differences instead of writing plugin.xml.
+ * @returns {Promise<string[]>} The differences found.
+ */
+export async function updateAccessRequest(ctx, { check = false } = {}) {
+  const { config, ops } = ctx;
+  const pluginXmlPath = path.join(config.projectRoot, 'plugin.xml');
+  const psXML = await xml2js.parseStringPromise(await fsPromises.readFile(pluginXmlPath, 'utf8'));
+
+  const differences = await syncAccessRequest(ctx, psXML, check ? 'check' : 'write');
+  if (!check && differences.length > 0) {
+    assertValidPluginXml(psXML, psXML.plugin.$?.version);
+    await ops.writeFile(pluginXmlPath, new xml2js.Builder().buildObject(psXML));
+  }
+  return differences;
+}
+
+/**
+ * Updates the version in package.json, plugin.xml, pagecataloging and the MessageKeys headers.
+ * @param {object} ctx - The build context.
  * @param {string} newVersion - The new version string.
  * @returns {Promise<object>} The parsed plugin.xml object.
  */
-async function updatePackageVersions(newVersion) {
+export async function updatePackageVersions(ctx, newVersion) {
+  const { config, ops } = ctx;
+  // Validate plugin.xml first, so an invalid manifest fails the build before anything is written.
+  const xmlString = await fsPromises.readFile(path.join(config.projectRoot, 'plugin.xml'), 'utf8');
+  const psXML = await xml2js.parseStringPromise(xmlString);
+  if (config.accessRequest !== 'off') {
+    const differences = await syncAccessRequest(ctx, psXML, config.accessRequest);
+    if (config.accessRequest === 'check' && differences.length > 0) {
+      throw new Error(`plugin.xml access_request is out of sync with queries_root:\n  ${differences.join('\n  ')}`);
+    }
+  }
+  assertValidPluginXml(psXML, pluginVersionOf(newVersion));
+  const sourceDirs = [config.powerSchoolSourceDir, envSourceDirOf(config)].filter(Boolean);
+  if (config.validate !== 'off') {
+    const pageProblems = [];
+    for (const sourceDir of sourceDirs) {
+      const problems = await validatePageCatalogingFolder(sourceDir);
+      pageProblems.push(...(sourceDir === config.powerSchoolSourceDir ? problems : problems.map(problem => `${path.basename(sourceDir)}: ${problem}`)));
+    }
+    reportSourceProblems(ctx, 'Invalid pagecataloging files', pageProblems);
+  }
+
   // Update package.json
   const packageJsonString = await fsPromises.readFile(path.join(config.projectRoot, 'package.json'), 'utf8');
   const packageJson = JSON.parse(packageJsonString);
   packageJson.version = newVersion;
-  await fsPromises.writeFile(path.join(config.projectRoot, 'package.json'), JSON.stringify(packageJson, null, 2));
+  await ops.writeFile(path.join(config.projectRoot, 'package.json'), JSON.stringify(packageJson, null, 2));
   logger.info(`Updated package.json to version ${newVersion}`);
 
-  // Update plugin.xml
-  const xmlString = await fsPromises.readFile(path.join(config.projectRoot, 'plugin.xml'), 'utf8');
-  const psXML = await xml2js.parseStringPromise(xmlString);
-  await writeXmlVariants(psXML, newVersion);
+  // Update plugin.xml, which cannot carry a pre-release tag
+  await writeXmlVariants(ctx, psXML, pluginVersionOf(newVersion));
 
-  // Update any other JSON files that might contain a version
-  const pageCatalogingDir = path.join(config.powerSchoolSourceDir, 'pagecataloging');
-  await updateJsonVersionsInDir(pageCatalogingDir, newVersion);
+  // Stamp the pagecataloging pages and MessageKeys headers, including the environment's overlays
+  for (const sourceDir of sourceDirs) {
+    await updatePageCatalogingVersions(ctx, path.join(sourceDir, 'pagecataloging'), newVersion);
+    await updateMessageKeyVersions(ctx, path.join(sourceDir, 'MessageKeys'), newVersion);
+  }
 
   return psXML;
 }
 
 /**
- * Keeps only the most recent N archives and deletes the rest.
+ * Keeps only the most recent N archives and deletes the rest, along with their manifests.
+ * The build report is never pruned.
+ * @param {object} ctx - The build context.
  * @param {string[]} excludeFiles - Array of filenames to exclude from pruning (e.g., just-created archives)
  */
-async function pruneArchives(excludeFiles = []) {
+export async function pruneArchives(ctx, excludeFiles = []) {
+  const { config, ops, report } = ctx;
   try {
     const files = await fsPromises.readdir(config.archiveDir);
 
     // Filter out excluded files and get stats for the rest
+    // Manifests are pruned together with their archive rather than counted separately.
     const filesWithStats = await Promise.all(
       files
-        .filter(file => !excludeFiles.includes(file))
+        .filter(file => !excludeFiles.includes(file) && !file.endsWith(manifestSuffix) && file !== buildReportFileName)
         .map(async (file) => {
           const filePath = path.join(config.archiveDir, file);
           const stat = await fsPromises.stat(filePath);
@@ -368,8 +625,14 @@ async function pruneArchives(excludeFiles = []) {
       for (const { file } of filesToDelete) {
         const itemPath = path.join(config.archiveDir, file);
         // Use rm which can handle both files and directories
-        await fsPromises.rm(itemPath, { recursive: true, force: true });
+        await ops.rm(itemPath, { recursive: true, force: true });
+        report.pruned.push(file);
         logger.info(`  - Deleted old archive item: ${file}`);
+        const manifestFile = manifestPathFor(file);
+        if (files.includes(manifestFile)) {
+          await ops.rm(path.join(config.archiveDir, manifestFile), { force: true });
+          report.pruned.push(manifestFile);
+        }
       }
     }
   } catch (error) {
@@ -384,99 +647,298 @@ async function pruneArchives(excludeFiles = []) {
 
 /**
  * Prepares the build directory by merging folders and cleaning junk.
+ * @param {object} ctx - The build context.
  */
-async function prepareBuildDirectory() {
+export async function prepareBuildDirectory(ctx) {
+  const { config } = ctx;
   logger.info('Preparing build directory...');
-  await mergePSfolders();
-  await removeJunk(config.buildDir);
+  await mergePSfolders(ctx);
+  await removeJunk(ctx, config.buildDir);
 
   // Remove the template index.html if it exists in the final build
   const indexPath = path.join(config.buildDir, 'WEB_ROOT', 'index.html');
   try {
-    await fsPromises.unlink(indexPath);
-    logger.info(`Deleted template file: ${indexPath}`);
+    await ctx.ops.unlink(indexPath);
+    logger.info(`Deleted template file: ${publishedPathOf(ctx.config, indexPath)}`);
   } catch (error) {
-    // Only log an error if it's something other than "file not found".
+    // Only warn if it's something other than "file not found".
     if (error.code !== 'ENOENT') {
-      logger.error(`Error deleting ${indexPath}:`, error);
+      logger.warn(`Could not delete ${indexPath}: ${error.message}`);
     }
     // Otherwise, we silently ignore the error, as the file not existing is acceptable.
   }
 }
 
 /**
- * Copies Svelte build artifacts to the correct plugin location.
+ * Copies the front-end build into WEB_ROOT with the adapter for the project type, then removes
+ * the junk and excluded files it brought along, e.g. source maps.
+ * @param {object} ctx - The build context.
  * @param {object} psXML - The parsed plugin.xml object.
+ * @returns {Promise<string[]>} The files written to the build directory and kept there.
+ */
+export async function copyFrontendBuildContents(ctx, psXML) {
+  const { config } = ctx;
+  const files = await copyFrontendBuild(ctx, sanitizeName(slugify(psXML.plugin.$.name)));
+  if (files.length === 0) return files;
+  await removeJunk(ctx, config.buildDir);
+  return files.filter(file => classifyPath(config, archivePathOf(config, file)) !== 'exclude');
+}
+
+/**
+ * Ensures that all necessary directories exist before the build starts.
+ * @param {object} ctx - The build context.
+ */
+export async function ensureDirectoriesExist(ctx) {
+  const { config } = ctx;
+  logger.info('Verifying directory structure...');
+  const dirs = [config.buildDir, config.archiveDir, config.schemaDir];
+  for (const dir of dirs) {
+    await ctx.ops.mkdir(dir, { recursive: true });
+  }
+}
+
+/**
+ * Reads the plugin name and version from package.json.
+ * @param {object} ctx - The build context.
+ * @returns {Promise<{name: string, version: string}>} The package name and version.
+ */
+async function readPackageInfo(ctx) {
+  const { config } = ctx;
+  const packageJsonString = await fsPromises.readFile(path.join(config.projectRoot, 'package.json'), 'utf8');
+  const { version, name } = JSON.parse(packageJsonString);
+  return { version, name };
+}
+
+/**
+ * Bumps the version in package.json, plugin.xml, pagecataloging and MessageKeys without packaging.
+ * @param {object} ctx - The build context.
+ * @param {object} [options] - Version options.
+ * @param {string} [options.version] - An explicit version to set instead of bumping.
+ * @param {string} [options.release] - For semver: 'major', 'minor' or 'patch'.
+ * @param {string} [options.preid] - A pre-release tag, e.g. 'beta'.
+ * @param {boolean} [options.force] - With the git step, release even if the working tree is dirty.
+ * @returns {Promise<string>} The new version string.
+ */
+export async function bump(ctx, options = {}) {
+  const { version: currentVersion } = await readPackageInfo(ctx);
+  const newVersion = resolveVersion(ctx, currentVersion, { ...options, bump: true });
+  logger.info(`Current Version: ${currentVersion} -> New Version: ${newVersion}`);
+  ctx.report.version = { from: currentVersion, to: newVersion };
+
+  const gitRelease = isGitRelease(ctx, currentVersion, newVersion);
+  if (gitRelease) await assertReleasable(ctx, newVersion, options);
+  await ensureDirectoriesExist(ctx);
+  await updatePackageVersions(ctx, newVersion);
+  if (gitRelease) await commitRelease(ctx, newVersion);
+  return newVersion;
+}
+
+/**
+ * Removes the build and schema output directories.
+ * @param {object} ctx - The build context.
+ */
+export async function clean(ctx) {
+  const { config } = ctx;
+  for (const dir of [config.buildDir, config.schemaDir]) {
+    await ctx.ops.rm(dir, { recursive: true, force: true });
+    logger.info(`Removed ${dir}`);
+  }
+}
+
+/**
+ * Checks that the project has everything the build needs, without modifying anything.
+ * @param {object} ctx - The build context.
+ * @returns {Promise<string[]>} A list of problems found (empty when the project is valid).
  */
-export async function copySvelteBuildContents(psXML) {
-  if (config.projectType !== 'svelte') return;
+export async function validateProject(ctx) {
+  const { config } = ctx;
+  const problems = [];
 
   try {
-    const pluginName = sanitizeName(slugify(psXML.plugin.$.name));
-    const sourceDir = path.join(config.projectRoot, 'public', 'build');
-    const targetDir = path.join(config.buildDir, 'WEB_ROOT', pluginName);
+    const { version } = await readPackageInfo(ctx);
+    if (!version) problems.push('package.json has no "version" field');
+  } catch (error) {
+    problems.push(`Could not read package.json: ${error.message}`);
+  }
 
-    await fsPromises.access(sourceDir); // Check if svelte build output exists
-    await fsPromises.cp(sourceDir, targetDir, { recursive: true });
-    logger.info(`Copied Svelte build contents to ${targetDir}`);
+  try {
+    const xmlString = await fsPromises.readFile(path.join(config.projectRoot, 'plugin.xml'), 'utf8');
+    const psXML = await xml2js.parseStringPromise(xmlString);
+    problems.push(...validatePluginXml(psXML).map(problem => `plugin.xml: ${problem}`));
   } catch (error) {
-    if (error.code === 'ENOENT') {
-      logger.warn('Svelte build output not found, skipping copy step.');
-    } else {
-      logger.error('Error copying Svelte build contents:', error);
-    }
+    problems.push(`Could not read plugin.xml: ${error.message}`);
   }
+
+  try {
+    await fsPromises.access(config.powerSchoolSourceDir);
+  } catch {
+    problems.push(`PowerSchool source directory not found: ${config.powerSchoolSourceDir}`);
+    return problems;
+  }
+  problems.push(...await validateSourceFolders(ctx));
+
+  return problems;
 }
 
 /**
- * Ensures that all necessary directories exist before the build starts.
+ * Creates the plugin and schema (DATA-) archives from the build and schema directories,
+ * named after the plugin, environment and version, e.g. My_Plugin-test-26.06.05.zip. With
+ * sourceMapsArchive, the excluded source maps of the build directory go into sourcemaps-<version>.zip.
+ * @param {object} ctx - The build context.
+ * @param {object} psXML - The parsed plugin.xml object.
+ * @param {string} [version] - The version being built, which keeps a pre-release tag that plugin.xml cannot carry (defaults to the plugin.xml version).
+ * @param {object} [options] - Options.
+ * @param {string|null} [options.tag] - The git tag the release will get, recorded in the manifests.
+ * @returns {Promise<string[]>} The plugin and schema archive file names, followed by the source maps archive if one was made.
  */
-async function ensureDirectoriesExist() {
-  logger.info('Verifying directory structure...');
-  const dirs = [config.buildDir, config.archiveDir, config.schemaDir];
-  for (const dir of dirs) {
-    await fsPromises.mkdir(dir, { recursive: true });
+export async function createArchives(ctx, psXML, version = psXML.plugin.$.version, { tag = null } = {}) {
+  const { config } = ctx;
+  logger.info('Creating zip archives...');
+  const { name } = psXML.plugin.$;
+  const envPart = config.env ? `-${config.env}` : '';
+  const zipFileName = `${sanitizeName(slugify(name))}${envPart}-${version}.zip`;
+  const schemaZipFileName = `DATA-${zipFileName}`;
+  const manifestDetails = {
+    plugin: { name, version, env: config.env },
+    commit: await getHeadCommit(config.projectRoot),
+    tag,
+    sourceDate: config.deterministicArchives ? await getSourceDate(ctx) : null,
+  };
+  await createPluginZip(ctx, config.buildDir, zipFileName, manifestDetails);
+  await createPluginZip(ctx, config.schemaDir, schemaZipFileName, manifestDetails);
+  if (!config.sourceMapsArchive) return [zipFileName, schemaZipFileName];
+
+  const sourceMapsZipFileName = `sourcemaps${envPart}-${version}.zip`;
+  if ((await listArchiveEntries(ctx, config.buildDir, 'sourcemap')).length === 0) {
+    logger.info('No excluded source maps, skipping the source maps archive.');
+    return [zipFileName, schemaZipFileName];
   }
+  await createPluginZip(ctx, config.buildDir, sourceMapsZipFileName, manifestDetails, 'sourcemap');
+  return [zipFileName, schemaZipFileName, sourceMapsZipFileName];
 }
 
 /**
- * Main build process orchestrator.
+ * Checks the MessageKeys and their ~[text:...] references as configured by `messageKeys`:
+ * problems are logged as warnings, and with 'error' any error fails the build. Unreferenced
+ * keys are left to the message-keys command, since PowerSchool itself uses some keys.
+ * @param {object} ctx - The build context.
+ * @throws {Error} Listing the errors, in 'error' mode.
  */
-export async function main() {
+async function checkMessageKeys(ctx) {
+  const { config } = ctx;
+  if (config.messageKeys === 'off') return;
+  const { errors, warnings } = await checkProjectMessageKeys(ctx, { unused: false });
+  if (config.messageKeys === 'error' && errors.length > 0) {
+    warnings.forEach(warning => logger.warn(warning));
+    throw new Error(`Invalid MessageKeys:\n  ${errors.join('\n  ')}`);
+  }
+  [...errors, ...warnings].forEach(problem => logger.warn(problem));
+}
+
+/**
+ * Logs the environment being built and warns when it has no overlays, which usually means a typo.
+ * @param {object} ctx - The build context.
+ */
+async function logEnvironment(ctx) {
+  const { config } = ctx;
+  const overlays = await findEnvOverlays(config);
+  logger.info(`Environment: ${config.env}`);
+  if (overlays.length === 0) {
+    logger.warn(`No overlays found for environment "${config.env}" (looked for plugin.${config.env}.xml and ${path.relative(config.projectRoot, envSourceDirOf(config))})`);
+  }
+}
+
+/**
+ * Main build process orchestrator. Each step is timed and recorded in the build report, which is
+ * written to the archive directory whether the build succeeds or fails. The context's hooks run
+ * before and after the merge and the archives, transformFile hooks run on every merged file,
+ * and onError hooks run if the build fails.
+ *
+ * Builds are atomic: once the project is validated, the output is built in a staging directory
+ * and only swapped in when the archives are done. If any step up to the git release fails, the
+ * version-bearing source files are restored and the staged or published output is discarded, so
+ * the next build starts from the same version and output. Pruning runs last, on the published build.
+ * @param {object} ctx - The build context.
+ * @param {object} [options] - Build options.
+ * @param {boolean} [options.bump] - Whether to bump the version before packaging (defaults to true).
+ * @param {boolean} [options.prune] - Whether to prune old archives afterwards (defaults to true).
+ * @param {string} [options.version] - An explicit version to build, overriding the versioning strategy.
+ * @param {string} [options.release] - For semver: 'major', 'minor' or 'patch'.
+ * @param {string} [options.preid] - A pre-release tag, e.g. 'beta' for a test-server build.
+ * @param {boolean} [options.force] - With the git step, release even if the working tree is dirty.
+ * @returns {Promise<{version: string, archives: string[], report: object}>} The built version, archive file names and build report.
+ */
+export async function main(ctx, options = {}) {
+  const { config, report } = ctx;
+  const { prune = true } = options;
+  const startedAt = new Date();
+  let transaction = null;
   logger.info('Starting plugin build process...');
   try {
-    const packageJsonString = await fsPromises.readFile(path.join(config.projectRoot, 'package.json'), 'utf8');
-    const { version: currentVersion, name: pluginName } = JSON.parse(packageJsonString);
-    const newVersion = getNewVersion(currentVersion);
-
-    logger.info(`Plugin: ${pluginName}`);
-    logger.info(`Current Version: ${currentVersion} -> New Version: ${newVersion}`);
-
-    await ensureDirectoriesExist();
-    const psXML = await updatePackageVersions(newVersion);
-    await prepareBuildDirectory();
-    await copySvelteBuildContents(psXML);
-
-    // Create Archives
-    logger.info('Creating zip archives...');
-    const slugName = sanitizeName(slugify(psXML.plugin.$.name));
-    const zipFileName = `${slugName}-${newVersion}.zip`;
-    const schemaZipFileName = `DATA-${zipFileName}`;
-    await createPluginZip(config.buildDir, zipFileName);
-    await createPluginZip(config.schemaDir, schemaZipFileName);
+    const { newVersion, gitRelease } = await runStep(ctx, 'validate', async () => {
+      const { version: currentVersion, name: pluginName } = await readPackageInfo(ctx);
+      const version = resolveVersion(ctx, currentVersion, options);
+
+      logger.info(`Plugin: ${pluginName}`);
+      logger.info(`Current Version: ${currentVersion} -> New Version: ${version}`);
+      report.version = { from: currentVersion, to: version };
+      if (config.env) await logEnvironment(ctx);
+
+      if (config.validate !== 'off') {
+        reportSourceProblems(ctx, 'Invalid PowerSchool source files', await validateSourceFolders(ctx));
+      }
+      const release = isGitRelease(ctx, currentVersion, version);
+      if (release) await assertReleasable(ctx, version, options);
+      return { newVersion: version, gitRelease: release };
+    });
+
+    // Dry runs write nothing, so there is nothing to stage or roll back.
+    if (!ctx.ops.dryRun) transaction = await createTransaction(ctx);
+    const buildCtx = transaction ? { ...ctx, config: transaction.config } : ctx;
+
+    const psXML = await runStep(buildCtx, 'version', async () => {
+      await ensureDirectoriesExist(buildCtx);
+      return updatePackageVersions(buildCtx, newVersion);
+    });
+
+    await runStep(buildCtx, 'merge', async () => {
+      await runHook(buildCtx, 'beforeMerge', { version: newVersion, psXML });
+      await prepareBuildDirectory(buildCtx);
+      await copyFrontendBuildContents(buildCtx, psXML);
+      await transformFiles(buildCtx);
+      const files = [...await ctx.ops.listFiles(buildCtx.config.buildDir), ...await ctx.ops.listFiles(buildCtx.config.schemaDir)].map(file => file.path);
+      await runHook(buildCtx, 'afterMerge', { version: newVersion, psXML, files });
+    });
+    await runStep(buildCtx, 'messageKeys', () => checkMessageKeys(buildCtx));
+
+    const archives = await runStep(buildCtx, 'archive', async () => {
+      await runHook(buildCtx, 'beforeArchive', { version: newVersion, psXML });
+      // The release commit is only made after the build, so the manifests name its tag as well.
+      const names = await createArchives(buildCtx, psXML, newVersion, { tag: gitRelease ? releaseTagOf(config, newVersion) : null });
+      if (transaction) await transaction.publish();
+      await runHook(ctx, 'afterArchive', { version: newVersion, archives: report.archives });
+      return names;
+    });
+
+    // Commit and tag only once the archives exist, so a failed build is never tagged.
+    if (gitRelease) await runStep(buildCtx, 'git', () => commitRelease(buildCtx, newVersion));
+    if (transaction) await transaction.finish();
+    transaction = null;
 
     // Prune old archives, excluding the ones we just created
-    await pruneArchives([zipFileName, schemaZipFileName]);
+    if (prune) {
+      await runStep(ctx, 'prune', () => pruneArchives(ctx, archives));
+    }
 
+    await finishBuild(ctx, { startedAt });
     logger.info('Build process completed successfully!');
+    return { version: newVersion, archives, report };
   } catch (error) {
     logger.error('\n--- BUILD FAILED ---');
     logger.error(error);
+    if (transaction) await transaction.rollback();
+    await runErrorHooks(ctx, error);
+    await finishBuild(ctx, { startedAt, error });
     throw error; // Throw the error instead of exiting
   }
 }
-
-// --- EXECUTION ---
-if (import.meta.url === `file://${process.argv[1]}`) {
-  main();
-}
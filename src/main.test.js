@@ -4,6 +4,20 @@ import * as xml2js from 'xml2js';
 import archiver from 'archiver';
 import path from 'node:path';
 import * as stream from 'node:stream';
+import * as fs from 'node:fs';
+import { resolveConfig } from './config.js';
+import {
+  bump,
+  clean,
+  createContext,
+  getNewVersion,
+  main,
+  pruneArchives,
+  removeJunk,
+  sanitizeName,
+  slugify,
+  validateProject,
+} from './main.js';
 
 // Mock the external modules before importing the script to be tested.
 // Vitest hoists these mocks, so they apply before any imports run.
@@ -18,7 +32,305 @@ vi.mock('node:fs', () => ({
     mkdir: vi.fn(),
     writeFile: vi.fn(),
     rm: vi.fn(),
+    mkdtemp: vi.fn(async prefix => `${prefix}test`),
+    rename: vi.fn(),
   },
   createWriteStream: vi.fn(), // Mock createWriteStream as it's used directly from 'node:fs'
 }));
-// [rest of file unchanged]
+
+const config = resolveConfig({}, '/project');
+const ctx = createContext(config);
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('getNewVersion', () => {
+  it('should increment the patch within the same month', () => {
+    vi.useFakeTimers({ now: new Date(2026, 5, 15) });
+    expect(getNewVersion('26.06.04')).toBe('26.06.05');
+  });
+
+  it('should reset the patch when the month changes', () => {
+    vi.useFakeTimers({ now: new Date(2026, 6, 1) });
+    expect(getNewVersion('26.06.04')).toBe('26.07.01');
+  });
+
+  it('should fall back to a date-based version for unparseable input', () => {
+    vi.useFakeTimers({ now: new Date(2026, 6, 1) });
+    expect(getNewVersion('not-a-version')).toBe('26.07.01');
+  });
+});
+
+describe('slugify and sanitizeName', () => {
+  it('should replace spaces and hyphens with underscores', () => {
+    expect(slugify('My Plugin - Reports')).toBe('My_Plugin_Reports');
+  });
+
+  it('should reject names containing traversal sequences', () => {
+    expect(() => sanitizeName('..')).toThrow('Unsafe plugin name');
+  });
+});
+
+describe('removeJunk', () => {
+  it('should delete configured junk files', async () => {
+    fs.promises.readdir.mockResolvedValueOnce(['.DS_Store', 'page.html']);
+    fs.promises.stat.mockResolvedValue({ isDirectory: () => false });
+
+    await removeJunk(ctx, '/build');
+
+    expect(fs.promises.unlink).toHaveBeenCalledTimes(1);
+    expect(fs.promises.unlink).toHaveBeenCalledWith(path.join('/build', '.DS_Store'));
+  });
+
+  it('should delete files matching the exclude globs unless an include glob keeps them', async () => {
+    const globCtx = createContext(resolveConfig({ exclude: ['**/*.map', '**/*.test.*'], include: ['WEB_ROOT/vendor/**'] }, '/project'));
+    const tree = {
+      [config.buildDir]: ['WEB_ROOT', '.DS_Store'],
+      [path.join(config.buildDir, 'WEB_ROOT')]: ['app.js', 'app.js.map', 'app.test.js', 'vendor'],
+      [path.join(config.buildDir, 'WEB_ROOT', 'vendor')]: ['lib.js.map'],
+    };
+    fs.promises.readdir.mockImplementation(async dir => tree[dir]);
+    fs.promises.stat.mockImplementation(async file => ({ isDirectory: () => Object.hasOwn(tree, file) }));
+
+    await removeJunk(globCtx, config.buildDir);
+
+    expect(fs.promises.unlink.mock.calls.map(([file]) => path.relative(config.buildDir, file))).toEqual([
+      '.DS_Store',
+      path.join('WEB_ROOT', 'app.js.map'),
+      path.join('WEB_ROOT', 'app.test.js'),
+    ]);
+  });
+
+  it('should ignore a missing directory', async () => {
+    fs.promises.readdir.mockRejectedValueOnce(Object.assign(new Error('missing'), { code: 'ENOENT' }));
+    await expect(removeJunk(ctx, '/missing')).resolves.toBeUndefined();
+  });
+});
+
+describe('bump', () => {
+  it('should write the new version to package.json', async () => {
+    vi.useFakeTimers({ now: new Date(2026, 5, 15) });
+    fs.promises.readFile.mockImplementation(async (file) => {
+      if (file.endsWith('package.json')) return JSON.stringify({ name: 'test', version: '26.06.04' });
+      return '<plugin name="Test" version="26.06.04"><publisher name="Tester"><contact email="t@example.com"/></publisher></plugin>';
+    });
+    fs.promises.readdir.mockResolvedValue([]);
+
+    await expect(bump(ctx)).resolves.toBe('26.06.05');
+
+    const packageWrite = fs.promises.writeFile.mock.calls.find(([file]) => file.endsWith('package.json'));
+    expect(JSON.parse(packageWrite[1]).version).toBe('26.06.05');
+  });
+
+  it('should apply the versioning options and stamp MessageKeys headers', async () => {
+    vi.useFakeTimers({ now: new Date(2026, 5, 15) });
+    fs.promises.readFile.mockImplementation(async (file) => {
+      if (file.endsWith('package.json')) return JSON.stringify({ name: 'test', version: '26.06.04' });
+      if (file.endsWith('.properties')) return '# Test Plugin - Version: 26.06.04\nkey=value\n';
+      return '<plugin name="Test" version="26.06.04"><publisher name="Tester"><contact email="t@example.com"/></publisher></plugin>';
+    });
+    fs.promises.readdir.mockImplementation(async dir => dir.endsWith('MessageKeys') ? ['keys.US_en.properties'] : []);
+    fs.promises.stat.mockResolvedValue({ isDirectory: () => false, size: 1 });
+
+    await expect(bump(ctx, { preid: 'beta' })).resolves.toBe('26.06.05-beta.1');
+
+    const writes = Object.fromEntries(fs.promises.writeFile.mock.calls.map(([file, data]) => [path.basename(file), data]));
+    expect(JSON.parse(writes['package.json']).version).toBe('26.06.05-beta.1');
+    expect(writes['plugin.xml']).toContain('version="26.06.05"');
+    expect(writes['keys.US_en.properties']).toBe('# Test Plugin - Version: 26.06.05-beta.1\nkey=value\n');
+  });
+
+  it('should stamp only the version of each pagecataloging page', async () => {
+    vi.useFakeTimers({ now: new Date(2026, 5, 15) });
+    const page = { htmlID: 'example', title: 'Example', version: '26.06.04', contextType: 'student', pageURL: '/admin/example.html', parentHTMLID: 'nav', sortOrder: 1, meta: { version: 'keep' } };
+    fs.promises.readFile.mockImplementation(async (file) => {
+      if (file.endsWith('package.json')) return JSON.stringify({ name: 'test', version: '26.06.04' });
+      if (file.endsWith('pages.json')) return JSON.stringify({ version: 'keep', pages: [page] });
+      return '<plugin name="Test" version="26.06.04"><publisher name="Tester"><contact email="t@example.com"/></publisher></plugin>';
+    });
+    fs.promises.readdir.mockImplementation(async dir => dir.endsWith('pagecataloging') ? ['pages.json'] : []);
+    fs.promises.stat.mockResolvedValue({ isDirectory: () => false, size: 1 });
+
+    await bump(ctx);
+
+    const pagesWrite = fs.promises.writeFile.mock.calls.find(([file]) => file.endsWith('pages.json'));
+    expect(JSON.parse(pagesWrite[1])).toEqual({ version: 'keep', pages: [{ ...page, version: '26.06.05' }] });
+  });
+
+  it('should fail before writing anything when a pagecataloging file is invalid', async () => {
+    fs.promises.readFile.mockImplementation(async (file) => {
+      if (file.endsWith('package.json')) return JSON.stringify({ name: 'test', version: '26.06.04' });
+      if (file.endsWith('pages.json')) return JSON.stringify({ pages: [{ htmlID: 'example', version: '26.06.04' }] });
+      return '<plugin name="Test" version="26.06.04"><publisher name="Tester"><contact email="t@example.com"/></publisher></plugin>';
+    });
+    fs.promises.readdir.mockImplementation(async dir => dir.endsWith('pagecataloging') ? ['pages.json'] : []);
+    fs.promises.stat.mockResolvedValue({ isDirectory: () => false, size: 1 });
+
+    await expect(bump(ctx)).rejects.toThrow('Invalid pagecataloging files:\n  pagecataloging/pages.json: pages: missing required field "title"');
+    expect(fs.promises.writeFile).not.toHaveBeenCalled();
+  });
+
+  it('should only warn about an invalid pagecataloging file when validate is warn', async () => {
+    fs.promises.readFile.mockImplementation(async (file) => {
+      if (file.endsWith('package.json')) return JSON.stringify({ name: 'test', version: '26.06.04' });
+      if (file.endsWith('pages.json')) return JSON.stringify({ pages: [{ htmlID: 'example', version: '26.06.04' }] });
+      return '<plugin name="Test" version="26.06.04"><publisher name="Tester"><contact email="t@example.com"/></publisher></plugin>';
+    });
+    fs.promises.readdir.mockImplementation(async dir => dir.endsWith('pagecataloging') ? ['pages.json'] : []);
+    fs.promises.stat.mockResolvedValue({ isDirectory: () => false, size: 1 });
+
+    await bump(createContext(resolveConfig({ validate: 'warn' }, '/project')));
+
+    expect(console.warn).toHaveBeenCalledWith('[WARN]', expect.stringContaining('Invalid pagecataloging files:\n  pagecataloging/pages.json: pages: missing required field "title"'));
+    expect(fs.promises.writeFile.mock.calls.map(([file]) => path.basename(file))).toContain('package.json');
+  });
+});
+
+describe('main', () => {
+  it('should fail before writing anything when plugin.xml is invalid', async () => {
+    fs.promises.readFile.mockImplementation(async (file) => {
+      if (file.endsWith('package.json')) return JSON.stringify({ name: 'test', version: '26.06.04' });
+      return '<plugin name="Test Plugin" version="26.06.04"><access_request><field table="STUDENTS" field="DCID"/></access_request></plugin>';
+    });
+    fs.promises.readdir.mockResolvedValue([]);
+
+    await expect(main(ctx, { bump: false })).rejects.toThrow(
+      'Invalid plugin.xml:\n'
+      + '  plugin: missing required <publisher> element\n'
+      + '  plugin > access_request > field: missing required attribute "access"',
+    );
+    // Only the build report, which records the failure.
+    expect(fs.promises.writeFile.mock.calls.map(([file]) => file)).toEqual([path.join(config.archiveDir, 'build-report.json')]);
+  });
+
+  it('should record the build without writing anything in dry-run mode', async () => {
+    const dryRunCtx = createContext(config, { dryRun: true });
+    fs.promises.readFile.mockImplementation(async (file) => {
+      if (file.endsWith('package.json')) return JSON.stringify({ name: 'test', version: '26.06.04' });
+      return '<plugin name="Test Plugin" version="26.06.04"><publisher name="Tester"><contact email="t@example.com"/></publisher></plugin>';
+    });
+    fs.promises.readdir.mockResolvedValue([]);
+    fs.promises.access.mockRejectedValue(Object.assign(new Error('missing'), { code: 'ENOENT' }));
+
+    const result = await main(dryRunCtx, { bump: false });
+
+    expect(result.version).toBe('26.06.04');
+    for (const method of ['writeFile', 'unlink', 'rm', 'cp', 'mkdir']) {
+      expect(fs.promises[method]).not.toHaveBeenCalled();
+    }
+    const written = dryRunCtx.ops.summary().written.map(file => file.path);
+    expect(written).toContain(path.join(config.buildDir, 'plugin.xml'));
+    expect(written).toContain(path.join(config.schemaDir, 'plugin.xml'));
+    expect(result.report.archives.map(archive => archive.name)).toEqual(['Test_Plugin-26.06.04.zip', 'DATA-Test_Plugin-26.06.04.zip']);
+    expect(result.report.archives[0].entries.map(entry => entry.path)).toEqual(['plugin.xml']);
+  });
+
+  it('should move excluded source maps into a separate archive', async () => {
+    const mapsConfig = resolveConfig({ exclude: ['**/*.map'], sourceMapsArchive: true }, '/project');
+    const dryRunCtx = createContext(mapsConfig, { dryRun: true });
+    fs.promises.readFile.mockImplementation(async (file) => {
+      if (file.endsWith('package.json')) return JSON.stringify({ name: 'test', version: '26.06.04' });
+      return '<plugin name="Test Plugin" version="26.06.04"><publisher name="Tester"><contact email="t@example.com"/></publisher></plugin>';
+    });
+    const tree = {
+      [mapsConfig.buildDir]: ['WEB_ROOT'],
+      [path.join(mapsConfig.buildDir, 'WEB_ROOT')]: ['app.js', 'app.js.map'],
+    };
+    fs.promises.readdir.mockImplementation(async dir => tree[dir] ?? []);
+    fs.promises.stat.mockImplementation(async file => ({ isDirectory: () => Object.hasOwn(tree, file), size: 1 }));
+    fs.promises.access.mockRejectedValue(Object.assign(new Error('missing'), { code: 'ENOENT' }));
+
+    const result = await main(dryRunCtx, { bump: false });
+
+    expect(result.archives).toEqual(['Test_Plugin-26.06.04.zip', 'DATA-Test_Plugin-26.06.04.zip', 'sourcemaps-26.06.04.zip']);
+    const entries = result.report.archives.map(archive => archive.entries.map(entry => entry.path));
+    expect(entries[0]).toEqual(['WEB_ROOT/app.js', 'plugin.xml']);
+    expect(entries[2]).toEqual(['WEB_ROOT/app.js.map']);
+  });
+
+  it('should add the environment to the archive names', async () => {
+    const dryRunCtx = createContext(resolveConfig({ env: 'test' }, '/project'), { dryRun: true });
+    fs.promises.readFile.mockImplementation(async (file) => {
+      if (file.endsWith('package.json')) return JSON.stringify({ name: 'test', version: '26.06.04' });
+      if (file.endsWith('plugin.test.xml')) return '<plugin name="Test Plugin (TEST)"/>';
+      return '<plugin name="Test Plugin" version="26.06.04"><publisher name="Tester"><contact email="t@example.com"/></publisher></plugin>';
+    });
+    fs.promises.readdir.mockResolvedValue([]);
+    fs.promises.access.mockRejectedValue(Object.assign(new Error('missing'), { code: 'ENOENT' }));
+
+    const result = await main(dryRunCtx, { bump: false });
+
+    expect(result.archives).toEqual(['Test_Plugin-test-26.06.04.zip', 'DATA-Test_Plugin-test-26.06.04.zip']);
+  });
+
+  it('should fail before writing anything when access_request is out of sync in check mode', async () => {
+    const checkCtx = createContext(resolveConfig({ accessRequest: 'check' }, '/project'));
+    fs.promises.readFile.mockImplementation(async (file) => {
+      if (file.endsWith('package.json')) return JSON.stringify({ name: 'test', version: '26.06.04' });
+      if (file.endsWith('notes.xml')) {
+        return '<queries><query name="net.tesd.example.notes"><args/><columns><column column="STUDENTS.DCID">dcid</column></columns><sql>SELECT 1</sql></query></queries>';
+      }
+      return '<plugin name="Test Plugin" version="26.06.04"><publisher name="Tester"><contact email="t@example.com"/></publisher></plugin>';
+    });
+    fs.promises.readdir.mockImplementation(async dir => dir.endsWith('queries_root') ? ['notes.xml'] : []);
+    fs.promises.stat.mockResolvedValue({ isDirectory: () => false, size: 1 });
+
+    await expect(main(checkCtx, { bump: false })).rejects.toThrow(
+      'plugin.xml access_request is out of sync with queries_root:\n'
+      + '  missing: STUDENTS.DCID is used by a named query but not listed in access_request',
+    );
+    expect(fs.promises.writeFile.mock.calls.map(([file]) => file)).toEqual([path.join(checkCtx.config.archiveDir, 'build-report.json')]);
+  });
+
+  it('should rethrow failures', async () => {
+    fs.promises.readFile.mockRejectedValue(new Error('boom'));
+    await expect(main(ctx)).rejects.toThrow('boom');
+  });
+});
+
+describe('pruneArchives', () => {
+  it('should keep the newest archives and delete older ones with their manifests', async () => {
+    const pruneCtx = createContext(resolveConfig({ archivesToKeep: 1 }, '/project'));
+    fs.promises.readdir.mockResolvedValue(['A-1.zip', 'A-1.zip.manifest.json', 'A-2.zip', 'A-2.zip.manifest.json', 'A-3.zip', 'build-report.json']);
+    fs.promises.stat.mockImplementation(async file => ({ mtimeMs: Number(/A-(\d)/.exec(file)[1]), isDirectory: () => false }));
+
+    await pruneArchives(pruneCtx, ['A-3.zip']);
+
+    expect(fs.promises.rm.mock.calls.map(([file]) => path.basename(file))).toEqual(['A-1.zip', 'A-1.zip.manifest.json']);
+    expect(pruneCtx.report.pruned).toEqual(['A-1.zip', 'A-1.zip.manifest.json']);
+  });
+});
+
+describe('clean', () => {
+  it('should remove the build and schema directories', async () => {
+    await clean(ctx);
+    expect(fs.promises.rm).toHaveBeenCalledWith(config.buildDir, { recursive: true, force: true });
+    expect(fs.promises.rm).toHaveBeenCalledWith(config.schemaDir, { recursive: true, force: true });
+  });
+});
+
+describe('validateProject', () => {
+  it('should report plugin.xml problems and a missing source directory', async () => {
+    fs.promises.readFile.mockImplementation(async (file) => {
+      if (file.endsWith('package.json')) return JSON.stringify({ version: '26.06.04' });
+      return '<plugin version="26.06.04"/>';
+    });
+    fs.promises.access.mockRejectedValue(new Error('missing'));
+
+    const problems = await validateProject(ctx);
+
+    expect(problems).toEqual([
+      'plugin.xml: plugin: missing required attribute "name"',
+      'plugin.xml: plugin: missing required <publisher> element',
+      `PowerSchool source directory not found: ${config.powerSchoolSourceDir}`,
+    ]);
+  });
+});
@@ -0,0 +1,196 @@
+import * as fs from 'node:fs';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { versionHeaderPattern } from './messageKeys.js';
+import { publishedPathOf } from './transaction.js';
+import { readZipEntries } from './utils/zip.js';
+import logger from './utils/logger.js';
+
+const fsPromises = fs.promises;
+
+// Manifests are written next to their archive as <archive>.zip.manifest.json.
+export const manifestSuffix = '.manifest.json';
+
+/**
+ * Returns the manifest path for an archive.
+ * @param {string} zipPath - The archive path.
+ * @returns {string} The manifest path.
+ */
+export const manifestPathFor = zipPath => `${zipPath}${manifestSuffix}`;
+
+/**
+ * Computes the SHA-256 of some data.
+ * @param {Buffer|string} data - The data.
+ * @returns {string} The hex digest.
+ */
+export const sha256 = data => createHash('sha256').update(data).digest('hex');
+
+/**
+ * Blanks the version fields the version bump stamps into an archive entry: the plugin.xml
+ * version attribute, the version of each pagecataloging page and the MessageKeys headers.
+ * Anything else that happens to look like the version is left alone.
+ * @param {string} entryPath - The entry's path inside the archive.
+ * @param {Buffer} data - The entry contents.
+ * @returns {Buffer} The contents without their version fields.
+ */
+function withoutVersionFields(entryPath, data) {
+  const [folder] = entryPath.split('/');
+  if (entryPath === 'plugin.xml') {
+    return Buffer.from(data.toString('utf8').replace(/(<plugin\b[^>]*?\sversion=)("[^"]*"|'[^']*')/, '$1""'));
+  }
+  if (folder === 'pagecataloging' && entryPath.endsWith('.json')) {
+    try {
+      const pageCataloging = JSON.parse(data.toString('utf8'));
+      for (const page of pageCataloging.pages ?? []) {
+        if (page && Object.hasOwn(page, 'version')) page.version = '';
+      }
+      return Buffer.from(JSON.stringify(pageCataloging));
+    } catch {
+      return data;
+    }
+  }
+  if (folder === 'MessageKeys' && entryPath.endsWith('.properties')) {
+    return Buffer.from(data.toString('utf8').replace(versionHeaderPattern, '$1'));
+  }
+  return data;
+}
+
+/**
+ * Hashes what an archive contains, ignoring the version it was built as, so two builds of the
+ * same source that only differ in their version number get the same hash.
+ * @param {{path: string, data: Buffer}[]} entries - The archive entries.
+ * @returns {string} The hex digest.
+ */
+export function contentHashOf(entries) {
+  const lines = entries
+    .map(entry => `${entry.path}\0${sha256(withoutVersionFields(entry.path, entry.data))}`)
+    .sort();
+  return sha256(lines.join('\n'));
+}
+
+/**
+ * Builds the manifest of an archive.
+ * @param {object} params - Manifest details.
+ * @param {string} params.name - The archive file name.
+ * @param {Buffer} params.buffer - The archive contents.
+ * @param {{name: string, version: string, env?: string}} params.plugin - The plugin name and version from plugin.xml, and the environment built for, if any.
+ * @param {string|null} [params.commit] - The git commit the archive was built from.
+ * @param {string|null} [params.tag] - The release tag of a build with the git step, which points to the release commit made after the build.
+ * @param {Date} [params.builtAt] - The build time.
+ * @returns {object} The manifest.
+ */
+export function createManifest({ name, buffer, plugin, commit = null, tag = null, builtAt = new Date() }) {
+  const entries = readZipEntries(buffer);
+  return {
+    archive: name,
+    size: buffer.length,
+    sha256: sha256(buffer),
+    contentHash: contentHashOf(entries),
+    plugin: { name: plugin.name, version: plugin.version, ...(plugin.env ? { env: plugin.env } : {}) },
+    builtAt: builtAt.toISOString(),
+    commit,
+    ...(tag ? { tag } : {}),
+    entries: entries.map(entry => ({ path: entry.path, size: entry.size, sha256: sha256(entry.data) })),
+  };
+}
+
+/**
+ * Writes the manifest of a finished archive next to it.
+ * @param {object} ctx - The build context.
+ * @param {string} zipPath - The archive path.
+ * @param {object} details - The plugin name/version, git commit and release tag (see createManifest).
+ * @returns {Promise<{manifestPath: string, manifest: object}>} The manifest and where it was written.
+ */
+export async function writeManifest(ctx, zipPath, details) {
+  const buffer = await fsPromises.readFile(zipPath);
+  const manifest = createManifest({ ...details, name: path.basename(zipPath), buffer });
+  const manifestPath = manifestPathFor(zipPath);
+  await ctx.ops.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+  logger.info(`Manifest written: ${publishedPathOf(ctx.config, manifestPath)} (${manifest.entries.length} entries, sha256 ${manifest.sha256})`);
+  return { manifestPath, manifest };
+}
+
+/**
+ * Finds the manifest of the most recent other archive of the same kind, e.g. the latest
+ * Test_Plugin-*.zip for Test_Plugin-26.06.05.zip (DATA- archives only match DATA- archives),
+ * built for the same environment. The archive being rebuilt is never its own previous archive.
+ * Unreadable manifests are ignored.
+ * @param {string} archiveDir - The archive directory.
+ * @param {string} zipFileName - The name of the new archive.
+ * @param {string} version - The version of the new archive.
+ * @param {string|null} [env] - The environment of the new archive.
+ * @returns {Promise<object|null>} The previous manifest, or null if there is none.
+ */
+export async function findPreviousManifest(archiveDir, zipFileName, version, env = null) {
+  const prefix = zipFileName.slice(0, zipFileName.length - `${version}.zip`.length);
+  let files;
+  try {
+    files = await fsPromises.readdir(archiveDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  let previous = null;
+  for (const file of files) {
+    if (!file.startsWith(prefix) || !file.endsWith(manifestSuffix) || file === manifestPathFor(zipFileName)) continue;
+    try {
+      const manifest = JSON.parse(await fsPromises.readFile(path.join(archiveDir, file), 'utf8'));
+      // Test_Plugin-*.zip also matches Test_Plugin-test-*.zip, so the environment must match too.
+      if ((manifest.plugin?.env ?? null) !== (env ?? null)) continue;
+      if (!previous || manifest.builtAt > previous.builtAt) previous = manifest;
+    } catch {
+      logger.warn(`Ignoring unreadable manifest ${file}`);
+    }
+  }
+  return previous;
+}
+
+/**
+ * Re-checks an archive against its manifest.
+ * @param {string} zipPath - The archive path.
+ * @returns {Promise<string[]>} The differences found (empty when the archive matches).
+ * @throws {Error} If the archive or its manifest cannot be read.
+ */
+export async function verifyArchive(zipPath) {
+  const manifestPath = manifestPathFor(zipPath);
+  let manifest;
+  try {
+    manifest = JSON.parse(await fsPromises.readFile(manifestPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read manifest ${manifestPath}: ${error.message}`);
+  }
+  const buffer = await fsPromises.readFile(zipPath);
+
+  const problems = [];
+  const archiveHash = sha256(buffer);
+  if (archiveHash !== manifest.sha256) {
+    problems.push(`archive: sha256 ${archiveHash} does not match the manifest (${manifest.sha256})`);
+  }
+
+  let entries;
+  try {
+    entries = readZipEntries(buffer);
+  } catch (error) {
+    problems.push(`archive: ${error.message}`);
+    return problems;
+  }
+
+  const expected = new Map((manifest.entries ?? []).map(entry => [entry.path, entry]));
+  for (const entry of entries) {
+    const listed = expected.get(entry.path);
+    if (!listed) {
+      problems.push(`${entry.path}: not listed in the manifest`);
+      continue;
+    }
+    expected.delete(entry.path);
+    const hash = sha256(entry.data);
+    if (hash !== listed.sha256 || entry.size !== listed.size) {
+      problems.push(`${entry.path}: content differs from the manifest (${entry.size} bytes, sha256 ${hash})`);
+    }
+  }
+  for (const missing of expected.keys()) {
+    problems.push(`${missing}: listed in the manifest but missing from the archive`);
+  }
+  return problems;
+}
@@ -0,0 +1,142 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { resolveConfig } from './config.js';
+import { createContext } from './main.js';
+import {
+  contentHashOf,
+  createManifest,
+  findPreviousManifest,
+  manifestPathFor,
+  sha256,
+  verifyArchive,
+  writeManifest,
+} from './manifest.js';
+import { makeZip } from './test/makeZip.js';
+
+const fsPromises = fs.promises;
+
+describe('createManifest', () => {
+  it('should list every entry with its size and checksum', async () => {
+    const buffer = await makeZip({ 'plugin.xml': '<plugin/>', 'WEB_ROOT/a.html': 'a' });
+
+    const manifest = createManifest({
+      name: 'Test-26.06.05.zip',
+      buffer,
+      plugin: { name: 'Test', version: '26.06.05' },
+      commit: 'abc123',
+      builtAt: new Date('2026-06-15T12:00:00Z'),
+    });
+
+    expect(manifest).toEqual({
+      archive: 'Test-26.06.05.zip',
+      size: buffer.length,
+      sha256: sha256(buffer),
+      contentHash: expect.stringMatching(/^[0-9a-f]{64}$/),
+      plugin: { name: 'Test', version: '26.06.05' },
+      builtAt: '2026-06-15T12:00:00.000Z',
+      commit: 'abc123',
+      entries: [
+        { path: 'plugin.xml', size: 9, sha256: sha256('<plugin/>') },
+        { path: 'WEB_ROOT/a.html', size: 1, sha256: sha256('a') },
+      ],
+    });
+  });
+
+  it('should record the release tag when there is one', async () => {
+    const manifest = createManifest({ name: 'Test-26.06.05.zip', buffer: await makeZip({ 'plugin.xml': '<plugin/>' }), plugin: { name: 'Test', version: '26.06.05' }, commit: 'abc123', tag: 'v26.06.05' });
+
+    expect(manifest).toMatchObject({ commit: 'abc123', tag: 'v26.06.05' });
+  });
+});
+
+describe('contentHashOf', () => {
+  const entries = (version, page = 'a', extra = {}) => [
+    { path: 'plugin.xml', data: Buffer.from(`<plugin name="Test" version="${version}" description="Test"/>`) },
+    { path: 'WEB_ROOT/a.html', data: Buffer.from(page) },
+    { path: 'pagecataloging/pages.json', data: Buffer.from(JSON.stringify({ pages: [{ htmlID: 'a', version, meta: { version: extra.meta ?? version } }] })) },
+    { path: 'MessageKeys/test.US_en.properties', data: Buffer.from(`# Test - Version: ${version}\ntest.title=Test\n`) },
+  ];
+
+  it('should ignore the version fields the version bump stamps', () => {
+    expect(contentHashOf(entries('26.06.05', 'a', { meta: '1' }))).toBe(contentHashOf(entries('26.06.04', 'a', { meta: '1' })));
+  });
+
+  it('should change when any entry changes, including text that only looks like the version', () => {
+    expect(contentHashOf(entries('1.0.1', 'b'))).not.toBe(contentHashOf(entries('1.0.1', 'a')));
+    expect(contentHashOf(entries('1.0.1', 'Released in 1.0.1'))).not.toBe(contentHashOf(entries('1.0.1', 'Released in ')));
+    expect(contentHashOf(entries('1.0.1', 'a', { meta: '1.0.1' }))).not.toBe(contentHashOf(entries('1.0.2', 'a', { meta: '1.0.2' })));
+  });
+});
+
+describe('findPreviousManifest', () => {
+  let root;
+
+  const writeJson = (file, data) => fsPromises.writeFile(path.join(root, file), JSON.stringify(data));
+
+  beforeEach(async () => {
+    root = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'ps-package-previous-'));
+  });
+
+  afterEach(async () => {
+    await fsPromises.rm(root, { recursive: true, force: true });
+  });
+
+  it('should return the latest manifest of the same kind of archive', async () => {
+    await writeJson('Test-26.06.03.zip.manifest.json', { archive: 'Test-26.06.03.zip', builtAt: '2026-06-03T00:00:00.000Z' });
+    await writeJson('Test-26.06.04.zip.manifest.json', { archive: 'Test-26.06.04.zip', builtAt: '2026-06-04T00:00:00.000Z' });
+    await writeJson('DATA-Test-26.06.04.zip.manifest.json', { archive: 'DATA-Test-26.06.04.zip', builtAt: '2026-06-05T00:00:00.000Z' });
+
+    expect((await findPreviousManifest(root, 'Test-26.06.05.zip', '26.06.05')).archive).toBe('Test-26.06.04.zip');
+    expect((await findPreviousManifest(root, 'DATA-Test-26.06.05.zip', '26.06.05')).archive).toBe('DATA-Test-26.06.04.zip');
+  });
+
+  it('should return null when there is no earlier archive', async () => {
+    await writeJson('Test-26.06.05.zip.manifest.json', { archive: 'Test-26.06.05.zip', builtAt: '2026-06-05T00:00:00.000Z' });
+
+    await expect(findPreviousManifest(root, 'Test-26.06.05.zip', '26.06.05')).resolves.toBeNull();
+    await expect(findPreviousManifest(path.join(root, 'missing'), 'Test-26.06.05.zip', '26.06.05')).resolves.toBeNull();
+  });
+});
+
+describe('verifyArchive', () => {
+  let root;
+  let zipPath;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    root = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'ps-package-manifest-'));
+    zipPath = path.join(root, 'Test-26.06.05.zip');
+    await fsPromises.writeFile(zipPath, await makeZip({ 'plugin.xml': '<plugin/>', 'WEB_ROOT/a.html': 'a' }));
+    const ctx = createContext(resolveConfig({}, root));
+    await writeManifest(ctx, zipPath, { plugin: { name: 'Test', version: '26.06.05' }, commit: null });
+  });
+
+  afterEach(async () => {
+    await fsPromises.rm(root, { recursive: true, force: true });
+  });
+
+  it('should accept an archive that matches its manifest', async () => {
+    await expect(verifyArchive(zipPath)).resolves.toEqual([]);
+  });
+
+  it('should report a replaced archive entry by entry', async () => {
+    await fsPromises.writeFile(zipPath, await makeZip({ 'plugin.xml': '<plugin name="x"/>', 'WEB_ROOT/b.html': 'b' }));
+
+    const problems = await verifyArchive(zipPath);
+
+    expect(problems).toHaveLength(4);
+    expect(problems[0]).toMatch(/^archive: sha256 [0-9a-f]{64} does not match the manifest/);
+    expect(problems.slice(1)).toEqual([
+      `plugin.xml: content differs from the manifest (18 bytes, sha256 ${sha256('<plugin name="x"/>')})`,
+      'WEB_ROOT/b.html: not listed in the manifest',
+      'WEB_ROOT/a.html: listed in the manifest but missing from the archive',
+    ]);
+  });
+
+  it('should fail when there is no manifest', async () => {
+    await fsPromises.rm(manifestPathFor(zipPath));
+    await expect(verifyArchive(zipPath)).rejects.toThrow(`Could not read manifest ${manifestPathFor(zipPath)}`);
+  });
+});
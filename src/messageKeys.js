@@ -0,0 +1,236 @@
+import * as fs from 'node:fs';
+import path from 'node:path';
+import { envSourceDirOf } from './environments.js';
+import { walkFiles } from './utils/fileOps.js';
+
+const fsPromises = fs.promises;
+
+const escapes = { t: '\t', n: '\n', r: '\r', f: '\f' };
+
+/**
+ * Resolves the escape sequences of a .properties key or value.
+ * @param {string} text - The raw text.
+ * @returns {string} The text with escapes resolved.
+ */
+function unescape(text) {
+  return text.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, sequence) => {
+    if (sequence.length === 5) return String.fromCharCode(Number.parseInt(sequence.slice(1), 16));
+    return escapes[sequence] ?? sequence;
+  });
+}
+
+/**
+ * Whether a line ends in a line continuation: an odd number of trailing backslashes.
+ * @param {string} line - The line.
+ * @returns {boolean} True if the next line continues this one.
+ */
+function continues(line) {
+  const trailing = /\\*$/.exec(line)[0].length;
+  return trailing % 2 === 1;
+}
+
+/**
+ * Parses a Java .properties file, as used for PowerSchool MessageKeys.
+ * Follows java.util.Properties: # and ! comments, = or : or whitespace separators, line
+ * continuations and backslash escapes. Entries are returned in file order, duplicates included.
+ * @param {string} text - The file contents.
+ * @returns {{key: string, value: string, line: number}[]} The entries, with the line each starts on.
+ */
+export function parseProperties(text) {
+  const lines = text.replace(/^﻿/, '').split(/\r\n|\r|\n/);
+  const entries = [];
+
+  for (let index = 0; index < lines.length; index++) {
+    const start = index;
+    let logical = lines[index].replace(/^[ \t\f]+/, '');
+    if (logical === '' || logical.startsWith('#') || logical.startsWith('!')) continue;
+    while (continues(logical) && index + 1 < lines.length) {
+      index++;
+      logical = logical.slice(0, -1) + lines[index].replace(/^[ \t\f]+/, '');
+    }
+    if (continues(logical)) logical = logical.slice(0, -1);
+
+    // The key ends at the first unescaped separator.
+    const match = /^((?:\\.|[^\\=: \t\f])*)[ \t\f]*(?:[=:][ \t\f]*)?([\s\S]*)$/.exec(logical);
+    entries.push({ key: unescape(match[1]), value: unescape(match[2]), line: start + 1 });
+  }
+  return entries;
+}
+
+// The locale suffix of a MessageKeys file name, e.g. US_en in name.US_en.properties.
+const localePattern = /^[A-Za-z]{2,3}(?:_[A-Za-z0-9]{2,8})+$/;
+
+// The locale other locales are compared with, when a key set has it.
+export const referenceLocale = 'US_en';
+
+export const messageKeysModes = ['off', 'warn', 'error'];
+
+// The "Version:" header comment the version bump stamps, e.g. "# My Plugin - Version: 24.11.02".
+export const versionHeaderPattern = /^([#!].*\bVersion:[ \t]*)\S+/gim;
+
+const referenceExtensions = ['.html', '.htm', '.js', '.mjs'];
+
+/**
+ * Splits a MessageKeys file name into its key set and locale, e.g.
+ * `plugin.leftnav.footer.US_en.properties` into `plugin.leftnav.footer` and `US_en`.
+ * @param {string} fileName - The file name.
+ * @returns {{keySet: string, locale: string|null}} The key set, and the locale if the name has one.
+ */
+export function localeOf(fileName) {
+  const base = fileName.replace(/\.properties$/, '');
+  const dot = base.lastIndexOf('.');
+  const suffix = base.slice(dot + 1);
+  if (dot === -1 || !localePattern.test(suffix)) return { keySet: base, locale: null };
+  return { keySet: base.slice(0, dot), locale: suffix };
+}
+
+/**
+ * Finds \u escapes that are not followed by four hex digits, which java.util.Properties rejects.
+ * @param {string} text - The file contents.
+ * @returns {number[]} The line numbers of the malformed escapes.
+ */
+export function findMalformedEscapes(text) {
+  const lines = [];
+  text.split(/\r\n|\r|\n/).forEach((line, index) => {
+    if (/^[ \t\f]*[#!]/.test(line)) return;
+    for (const match of line.matchAll(/\\(u[0-9a-fA-F]{4}|u|[\s\S])/g)) {
+      if (match[1] === 'u') lines.push(index + 1);
+    }
+  });
+  return [...new Set(lines)];
+}
+
+/**
+ * Finds the `~[text:key]` references of an HTML or JavaScript file.
+ * @param {string} text - The file contents.
+ * @returns {{key: string, line: number}[]} The referenced keys, with the line of each reference.
+ */
+export function findTextReferences(text) {
+  const references = [];
+  text.split(/\r\n|\r|\n/).forEach((line, index) => {
+    for (const match of line.matchAll(/~\[text:([^\]\s;,]+)[^\]]*\]/g)) {
+      references.push({ key: match[1], line: index + 1 });
+    }
+  });
+  return references;
+}
+
+const listOf = (keys, limit = 10) => (keys.length > limit ? `${keys.slice(0, limit).join(', ')} and ${keys.length - limit} more` : keys.join(', '));
+
+/**
+ * Checks a set of MessageKeys files and the `~[text:...]` references to them.
+ * Errors: files that are not valid UTF-8, malformed escapes, duplicate keys, keys a locale lacks
+ * compared with the reference locale (US_en, or else the first locale of the key set).
+ * Warnings: references to keys no file defines (they may be PowerSchool's own), keys only some
+ * locales have, file names without a locale, and keys nothing references (PowerSchool itself may still use them).
+ * @param {{path: string, buffer: Buffer}[]} files - The .properties files; paths are used in messages.
+ * @param {{path: string, key: string, line: number}[]} references - The `~[text:...]` references found.
+ * @param {object} [options] - Check options.
+ * @param {boolean} [options.unused] - Whether to warn about keys nothing references (defaults to true).
+ * @returns {{errors: string[], warnings: string[]}} The problems found.
+ */
+export function checkMessageKeys(files, references, { unused = true } = {}) {
+  const errors = [];
+  const warnings = [];
+  const decoder = new TextDecoder('utf-8', { fatal: true });
+  const groups = new Map();
+  const defined = new Set();
+
+  for (const file of [...files].sort((a, b) => a.path.localeCompare(b.path))) {
+    let text;
+    try {
+      text = decoder.decode(file.buffer);
+    } catch {
+      errors.push(`${file.path}: not valid UTF-8; save it with UTF-8 encoding`);
+      text = file.buffer.toString('latin1');
+    }
+    findMalformedEscapes(text).forEach(line => errors.push(`${file.path}:${line}: malformed \\uXXXX escape`));
+
+    const entries = parseProperties(text);
+    const firstLines = new Map();
+    for (const { key, line } of entries) {
+      if (firstLines.has(key)) {
+        errors.push(`${file.path}:${line}: duplicate key "${key}" (first defined on line ${firstLines.get(key)})`);
+      } else {
+        firstLines.set(key, line);
+      }
+      defined.add(key);
+    }
+
+    const { keySet, locale } = localeOf(file.path.split('/').pop());
+    if (!locale) warnings.push(`${file.path}: no locale in the file name (expected e.g. ${keySet}.${referenceLocale}.properties)`);
+    if (!groups.has(keySet)) groups.set(keySet, []);
+    groups.get(keySet).push({ path: file.path, locale, keys: [...firstLines.keys()] });
+  }
+
+  const referenced = new Set();
+  for (const reference of references) {
+    if (!defined.has(reference.key)) warnings.push(`${reference.path}:${reference.line}: ~[text:${reference.key}] has no MessageKeys entry in this plugin`);
+    referenced.add(reference.key);
+  }
+
+  for (const group of groups.values()) {
+    const localized = group.filter(file => file.locale);
+    const reference = localized.find(file => file.locale === referenceLocale) ?? localized[0];
+    if (reference) {
+      const referenceKeys = new Set(reference.keys);
+      for (const file of localized.filter(file => file !== reference)) {
+        const keys = new Set(file.keys);
+        const missing = reference.keys.filter(key => !keys.has(key));
+        const extra = file.keys.filter(key => !referenceKeys.has(key));
+        if (missing.length > 0) errors.push(`${file.path}: missing ${missing.length} key(s) that ${reference.locale} has: ${listOf(missing)}`);
+        if (extra.length > 0) warnings.push(`${file.path}: ${extra.length} key(s) that ${reference.locale} does not have: ${listOf(extra)}`);
+      }
+    }
+    if (!unused) continue;
+    // Reported once per key set, on the file the others are compared with.
+    const reported = reference ?? group[0];
+    const unreferenced = reported.keys.filter(key => !referenced.has(key));
+    if (unreferenced.length > 0) warnings.push(`${reported.path}: ${unreferenced.length} key(s) not referenced by ~[text:...] in WEB_ROOT: ${listOf(unreferenced)}`);
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Lists the files a build merges from a folder of each source layer: later layers replace
+ * files with the same relative path, as the environment overlay does.
+ * @param {string[]} dirs - The folders, in merge order.
+ * @returns {Promise<string[]>} The file paths.
+ */
+async function layeredFiles(dirs) {
+  const files = new Map();
+  for (const dir of dirs) {
+    for (const file of await walkFiles(dir)) files.set(path.relative(dir, file.path), file.path);
+  }
+  return [...files.values()];
+}
+
+/**
+ * Checks the project's MessageKeys (including the environment overlay) against each other and
+ * against the `~[text:...]` references in WEB_ROOT. References are looked for in the source
+ * WEB_ROOT folders and in the build output's WEB_ROOT, which also holds the front-end build.
+ * @param {object} ctx - The build context.
+ * @param {object} [options] - Check options (see checkMessageKeys).
+ * @returns {Promise<{errors: string[], warnings: string[]}>} The problems found (see checkMessageKeys).
+ */
+export async function checkProjectMessageKeys(ctx, options = {}) {
+  const { config } = ctx;
+  const sourceDirs = [config.powerSchoolSourceDir, envSourceDirOf(config)].filter(Boolean);
+  const label = filePath => path.relative(config.projectRoot, filePath).split(path.sep).join('/');
+
+  const keyFiles = (await layeredFiles(sourceDirs.map(dir => path.join(dir, 'MessageKeys'))))
+    .filter(filePath => filePath.endsWith('.properties'));
+  const files = await Promise.all(keyFiles.map(async filePath => ({ path: label(filePath), buffer: await fsPromises.readFile(filePath) })));
+
+  // Source files replace their copies from the last build.
+  const pages = (await layeredFiles([config.buildDir, ...sourceDirs].map(dir => path.join(dir, 'WEB_ROOT'))))
+    .filter(filePath => referenceExtensions.includes(path.extname(filePath)));
+  const references = [];
+  for (const page of pages) {
+    const text = await fsPromises.readFile(page, 'utf8');
+    references.push(...findTextReferences(text).map(reference => ({ ...reference, path: label(page) })));
+  }
+
+  return checkMessageKeys(files, references, options);
+}
@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import * as fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { resolveConfig } from './config.js';
+import { createContext } from './main.js';
+import {
+  checkMessageKeys,
+  checkProjectMessageKeys,
+  findMalformedEscapes,
+  findTextReferences,
+  localeOf,
+  parseProperties,
+} from './messageKeys.js';
+
+const fsPromises = fs.promises;
+
+describe('parseProperties', () => {
+  it('should read keys and values with any separator, skipping comments', () => {
+    const text = '# Version: 26.06.04\n! also a comment\n\na.b=One\nc.d: Two\ne.f Three\n  g.h = Four  \n';
+    expect(parseProperties(text)).toEqual([
+      { key: 'a.b', value: 'One', line: 4 },
+      { key: 'c.d', value: 'Two', line: 5 },
+      { key: 'e.f', value: 'Three', line: 6 },
+      { key: 'g.h', value: 'Four  ', line: 7 },
+    ]);
+  });
+
+  it('should join continuation lines and resolve escapes', () => {
+    const text = 'long=first \\\n    second\nescaped\\=key=caf\\u00e9\\ttab\ntrailing=ends with \\\\\nnext=value';
+    expect(parseProperties(text)).toEqual([
+      { key: 'long', value: 'first second', line: 1 },
+      { key: 'escaped=key', value: 'café\ttab', line: 3 },
+      { key: 'trailing', value: 'ends with \\', line: 4 },
+      { key: 'next', value: 'value', line: 5 },
+    ]);
+  });
+
+  it('should keep duplicate keys in file order', () => {
+    expect(parseProperties('a=1\r\na=2').map(entry => entry.value)).toEqual(['1', '2']);
+  });
+});
+
+describe('localeOf', () => {
+  it('should split the key set from the locale', () => {
+    expect(localeOf('plugin.leftnav.footer.US_en.properties')).toEqual({ keySet: 'plugin.leftnav.footer', locale: 'US_en' });
+    expect(localeOf('plugin.US_es.properties')).toEqual({ keySet: 'plugin', locale: 'US_es' });
+    expect(localeOf('plugin.leftnav.properties')).toEqual({ keySet: 'plugin.leftnav', locale: null });
+  });
+});
+
+describe('findMalformedEscapes and findTextReferences', () => {
+  it('should find \\u escapes without four hex digits, outside comments', () => {
+    expect(findMalformedEscapes('# \\u in a comment\na=caf\\u00e9\nb=\\u00zz\nc=\\\\u1\n')).toEqual([3]);
+  });
+
+  it('should find ~[text:...] references with their lines', () => {
+    expect(findTextReferences('<h1>~[text:app.title]</h1>\nconst s = "~[text:app.count;3]";')).toEqual([
+      { key: 'app.title', line: 1 },
+      { key: 'app.count', line: 2 },
+    ]);
+  });
+});
+
+describe('checkMessageKeys', () => {
+  const file = (filePath, text) => ({ path: filePath, buffer: Buffer.from(text) });
+
+  it('should compare locales with US_en and check references', () => {
+    const files = [
+      file('MessageKeys/app.US_en.properties', 'title=Title\ncount=Count\ntitle=Again\nunused=Unused\n'),
+      file('MessageKeys/app.US_es.properties', 'title=Titulo\nextra=Extra\n'),
+    ];
+    const references = [
+      { path: 'WEB_ROOT/page.html', key: 'title', line: 1 },
+      { path: 'WEB_ROOT/page.html', key: 'count', line: 2 },
+      { path: 'WEB_ROOT/app.js', key: 'missing.key', line: 7 },
+    ];
+
+    expect(checkMessageKeys(files, references)).toEqual({
+      errors: [
+        'MessageKeys/app.US_en.properties:3: duplicate key "title" (first defined on line 1)',
+        'MessageKeys/app.US_es.properties: missing 2 key(s) that US_en has: count, unused',
+      ],
+      warnings: [
+        'WEB_ROOT/app.js:7: ~[text:missing.key] has no MessageKeys entry in this plugin',
+        'MessageKeys/app.US_es.properties: 1 key(s) that US_en does not have: extra',
+        'MessageKeys/app.US_en.properties: 1 key(s) not referenced by ~[text:...] in WEB_ROOT: unused',
+      ],
+    });
+    expect(checkMessageKeys(files, references, { unused: false }).warnings).toHaveLength(2);
+  });
+
+  it('should report invalid UTF-8, malformed escapes and names without a locale', () => {
+    const files = [{ path: 'MessageKeys/legacy.properties', buffer: Buffer.from('name=caf\xe9\nbad=\\uXYZ\n', 'latin1') }];
+
+    const { errors, warnings } = checkMessageKeys(files, [], { unused: false });
+
+    expect(errors).toEqual([
+      'MessageKeys/legacy.properties: not valid UTF-8; save it with UTF-8 encoding',
+      'MessageKeys/legacy.properties:2: malformed \\uXXXX escape',
+    ]);
+    expect(warnings).toEqual(['MessageKeys/legacy.properties: no locale in the file name (expected e.g. legacy.US_en.properties)']);
+  });
+});
+
+describe('checkProjectMessageKeys', () => {
+  let root;
+
+  const write = async (filePath, contents) => {
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+    await fsPromises.writeFile(filePath, contents);
+  };
+
+  beforeEach(async () => {
+    root = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'ps-package-messagekeys-'));
+  });
+
+  afterEach(async () => {
+    await fsPromises.rm(root, { recursive: true, force: true });
+  });
+
+  it('should read the sources, the environment overlay and the build output', async () => {
+    const ctx = createContext(resolveConfig({ env: 'test' }, root));
+    const { powerSchoolSourceDir, buildDir } = ctx.config;
+    await write(path.join(powerSchoolSourceDir, 'MessageKeys', 'app.US_en.properties'), 'title=Title\n');
+    await write(path.join(`${powerSchoolSourceDir}.test`, 'MessageKeys', 'app.US_en.properties'), 'title=Test title\ndebug=Debug\n');
+    await write(path.join(powerSchoolSourceDir, 'WEB_ROOT', 'page.html'), '~[text:title]');
+    await write(path.join(buildDir, 'WEB_ROOT', 'page.html'), '~[text:stale]');
+    await write(path.join(buildDir, 'WEB_ROOT', 'scripts', 'app.js'), 'const label = "~[text:debug]";');
+
+    expect(await checkProjectMessageKeys(ctx)).toEqual({ errors: [], warnings: [] });
+  });
+});
@@ -0,0 +1,47 @@
+import path from 'node:path';
+
+/**
+ * Formats the outcome of a dry run as a human-readable report.
+ * Lists the version bump, every file that would be written or deleted, the folder merges,
+ * the contents of each archive, the archives that would be pruned and the git release.
+ * @param {object} ctx - The build context of a dry run.
+ * @returns {string} The report text.
+ */
+export function formatDryRunReport(ctx) {
+  const { config, ops, report } = ctx;
+  const relative = filePath => path.relative(config.projectRoot, filePath) || '.';
+  const { written, deleted } = ops.summary();
+  const merges = ops.actions.filter(action => action.type === 'copy');
+  // The archive step and the build report both create the archive directory.
+  const directories = [...new Set(ops.actions.filter(action => action.type === 'mkdir').map(action => action.path))];
+
+  const lines = ['Dry run report (no files were changed)'];
+  const section = (title, items) => {
+    lines.push(`${title}:`);
+    lines.push(...(items.length > 0 ? items.map(item => `  ${item}`) : ['  (none)']));
+  };
+
+  if (report.version) {
+    lines.push(`Version: ${report.version.from} -> ${report.version.to}`);
+  }
+  if (directories.length > 0) {
+    section('Directories created', directories.map(relative));
+  }
+  section('Files written', written.map(file => `${relative(file.path)} (${file.size} bytes)`));
+  section('Files deleted', deleted.map(relative));
+  section('Folders merged', merges.map(action => `${relative(action.from)} -> ${relative(action.to)}`));
+
+  lines.push('Archives:');
+  if (report.archives.length === 0) lines.push('  (none)');
+  for (const archive of report.archives) {
+    const totalSize = archive.entries.reduce((sum, entry) => sum + entry.size, 0);
+    lines.push(`  ${archive.name} (${archive.entries.length} files, ${totalSize} bytes uncompressed, manifest ${path.basename(archive.manifest)})`);
+    lines.push(...archive.entries.map(entry => `    ${entry.path} (${entry.size} bytes)`));
+  }
+
+  section('Archives pruned', report.pruned);
+  if (report.git) {
+    lines.push(`Git: commit ${report.git.files.length} files and tag ${report.git.tag} (${report.git.changes} changelog entries)`);
+  }
+  return lines.join('\n');
+}
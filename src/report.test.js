@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import path from 'node:path';
+import { resolveConfig } from './config.js';
+import { formatDryRunReport } from './report.js';
+
+describe('formatDryRunReport', () => {
+  it('should list the version, file changes, merges, archives and pruned files', () => {
+    const config = resolveConfig({}, '/project');
+    const ctx = {
+      config,
+      ops: {
+        actions: [
+          { type: 'mkdir', path: config.archiveDir },
+          { type: 'copy', from: path.join(config.powerSchoolSourceDir, 'WEB_ROOT'), to: path.join(config.buildDir, 'WEB_ROOT') },
+          { type: 'mkdir', path: config.archiveDir },
+        ],
+        summary: () => ({
+          written: [{ path: path.join(config.buildDir, 'plugin.xml'), size: 42 }],
+          deleted: [path.join(config.buildDir, 'WEB_ROOT', 'index.html')],
+        }),
+      },
+      report: {
+        version: { from: '26.06.04', to: '26.06.05' },
+        archives: [{ name: 'Test-26.06.05.zip', manifest: '/project/plugin_archive/Test-26.06.05.zip.manifest.json', entries: [{ path: 'plugin.xml', size: 42 }, { path: 'WEB_ROOT/a.html', size: 8 }] }],
+        pruned: ['Test-26.05.01.zip'],
+      },
+    };
+
+    expect(formatDryRunReport(ctx)).toBe([
+      'Dry run report (no files were changed)',
+      'Version: 26.06.04 -> 26.06.05',
+      'Directories created:',
+      '  plugin_archive',
+      'Files written:',
+      `  ${path.join('dist', 'plugin.xml')} (42 bytes)`,
+      'Files deleted:',
+      `  ${path.join('dist', 'WEB_ROOT', 'index.html')}`,
+      'Folders merged:',
+      `  ${path.join('src', 'powerschool', 'WEB_ROOT')} -> ${path.join('dist', 'WEB_ROOT')}`,
+      'Archives:',
+      '  Test-26.06.05.zip (2 files, 50 bytes uncompressed, manifest Test-26.06.05.zip.manifest.json)',
+      '    plugin.xml (42 bytes)',
+      '    WEB_ROOT/a.html (8 bytes)',
+      'Archives pruned:',
+      '  Test-26.05.01.zip',
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,328 @@
+import * as fs from 'node:fs';
+import path from 'node:path';
+import * as readline from 'node:readline/promises';
+import xml2js from 'xml2js';
+import { applyAccessRequest } from './accessRequest.js';
+import { validatePluginXml } from './validators/pluginXml.js';
+import { strategies } from './versioning.js';
+import { readIfExists, walkFiles } from './utils/fileOps.js';
+import logger from './utils/logger.js';
+
+const fsPromises = fs.promises;
+
+// The plugin.xml details init asks for, in order, with the question asked for each.
+export const initQuestions = [
+  ['name', 'Plugin name'],
+  ['publisher', 'Publisher'],
+  ['email', 'Contact email'],
+  ['description', 'Description'],
+];
+
+// Scripts added to package.json, unless the project already has scripts by these names.
+export const initScripts = {
+  'plugin:build': 'ps-package build',
+  'plugin:pack': 'ps-package pack',
+  'plugin:validate': 'ps-package validate',
+  'plugin:watch': 'ps-package watch',
+};
+
+// npm's "Name <email> (url)" author format.
+const authorPattern = /^([^<(]*?)\s*(?:<([^>]*)>)?\s*(?:\(([^)]*)\))?$/;
+
+/**
+ * Reads the name and email of a package.json author.
+ * @param {string|object|undefined} author - The author, as a string or an object.
+ * @returns {{name?: string, email?: string}} The name and email given.
+ */
+function authorOf(author) {
+  if (typeof author !== 'string') return author ?? {};
+  const [, name, email] = authorPattern.exec(author.trim()) ?? [];
+  return { name, email };
+}
+
+/**
+ * Reads the package.json and plugin.xml a project already has.
+ * @param {object} config - The resolved configuration.
+ * @returns {Promise<{packageJson: object|null, psXML: object|null}>} The parsed files, null for files that do not exist.
+ * @throws {Error} If either file cannot be parsed.
+ */
+async function readProjectFiles(config) {
+  const packageJsonString = await readIfExists(path.join(config.projectRoot, 'package.json'), 'utf8');
+  const xmlString = await readIfExists(path.join(config.projectRoot, 'plugin.xml'), 'utf8');
+  let packageJson = null;
+  let psXML = null;
+  try {
+    packageJson = packageJsonString === null ? null : JSON.parse(packageJsonString);
+  } catch (error) {
+    throw new Error(`Could not parse package.json: ${error.message}`);
+  }
+  try {
+    psXML = xmlString === null ? null : await xml2js.parseStringPromise(xmlString);
+  } catch (error) {
+    throw new Error(`Could not parse plugin.xml: ${error.message}`);
+  }
+  return { packageJson, psXML };
+}
+
+/**
+ * Works out the plugin details to suggest: those of an existing plugin.xml, then those of
+ * package.json (name, description and author), then the directory name.
+ * @param {object} config - The resolved configuration.
+ * @param {{packageJson: object|null, psXML: object|null}} files - The project's existing files.
+ * @returns {{name: string, publisher: string, email: string, description: string, version: string|undefined}} The suggested details.
+ */
+function suggestDetails(config, { packageJson, psXML }) {
+  const author = authorOf(packageJson?.author);
+  const plugin = psXML?.plugin?.$ ?? {};
+  const publisher = psXML?.plugin?.publisher?.[0];
+
+  return {
+    name: plugin.name || packageJson?.name?.replace(/^@[^/]+\//, '') || path.basename(config.projectRoot),
+    publisher: publisher?.$?.name || author.name || '',
+    email: publisher?.contact?.[0]?.$?.email || author.email || '',
+    description: plugin.description ?? packageJson?.description ?? '',
+    version: plugin.version || packageJson?.version || undefined,
+  };
+}
+
+/**
+ * Builds a plugin.xml for new plugin details.
+ * @param {{name: string, version: string, description: string, publisher: string, email: string}} details - The plugin details.
+ * @returns {object} The plugin.xml object, as xml2js parses and builds it.
+ */
+export function pluginXmlOf({ name, version, description, publisher, email }) {
+  return {
+    plugin: {
+      $: {
+        'xmlns': 'http://plugin.powerschool.pearson.com',
+        'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+        'xsi:schemaLocation': 'http://plugin.powerschool.pearson.com plugin.xsd',
+        name,
+        version,
+        ...(description ? { description } : {}),
+      },
+      publisher: [{ $: { name: publisher }, contact: [{ $: { email } }] }],
+    },
+  };
+}
+
+// The fields the example named query reads, for plugin.xml's access_request.
+const exampleQueryFields = [{ table: 'STUDENTS', field: 'DCID' }, { table: 'STUDENTS', field: 'LASTFIRST' }];
+
+/**
+ * Returns the example files of a new plugin, keyed by their path in the PowerSchool source
+ * folder: a student page with its pagecataloging entry and MessageKeys, a named query with
+ * the permission mapping that lets the page call it, and a schema file whose comment shows a
+ * database extension. Only files of the given folders are returned.
+ * @param {{name: string, version: string, email: string}} details - The plugin details.
+ * @param {string[]} psFolders - The PowerSchool folders of the project.
+ * @returns {Map<string, string>} The file contents, keyed by forward-slash relative path.
+ */
+export function exampleFiles({ name, version, email }, psFolders) {
+  const words = name.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  if (words.length === 0) words.push('plugin');
+  const stem = words.join('_');
+  const htmlID = words.map((word, index) => index === 0 ? word : word[0].toUpperCase() + word.slice(1)).join('');
+  // Named queries are named like Java packages, e.g. com.example.my_plugin.students.
+  const domain = (email.split('@')[1] ?? '').toLowerCase().split('.').reverse();
+  const queryName = [...(domain.every(part => /^[a-z]\w*$/.test(part)) ? domain : ['com', 'example']), stem, 'students'].join('.');
+  const titleKey = `psx.html.admin_students.${stem}.title`;
+  const page = `/admin/students/${stem}.html`;
+
+  const files = new Map();
+  files.set(`WEB_ROOT${page}`, `<!DOCTYPE html>
+<!-- An example student page. pagecataloging/${stem}.json adds it to the student pages, and its text comes from MessageKeys. -->
+<html>
+<head>
+  <title>~[text:${titleKey}]</title>
+</head>
+<body>
+  <h1>~[text:${titleKey}]</h1>
+</body>
+</html>
+`);
+  const pages = psFolders.includes('WEB_ROOT')
+    ? [{
+        htmlID,
+        title: name,
+        version,
+        contextType: 'student',
+        requiredContext: 'student',
+        sortOrder: 200,
+        pageURL: `${page}?frn=~(studentfrn)`,
+        parentHTMLID: 'navStudentProfileSection',
+      }]
+    : [];
+  files.set(`pagecataloging/${stem}.json`, `${JSON.stringify({ pages }, null, 2)}\n`);
+  files.set(`MessageKeys/${stem}.US_en.properties`, `# ${name} - Version: ${version}
+# Text for the ~[text:...] references in WEB_ROOT. Other locales go in files like ${stem}.ES_mx.properties.
+${titleKey}=${name}
+`);
+  files.set(`queries_root/${stem}.named_queries.xml`, `<?xml version="1.0" encoding="UTF-8"?>
+<queries>
+  <!-- Named queries are served at /ws/schema/query/<name>. The fields they read go in plugin.xml's
+       access_request, which ps-package access-request keeps in sync. -->
+  <query name="${queryName}" coreTable="students" flattened="true">
+    <description>Students by DCID</description>
+    <args>
+      <arg name="studentdcid" type="primitive" required="true" column="STUDENTS.DCID" />
+    </args>
+    <columns>
+      <column column="STUDENTS.DCID">dcid</column>
+      <column column="STUDENTS.LASTFIRST">lastfirst</column>
+    </columns>
+    <sql><![CDATA[
+      SELECT s.dcid, s.lastfirst FROM students s WHERE s.dcid = :studentdcid
+    ]]></sql>
+  </query>
+</queries>
+`);
+  const permission = `<permission name="${page}">
+    <implies allow="post">/ws/schema/query/${queryName}</implies>
+  </permission>`;
+  files.set('permissions_root/permissions.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<permission_mappings>
+${psFolders.includes('WEB_ROOT') && psFolders.includes('queries_root')
+    ? `  <!-- Lets the example page call the example named query. -->
+  ${permission}`
+    : `  <!-- Pages get the permissions they imply, e.g. to call a named query:
+  ${permission}
+  -->`}
+</permission_mappings>
+`);
+  files.set(`user_schema_root/${stem}.xml`, `<?xml version="1.0" encoding="UTF-8"?>
+<tables>
+  <!-- Independent tables go here; a one-to-one extension of a core table replaces <tables> with
+       <extensions>. Schema changes need DBA sign-off before they are installed. For example:
+<extensions>
+  <extension name="U_${stem.toUpperCase()}" coreTable="STUDENTS" description="Student fields">
+    <table name="U_${stem.toUpperCase()}">
+      <field name="NOTE" type="String" maxLength="200" description="Free-text note" />
+    </table>
+  </extension>
+</extensions>
+  -->
+</tables>
+`);
+
+  return new Map([...files].filter(([filePath]) => psFolders.includes(filePath.split('/')[0])));
+}
+
+/**
+ * Asks questions in a terminal.
+ * @param {object} [streams] - Where to read answers from and write questions to.
+ * @param {NodeJS.ReadableStream} [streams.input] - Defaults to stdin.
+ * @param {NodeJS.WritableStream} [streams.output] - Defaults to stdout.
+ * @returns {{ask: (question: string, suggestion: string) => Promise<string>, close: () => void}} A function that asks
+ *   a question and resolves to the trimmed answer, and one that stops reading.
+ */
+export function createPrompt({ input = process.stdin, output = process.stdout } = {}) {
+  const terminal = readline.createInterface({ input, output });
+  return {
+    ask: async (question, suggestion) => (await terminal.question(suggestion ? `${question} (${suggestion}): ` : `${question}: `)).trim(),
+    close: () => terminal.close(),
+  };
+}
+
+/**
+ * Sets up a plugin project: writes plugin.xml, creates the PowerSchool folders of
+ * `config.psFolders` and adds the ps-package scripts to package.json (creating it if needed).
+ * When the PowerSchool source folder has no files yet, it is filled with example files (see
+ * exampleFiles). Existing files are left as they are, and an existing plugin.xml is not asked
+ * about, unless `force` is set.
+ * @param {object} ctx - The build context.
+ * @param {object} [options] - Init options.
+ * @param {object} [options.answers] - Plugin details given up front: name, publisher, email and description.
+ * @param {(question: string, suggestion: string) => Promise<string>} [options.ask] - Asks for the details not
+ *   given; an empty answer takes the suggestion. Without it, the suggestions are used.
+ * @param {string} [options.version] - The first version (defaults to the project's, or the first of the version strategy).
+ * @param {boolean} [options.force] - Replace plugin.xml and the example files, and write the examples into a source folder that has files.
+ * @returns {Promise<{plugin: object, files: string[], skipped: string[]}>} The plugin details, and the files written and
+ *   left as they were, relative to the project root.
+ * @throws {Error} If a plugin detail is missing or invalid.
+ */
+export async function initProject(ctx, { answers = {}, ask, version, force = false } = {}) {
+  const { config, ops } = ctx;
+  const existing = await readProjectFiles(config);
+  const suggested = suggestDetails(config, existing);
+  const writePluginXml = force || !existing.psXML;
+
+  const details = { ...suggested };
+  if (writePluginXml) {
+    for (const [key, question] of initQuestions) {
+      if (answers[key] !== undefined) {
+        details[key] = answers[key].trim();
+      } else if (ask) {
+        details[key] = (await ask(question, suggested[key])) || suggested[key];
+      }
+    }
+  }
+  details.version = version ?? suggested.version ?? strategies[config.versionStrategy].first({ now: new Date(), release: 'patch' });
+
+  const psXML = pluginXmlOf(details);
+  if (writePluginXml) {
+    const missing = initQuestions.filter(([key]) => key !== 'description' && !details[key]).map(([key]) => key);
+    if (missing.length > 0) {
+      throw new Error(`Missing plugin details: ${missing.join(', ')} (pass ${missing.map(key => `--${key}`).join(' and ')}, or run init in a terminal to be asked)`);
+    }
+    const problems = validatePluginXml(psXML);
+    if (problems.length > 0) {
+      throw new Error(`Invalid plugin details:\n  ${problems.join('\n  ')}`);
+    }
+  }
+
+  const files = [];
+  const skipped = [];
+  const relative = filePath => path.relative(config.projectRoot, filePath);
+  const write = async (filePath, contents) => {
+    if (!force && await ops.exists(filePath)) {
+      skipped.push(relative(filePath));
+      return;
+    }
+    await ops.mkdir(path.dirname(filePath), { recursive: true });
+    await ops.writeFile(filePath, contents);
+    files.push(relative(filePath));
+    logger.verbose(`Wrote ${relative(filePath)}`);
+  };
+
+  const withExamples = force || (await walkFiles(config.powerSchoolSourceDir)).length === 0;
+  const withQuery = withExamples && config.psFolders.includes('queries_root');
+  if (writePluginXml) {
+    if (withQuery) applyAccessRequest(psXML, exampleQueryFields);
+    await write(path.join(config.projectRoot, 'plugin.xml'), new xml2js.Builder().buildObject(psXML));
+  } else {
+    skipped.push('plugin.xml');
+    if (withQuery) logger.info('Run ps-package access-request to add the fields of the example named query to plugin.xml');
+  }
+
+  const packageJsonPath = path.join(config.projectRoot, 'package.json');
+  const packageJson = existing.packageJson ?? {
+    name: details.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'plugin',
+    version: details.version,
+    private: true,
+    ...(details.description ? { description: details.description } : {}),
+  };
+  const scripts = Object.entries(initScripts).filter(([name]) => !Object.hasOwn(packageJson.scripts ?? {}, name));
+  if (!existing.packageJson || scripts.length > 0 || !packageJson.version) {
+    packageJson.version ??= details.version;
+    packageJson.scripts = { ...packageJson.scripts, ...Object.fromEntries(scripts) };
+    await ops.writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2));
+    files.push('package.json');
+  } else {
+    skipped.push('package.json');
+  }
+
+  for (const folder of config.psFolders) {
+    await ops.mkdir(path.join(config.powerSchoolSourceDir, folder), { recursive: true });
+  }
+  if (withExamples) {
+    for (const [filePath, contents] of exampleFiles(details, config.psFolders)) {
+      await write(path.join(config.powerSchoolSourceDir, ...filePath.split('/')), contents);
+    }
+  } else {
+    logger.info(`${relative(config.powerSchoolSourceDir)} already has files, so no examples were added (use --force to add them anyway)`);
+  }
+
+  logger.info(`Initialized ${details.name} ${details.version}: ${files.length} file(s) written${skipped.length > 0 ? `, ${skipped.length} already there (${skipped.join(', ')})` : ''}`);
+  return { plugin: details, files, skipped };
+}
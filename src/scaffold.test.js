@@ -0,0 +1,107 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { resolveConfig } from './config.js';
+import { createContext, validateProject } from './main.js';
+import { checkProjectMessageKeys } from './messageKeys.js';
+import { initProject, initScripts } from './scaffold.js';
+
+const fsPromises = fs.promises;
+
+describe('initProject', () => {
+  let root;
+
+  const write = async (relativePath, contents) => {
+    const filePath = path.join(root, relativePath);
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+    await fsPromises.writeFile(filePath, contents);
+  };
+  const read = relativePath => fsPromises.readFile(path.join(root, relativePath), 'utf8');
+  const contextFor = () => createContext(resolveConfig({ projectType: 'html' }, root));
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    root = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'ps-package-init-'));
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await fsPromises.rm(root, { recursive: true, force: true });
+  });
+
+  it('should create a project that validates, with examples in every PowerSchool folder', async () => {
+    const ctx = contextFor();
+    const answers = { name: 'Bus Routes', publisher: 'TESD Tech', email: 'tech@tesd.net', description: 'Routes & stops' };
+
+    const result = await initProject(ctx, { answers, version: '26.06.01' });
+
+    expect(result.files).toEqual([
+      'plugin.xml',
+      'package.json',
+      'src/powerschool/WEB_ROOT/admin/students/bus_routes.html',
+      'src/powerschool/pagecataloging/bus_routes.json',
+      'src/powerschool/MessageKeys/bus_routes.US_en.properties',
+      'src/powerschool/queries_root/bus_routes.named_queries.xml',
+      'src/powerschool/permissions_root/permissions.xml',
+      'src/powerschool/user_schema_root/bus_routes.xml',
+    ]);
+    expect(await read('plugin.xml')).toContain('name="Bus Routes" version="26.06.01" description="Routes &amp; stops"');
+    expect(JSON.parse(await read('package.json'))).toEqual({
+      name: 'bus-routes',
+      version: '26.06.01',
+      private: true,
+      description: 'Routes & stops',
+      scripts: initScripts,
+    });
+    expect(await read('src/powerschool/queries_root/bus_routes.named_queries.xml')).toContain('<query name="net.tesd.bus_routes.students"');
+    expect(await fsPromises.readdir(path.join(root, 'src/powerschool'))).toHaveLength(ctx.config.psFolders.length);
+
+    expect(await validateProject(ctx)).toEqual([]);
+    expect(await checkProjectMessageKeys(ctx)).toEqual({ errors: [], warnings: [] });
+  });
+
+  it('should ask for the details not given, suggesting those of package.json', async () => {
+    await write('package.json', JSON.stringify({
+      name: '@tesd/attendance-tools',
+      version: '1.2.0',
+      author: 'Pat Doe <pat@tesd.net> (https://tesd.net)',
+      scripts: { 'plugin:build': 'npm run build && ps-package build' },
+    }));
+    const ask = vi.fn(async question => (question === 'Description' ? 'Attendance helpers' : ''));
+
+    const result = await initProject(contextFor(), { answers: { name: 'Attendance Tools' }, ask });
+
+    expect(ask.mock.calls).toEqual([['Publisher', 'Pat Doe'], ['Contact email', 'pat@tesd.net'], ['Description', '']]);
+    expect(result.plugin).toEqual({ name: 'Attendance Tools', publisher: 'Pat Doe', email: 'pat@tesd.net', description: 'Attendance helpers', version: '1.2.0' });
+    const packageJson = JSON.parse(await read('package.json'));
+    expect(packageJson.version).toBe('1.2.0');
+    expect(packageJson.scripts).toEqual({ ...initScripts, 'plugin:build': 'npm run build && ps-package build' });
+  });
+
+  it('should leave an existing plugin.xml and source folder alone', async () => {
+    const pluginXml = '<plugin name="Legacy" version="3.1.0"><publisher name="Tester"><contact email="t@example.com"/></publisher></plugin>';
+    await write('plugin.xml', pluginXml);
+    await write('src/powerschool/WEB_ROOT/legacy.html', '<p>legacy</p>');
+    const ask = vi.fn();
+
+    const result = await initProject(contextFor(), { ask });
+
+    expect(ask).not.toHaveBeenCalled();
+    expect(result.files).toEqual(['package.json']);
+    expect(result.skipped).toEqual(['plugin.xml']);
+    expect(await read('plugin.xml')).toBe(pluginXml);
+    expect(JSON.parse(await read('package.json'))).toMatchObject({ name: 'legacy', version: '3.1.0' });
+    expect(await fsPromises.readdir(path.join(root, 'src/powerschool/WEB_ROOT'))).toEqual(['legacy.html']);
+  });
+
+  it('should reject missing and invalid plugin details', async () => {
+    await expect(initProject(contextFor(), { answers: { name: 'Bus Routes' } })).rejects.toThrow(
+      'Missing plugin details: publisher, email (pass --publisher and --email, or run init in a terminal to be asked)',
+    );
+    await expect(initProject(contextFor(), { answers: { name: 'Bus Routes', publisher: 'TESD Tech', email: 'tech' } })).rejects.toThrow(
+      'Invalid plugin details:\n  plugin > publisher > contact: invalid email "tech"',
+    );
+    expect(await fsPromises.readdir(root)).toEqual([]);
+  });
+});
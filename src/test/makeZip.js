@@ -0,0 +1,23 @@
+import { ZipArchive } from 'archiver';
+
+/**
+ * Builds a zip in memory with archiver, the same library the build uses.
+ * @param {object} files - File contents keyed by entry path.
+ * @param {object} [options] - archiver options, e.g. { store: true }.
+ * @returns {Promise<Buffer>} The zip file contents.
+ */
+export async function makeZip(files, options = {}) {
+  const archive = new ZipArchive(options);
+  const chunks = [];
+  archive.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    archive.on('end', resolve);
+    archive.on('error', reject);
+  });
+  for (const [name, contents] of Object.entries(files)) {
+    archive.append(contents, { name });
+  }
+  archive.finalize();
+  await done;
+  return Buffer.concat(chunks);
+}
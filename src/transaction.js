@@ -0,0 +1,172 @@
+import * as fs from 'node:fs';
+import path from 'node:path';
+import { envSourceDirOf } from './environments.js';
+import { isWithin, readIfExists, walkFiles } from './utils/fileOps.js';
+import logger from './utils/logger.js';
+
+const fsPromises = fs.promises;
+
+// Staging directories are created next to the build directory, so swapping them in is a rename.
+export const stagingPrefix = '.ps-package-staging-';
+
+// The output directories a build stages, and their folder names inside the staging directory.
+const stagedDirs = { buildDir: 'build', schemaDir: 'schema', archiveDir: 'archives' };
+
+/**
+ * Maps a path in a staging directory to where it ends up once the build is published.
+ * @param {object} config - The configuration of the build, staged or not.
+ * @param {string} filePath - A path in the build, schema or archive directory.
+ * @returns {string} The published path; paths of builds that are not staged are returned as they are.
+ */
+export function publishedPathOf(config, filePath) {
+  if (!config.staging) return filePath;
+  for (const key of Object.keys(stagedDirs)) {
+    if (isWithin(filePath, config[key])) return path.join(config.staging[key], path.relative(config[key], filePath));
+  }
+  return filePath;
+}
+
+/**
+ * Moves a file or directory, copying it when it is on another file system.
+ * @param {string} from - The current path.
+ * @param {string} to - The new path.
+ */
+async function move(from, to) {
+  await fsPromises.mkdir(path.dirname(to), { recursive: true });
+  try {
+    await fsPromises.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fsPromises.cp(from, to, { recursive: true });
+    await fsPromises.rm(from, { recursive: true, force: true });
+  }
+}
+
+const exists = async (filePath) => {
+  try {
+    await fsPromises.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Reads the source files a build rewrites: package.json, plugin.xml, the changelog, and the
+ * pagecataloging and MessageKeys files of the PowerSchool source folder and its environment overlay.
+ * @param {object} config - The resolved configuration.
+ * @returns {Promise<Map<string, Buffer|null>>} Each file's contents, or null for files that do not exist yet.
+ */
+async function snapshotSourceFiles(config) {
+  const files = [
+    path.join(config.projectRoot, 'package.json'),
+    path.join(config.projectRoot, 'plugin.xml'),
+    path.resolve(config.projectRoot, config.changelogFile),
+  ];
+  for (const sourceDir of [config.powerSchoolSourceDir, envSourceDirOf(config)].filter(Boolean)) {
+    files.push(...(await walkFiles(path.join(sourceDir, 'pagecataloging'))).map(file => file.path).filter(file => file.endsWith('.json')));
+    files.push(...(await walkFiles(path.join(sourceDir, 'MessageKeys'))).map(file => file.path).filter(file => file.endsWith('.properties')));
+  }
+
+  const snapshot = new Map();
+  for (const file of files) {
+    snapshot.set(file, await readIfExists(file));
+  }
+  return snapshot;
+}
+
+/**
+ * Starts an atomic build. The source files the build rewrites are snapshotted, and the build,
+ * schema and archive output goes to a staging directory instead, starting from a copy of the
+ * current build and schema directories. publish() swaps the staged output in; rollback() puts
+ * everything back as it was, including after publish(), and finish() discards what a rollback would need.
+ * @param {object} ctx - The build context.
+ * @returns {Promise<{config: object, publish: () => Promise<void>, rollback: () => Promise<void>, finish: () => Promise<void>}>}
+ *   The staged configuration to build with, and the functions that end the transaction.
+ */
+export async function createTransaction(ctx) {
+  const { config, report } = ctx;
+  const snapshot = await snapshotSourceFiles(config);
+  const root = await fsPromises.mkdtemp(path.join(path.dirname(config.buildDir), stagingPrefix));
+
+  const stagedConfig = { ...config, staging: { root } };
+  try {
+    for (const [key, folder] of Object.entries(stagedDirs)) {
+      stagedConfig[key] = path.join(root, folder);
+      stagedConfig.staging[key] = config[key];
+      if (key !== 'archiveDir' && await exists(config[key])) {
+        await fsPromises.cp(config[key], stagedConfig[key], { recursive: true });
+      }
+      await fsPromises.mkdir(stagedConfig[key], { recursive: true });
+    }
+  } catch (error) {
+    await fsPromises.rm(root, { recursive: true, force: true });
+    throw error;
+  }
+  logger.verbose(`Staging the build in ${path.relative(config.projectRoot, root)}`);
+
+  // What publish() moved, in order, so a rollback can undo it: [from, to] pairs.
+  const moves = [];
+  const moveAndRecord = async (from, to) => {
+    await move(from, to);
+    moves.push([from, to]);
+  };
+
+  return {
+    config: stagedConfig,
+
+    async publish() {
+      for (const key of ['buildDir', 'schemaDir']) {
+        if (await exists(config[key])) await moveAndRecord(config[key], path.join(root, `previous-${stagedDirs[key]}`));
+        await moveAndRecord(stagedConfig[key], config[key]);
+      }
+      await fsPromises.mkdir(config.archiveDir, { recursive: true });
+      for (const file of (await fsPromises.readdir(stagedConfig.archiveDir)).sort()) {
+        const target = path.join(config.archiveDir, file);
+        // Rebuilding a version replaces its archives; the old ones are kept until finish().
+        if (await exists(target)) await moveAndRecord(target, path.join(root, 'replaced', file));
+        await moveAndRecord(path.join(stagedConfig.archiveDir, file), target);
+      }
+      for (const archive of report.archives) {
+        archive.path = publishedPathOf(stagedConfig, archive.path);
+        archive.manifest = publishedPathOf(stagedConfig, archive.manifest);
+      }
+      logger.verbose(`Published the build to ${path.relative(config.projectRoot, config.buildDir)}, ${path.relative(config.projectRoot, config.schemaDir)} and ${path.relative(config.projectRoot, config.archiveDir)}`);
+    },
+
+    async rollback() {
+      const problems = [];
+      for (const [from, to] of moves.reverse()) {
+        try {
+          await move(to, from);
+        } catch (error) {
+          problems.push(`${path.relative(config.projectRoot, from)}: ${error.message}`);
+        }
+      }
+      let restored = 0;
+      for (const [file, contents] of snapshot) {
+        try {
+          const current = await readIfExists(file);
+          if (contents === null ? current === null : current !== null && contents.equals(current)) continue;
+          if (contents === null) {
+            await fsPromises.rm(file, { force: true });
+          } else {
+            await fsPromises.writeFile(file, contents);
+          }
+          restored++;
+        } catch (error) {
+          problems.push(`${path.relative(config.projectRoot, file)}: ${error.message}`);
+        }
+      }
+      await fsPromises.rm(root, { recursive: true, force: true });
+      logger.info(`Rolled back the build (${restored} source file(s) restored, no output kept)`);
+      if (problems.length > 0) {
+        logger.error(`Could not roll back everything:\n  ${problems.join('\n  ')}`);
+      }
+    },
+
+    async finish() {
+      await fsPromises.rm(root, { recursive: true, force: true });
+    },
+  };
+}
@@ -0,0 +1,112 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createBuild } from './api.js';
+import { stagingPrefix } from './transaction.js';
+
+const fsPromises = fs.promises;
+
+const pluginXml = '<plugin name="Atomic Plugin" version="26.06.04" description="Rollback test">'
+  + '<publisher name="Tester"><contact email="t@example.com"/></publisher>'
+  + '</plugin>';
+
+describe('atomic builds', () => {
+  let root;
+
+  const write = async (relativePath, contents) => {
+    const filePath = path.join(root, relativePath);
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+    await fsPromises.writeFile(filePath, contents);
+  };
+  const read = relativePath => fsPromises.readFile(path.join(root, relativePath), 'utf8');
+  const list = async relativeDir => (await fsPromises.readdir(path.join(root, relativeDir))).sort();
+  const fail = message => () => {
+    throw new Error(message);
+  };
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    root = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'ps-package-atomic-'));
+    await write('package.json', JSON.stringify({ name: 'atomic-plugin', version: '26.06.04' }));
+    await write('plugin.xml', pluginXml);
+    await write('src/powerschool/WEB_ROOT/admin/atomic/page.html', '<p>new</p>');
+    await write('src/powerschool/MessageKeys/atomic.US_en.properties', '# Atomic Plugin - Version: 26.06.04\natomic.title=Atomic\n');
+    await write('dist/WEB_ROOT/admin/atomic/page.html', '<p>old</p>');
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await fsPromises.rm(root, { recursive: true, force: true });
+  });
+
+  it('should restore the sources and keep the previous output when a step fails', async () => {
+    const options = { projectRoot: root, projectType: 'html', version: '26.06.05' };
+    await expect(createBuild({ ...options, hooks: { beforeArchive: fail('upload token missing') } })).rejects.toThrow('upload token missing');
+
+    expect(JSON.parse(await read('package.json')).version).toBe('26.06.04');
+    expect(await read('plugin.xml')).toBe(pluginXml);
+    expect(await read('src/powerschool/MessageKeys/atomic.US_en.properties')).toContain('Version: 26.06.04');
+    expect(await read('dist/WEB_ROOT/admin/atomic/page.html')).toBe('<p>old</p>');
+    expect(await list('plugin_archive')).toEqual(['build-report.json']);
+    expect((await list('.')).filter(name => name.startsWith(stagingPrefix))).toEqual([]);
+
+    const result = await createBuild(options);
+    expect(result.version).toBe('26.06.05');
+    expect(result.archives.map(archive => archive.path)).toEqual([
+      path.join(root, 'plugin_archive', 'Atomic_Plugin-26.06.05.zip'),
+      path.join(root, 'plugin_archive', 'DATA-Atomic_Plugin-26.06.05.zip'),
+    ]);
+    expect(await read('dist/WEB_ROOT/admin/atomic/page.html')).toBe('<p>new</p>');
+    expect((await list('.')).filter(name => name.startsWith(stagingPrefix))).toEqual([]);
+  });
+
+  it('should put back the archives a failed rebuild replaced', async () => {
+    const options = { projectRoot: root, projectType: 'html', bump: false };
+    await createBuild(options);
+    const archive = path.join(root, 'plugin_archive', 'Atomic_Plugin-26.06.04.zip');
+    const built = await fsPromises.readFile(archive);
+    await write('src/powerschool/WEB_ROOT/admin/atomic/page.html', '<p>newer</p>');
+
+    await expect(createBuild({ ...options, hooks: { afterArchive: fail('webhook down') } })).rejects.toThrow('afterArchive hook failed: webhook down');
+
+    expect((await fsPromises.readFile(archive)).equals(built)).toBe(true);
+    expect(await read('dist/WEB_ROOT/admin/atomic/page.html')).toBe('<p>new</p>');
+    expect(await list('plugin_archive')).toEqual([
+      'Atomic_Plugin-26.06.04.zip',
+      'Atomic_Plugin-26.06.04.zip.manifest.json',
+      'DATA-Atomic_Plugin-26.06.04.zip',
+      'DATA-Atomic_Plugin-26.06.04.zip.manifest.json',
+      'build-report.json',
+    ]);
+  });
+
+  it('should rebuild the same version without comparing the archives with themselves', async () => {
+    const options = { projectRoot: root, projectType: 'html', bump: false, unchangedArchives: 'skip', strict: true };
+    await createBuild(options);
+
+    const result = await createBuild(options);
+
+    expect(result.warnings).toEqual([]);
+    expect(result.archives.map(archive => archive.name)).toEqual(['Atomic_Plugin-26.06.04.zip', 'DATA-Atomic_Plugin-26.06.04.zip']);
+    expect(await list('plugin_archive')).toEqual([
+      'Atomic_Plugin-26.06.04.zip',
+      'Atomic_Plugin-26.06.04.zip.manifest.json',
+      'DATA-Atomic_Plugin-26.06.04.zip',
+      'DATA-Atomic_Plugin-26.06.04.zip.manifest.json',
+      'build-report.json',
+    ]);
+  });
+
+  it('should log where the archives and manifests are published, not where they were staged', async () => {
+    await createBuild({ projectRoot: root, projectType: 'html', version: '26.06.05' });
+
+    const logged = console.log.mock.calls.map(args => args.join(' '));
+    const archive = path.join(root, 'plugin_archive', 'Atomic_Plugin-26.06.05.zip');
+    expect(logged).toContainEqual(expect.stringContaining(`Archive created: ${archive} (`));
+    expect(logged).toContainEqual(expect.stringContaining(`Manifest written: ${archive}.manifest.json (`));
+    expect(logged.filter(line => line.includes(stagingPrefix))).toEqual([]);
+  });
+});
@@ -0,0 +1,206 @@
+import * as fs from 'node:fs';
+import path from 'node:path';
+
+const fsPromises = fs.promises;
+
+const notFound = filePath => Object.assign(new Error(`ENOENT: no such file or directory, '${filePath}'`), { code: 'ENOENT' });
+
+/**
+ * Whether a path is a directory or lies inside it.
+ * @param {string} filePath - The path to check.
+ * @param {string} dir - The directory.
+ * @returns {boolean} True if filePath is dir or inside it.
+ */
+export function isWithin(filePath, dir) {
+  return filePath === dir || filePath.startsWith(dir + path.sep);
+}
+
+/**
+ * Reads a file that may not exist.
+ * @param {string} filePath - The file to read.
+ * @param {string} [encoding] - The encoding, e.g. 'utf8'; without one the contents are returned as a Buffer.
+ * @returns {Promise<string|Buffer|null>} The contents, or null if the file does not exist.
+ * @throws {Error} If the file exists but cannot be read.
+ */
+export async function readIfExists(filePath, encoding) {
+  try {
+    return await fsPromises.readFile(filePath, encoding);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Recursively lists the files under a directory on disk.
+ * A path to a single file lists just that file.
+ * @param {string} dir - The directory to list.
+ * @returns {Promise<{path: string, size: number}[]>} The files found, or an empty list if the directory does not exist.
+ */
+export async function walkFiles(dir) {
+  let names;
+  try {
+    names = await fsPromises.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    if (error.code === 'ENOTDIR') return [{ path: dir, size: (await fsPromises.stat(dir)).size }];
+    throw error;
+  }
+
+  const files = [];
+  for (const name of names) {
+    const fullPath = path.join(dir, name);
+    const stat = await fsPromises.stat(fullPath);
+    if (stat.isDirectory()) {
+      files.push(...await walkFiles(fullPath));
+    } else {
+      files.push({ path: fullPath, size: stat.size });
+    }
+  }
+  return files;
+}
+
+/**
+ * Creates the set of file operations used by every build step that changes the disk.
+ * Each operation is recorded in `actions`. In dry-run mode nothing is written; instead the
+ * operations are applied to an in-memory view of the affected files, so later steps
+ * (junk removal, archive listings) see the same tree a real run would produce.
+ * @param {object} [options] - Options.
+ * @param {boolean} [options.dryRun] - Record operations without touching the disk.
+ * @returns {object} The file operations.
+ */
+export function createFileOps({ dryRun = false } = {}) {
+  const actions = [];
+  // Dry-run state: files that would be written (path -> size) and on-disk files that would be deleted.
+  const written = new Map();
+  const removedDirs = new Set();
+  const deleted = new Set();
+
+  const isRemoved = filePath => [...removedDirs].some(dir => isWithin(filePath, dir));
+
+  // Drops a file from the dry-run view, remembering it as deleted if it exists on disk.
+  async function forget(filePath) {
+    written.delete(filePath);
+    try {
+      await fsPromises.access(filePath);
+      deleted.add(filePath);
+    } catch {
+      // Only written during this run, so there is nothing on disk to delete.
+    }
+  }
+
+  /**
+   * Lists the files under a directory as they would exist after the recorded operations.
+   * @param {string} dir - The directory to list.
+   * @returns {Promise<{path: string, size: number}[]>} The files, sorted by path.
+   */
+  async function listFiles(dir) {
+    const onDisk = await walkFiles(dir);
+    if (!dryRun) return onDisk.sort((a, b) => a.path.localeCompare(b.path));
+
+    const files = new Map(onDisk
+      .filter(file => !deleted.has(file.path) && !isRemoved(file.path))
+      .map(file => [file.path, file.size]));
+    for (const [filePath, size] of written) {
+      if (isWithin(filePath, dir)) files.set(filePath, size);
+    }
+    return [...files].map(([filePath, size]) => ({ path: filePath, size })).sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  /**
+   * Checks whether a file would exist after the recorded operations.
+   * @param {string} filePath - The file to check.
+   * @returns {Promise<boolean>} True if the file exists.
+   */
+  async function exists(filePath) {
+    if ([...written.keys()].some(writtenPath => isWithin(writtenPath, filePath))) return true;
+    if (dryRun && (deleted.has(filePath) || isRemoved(filePath))) return false;
+    try {
+      await fsPromises.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  return {
+    dryRun,
+    actions,
+    listFiles,
+    exists,
+
+    async writeFile(filePath, data) {
+      actions.push({ type: 'write', path: filePath });
+      if (!dryRun) return fsPromises.writeFile(filePath, data);
+      written.set(filePath, Buffer.byteLength(data));
+      deleted.delete(filePath);
+    },
+
+    async unlink(filePath) {
+      if (!dryRun) {
+        await fsPromises.unlink(filePath);
+        actions.push({ type: 'delete', path: filePath });
+        return;
+      }
+      if (!await exists(filePath)) throw notFound(filePath);
+      actions.push({ type: 'delete', path: filePath });
+      await forget(filePath);
+    },
+
+    async rm(target, options) {
+      if (!dryRun) {
+        await fsPromises.rm(target, options);
+        actions.push({ type: 'delete', path: target });
+        return;
+      }
+      const files = await listFiles(target);
+      if (files.length === 0 && !await exists(target)) return;
+      actions.push({ type: 'delete', path: target });
+      for (const file of files) {
+        await forget(file.path);
+      }
+      removedDirs.add(target);
+    },
+
+    async cp(source, destination, options) {
+      actions.push({ type: 'copy', from: source, to: destination });
+      if (!dryRun) return fsPromises.cp(source, destination, options);
+      const files = await listFiles(source);
+      if (files.length === 0 && !await exists(source)) throw notFound(source);
+      for (const file of files) {
+        const target = path.join(destination, path.relative(source, file.path));
+        if (options?.filter && !await options.filter(file.path, target)) continue;
+        written.set(target, file.size);
+        deleted.delete(target);
+      }
+    },
+
+    /**
+     * Opens a stream that writes a file, e.g. an archive. Only for real runs: in dry-run mode
+     * callers report what they would write instead.
+     * @param {string} filePath - The file to write.
+     * @returns {fs.WriteStream} The stream.
+     */
+    createWriteStream(filePath) {
+      if (dryRun) throw new Error(`Cannot stream to ${filePath} in dry-run mode`);
+      actions.push({ type: 'write', path: filePath });
+      return fs.createWriteStream(filePath);
+    },
+
+    async mkdir(dir, options) {
+      if (!dryRun) return fsPromises.mkdir(dir, options);
+      if (!await exists(dir)) actions.push({ type: 'mkdir', path: dir });
+    },
+
+    /**
+     * Summarizes the net effect of the recorded operations in dry-run mode.
+     * @returns {{written: {path: string, size: number}[], deleted: string[]}} Files written and on-disk files deleted.
+     */
+    summary() {
+      return {
+        written: [...written].map(([filePath, size]) => ({ path: filePath, size })).sort((a, b) => a.path.localeCompare(b.path)),
+        deleted: [...deleted].sort(),
+      };
+    },
+  };
+}
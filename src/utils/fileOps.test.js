@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import * as fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createFileOps, walkFiles } from './fileOps.js';
+
+const fsPromises = fs.promises;
+
+describe('createFileOps', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'ps-package-ops-'));
+    await fsPromises.mkdir(path.join(root, 'src', 'queries_root'), { recursive: true });
+    await fsPromises.writeFile(path.join(root, 'src', 'queries_root', 'new.xml'), '<queries/>');
+    await fsPromises.mkdir(path.join(root, 'dist', 'queries_root'), { recursive: true });
+    await fsPromises.writeFile(path.join(root, 'dist', 'queries_root', 'old.xml'), '<old/>');
+    await fsPromises.writeFile(path.join(root, 'dist', '.DS_Store'), 'junk');
+  });
+
+  afterEach(async () => {
+    await fsPromises.rm(root, { recursive: true, force: true });
+  });
+
+  it('should perform and record operations in normal mode', async () => {
+    const ops = createFileOps();
+    await ops.writeFile(path.join(root, 'dist', 'plugin.xml'), '<plugin/>');
+    await ops.unlink(path.join(root, 'dist', '.DS_Store'));
+
+    expect(ops.actions).toEqual([
+      { type: 'write', path: path.join(root, 'dist', 'plugin.xml') },
+      { type: 'delete', path: path.join(root, 'dist', '.DS_Store') },
+    ]);
+    const files = (await walkFiles(path.join(root, 'dist'))).map(file => path.relative(root, file.path)).sort();
+    expect(files).toEqual([path.join('dist', 'plugin.xml'), path.join('dist', 'queries_root', 'old.xml')]);
+  });
+
+  it('should simulate operations without touching the disk in dry-run mode', async () => {
+    const ops = createFileOps({ dryRun: true });
+    const dist = path.join(root, 'dist');
+
+    await ops.rm(path.join(dist, 'queries_root'), { recursive: true, force: true });
+    await ops.cp(path.join(root, 'src', 'queries_root'), path.join(dist, 'queries_root'), { recursive: true });
+    await ops.writeFile(path.join(dist, 'plugin.xml'), '<plugin/>');
+    await ops.unlink(path.join(dist, '.DS_Store'));
+
+    const listed = (await ops.listFiles(dist)).map(file => [path.relative(dist, file.path), file.size]);
+    expect(listed).toEqual([
+      ['plugin.xml', 9],
+      [path.join('queries_root', 'new.xml'), 10],
+    ]);
+    expect(ops.summary()).toEqual({
+      written: [
+        { path: path.join(dist, 'plugin.xml'), size: 9 },
+        { path: path.join(dist, 'queries_root', 'new.xml'), size: 10 },
+      ],
+      deleted: [path.join(dist, '.DS_Store'), path.join(dist, 'queries_root', 'old.xml')],
+    });
+    await expect(fsPromises.access(path.join(dist, 'queries_root', 'old.xml'))).resolves.toBeUndefined();
+    await expect(fsPromises.access(path.join(dist, 'plugin.xml'))).rejects.toThrow();
+  });
+
+  it('should fail to unlink a file that would not exist', async () => {
+    const ops = createFileOps({ dryRun: true });
+    await expect(ops.unlink(path.join(root, 'dist', 'missing.html'))).rejects.toMatchObject({ code: 'ENOENT' });
+    expect(ops.actions).toEqual([]);
+  });
+
+  it('should apply the copy filter in dry-run mode as a real copy does', async () => {
+    await fsPromises.writeFile(path.join(root, 'src', 'queries_root', 'new.xml.map'), '{}');
+    const filter = (source, destination) => !destination.endsWith('.map');
+    const dryRun = createFileOps({ dryRun: true });
+    await dryRun.cp(path.join(root, 'src'), path.join(root, 'out'), { recursive: true, filter });
+    await createFileOps().cp(path.join(root, 'src'), path.join(root, 'real'), { recursive: true, filter });
+
+    expect(dryRun.summary().written.map(file => path.relative(path.join(root, 'out'), file.path))).toEqual([path.join('queries_root', 'new.xml')]);
+    expect((await walkFiles(path.join(root, 'real'))).map(file => path.relative(path.join(root, 'real'), file.path))).toEqual([path.join('queries_root', 'new.xml')]);
+  });
+
+  it('should only record directories that do not exist yet', async () => {
+    const ops = createFileOps({ dryRun: true });
+    await ops.mkdir(path.join(root, 'dist'), { recursive: true });
+    await ops.mkdir(path.join(root, 'plugin_archive'), { recursive: true });
+    expect(ops.actions).toEqual([{ type: 'mkdir', path: path.join(root, 'plugin_archive') }]);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Converts a glob pattern to a regular expression matching forward-slash relative paths.
+ * Supports `**` (any number of folders), `*` (anything but a slash), `?`, `[...]` character
+ * classes (`[!...]` negates) and `{a,b}` alternatives. As in .gitignore, a pattern without a
+ * slash matches a file or folder name at any depth, and a leading slash anchors it to the root.
+ * @param {string} pattern - The glob pattern, e.g. `**\/*.map`.
+ * @returns {RegExp} The regular expression.
+ * @throws {Error} If the pattern is empty or has an invalid character class.
+ */
+export function globToRegExp(pattern) {
+  const trimmed = pattern.replace(/\/+$/, '');
+  if (trimmed === '') throw new Error(`Invalid glob pattern "${pattern}"`);
+  const anchored = trimmed.includes('/');
+  const glob = trimmed.replace(/^\//, '');
+
+  let source = '';
+  let braces = 0;
+  for (let index = 0; index < glob.length; index++) {
+    const char = glob[index];
+    if (char === '*' && glob[index + 1] === '*') {
+      index++;
+      if (glob[index + 1] === '/') {
+        // "**/" also matches no folder at all, so **/*.map matches app.js.map at the root.
+        index++;
+        source += '(?:.*/)?';
+      } else {
+        source += '.*';
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && glob.indexOf(']', index + 2) !== -1) {
+      const end = glob.indexOf(']', index + 2);
+      const body = glob.slice(index + 1, end).replace(/\\/g, '\\\\');
+      source += body.startsWith('!') ? `[^${body.slice(1)}]` : `[${body}]`;
+      index = end;
+    } else if (char === '{') {
+      braces++;
+      source += '(?:';
+    } else if (char === '}' && braces > 0) {
+      braces--;
+      source += ')';
+    } else if (char === ',' && braces > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/, '\\$&');
+    }
+  }
+  if (braces > 0) throw new Error(`Invalid glob pattern "${pattern}": unclosed "{"`);
+
+  try {
+    return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`);
+  } catch (error) {
+    throw new Error(`Invalid glob pattern "${pattern}": ${error.message}`);
+  }
+}
+
+/**
+ * Creates a function that tests paths against a list of glob patterns. A path also matches
+ * when one of its parent folders does, so `**\/node_modules` covers everything inside them.
+ * @param {string[]} patterns - The glob patterns.
+ * @returns {(relativePath: string) => boolean} Returns true if the forward-slash relative path matches any pattern.
+ */
+export function createMatcher(patterns) {
+  const regExps = patterns.map(globToRegExp);
+  if (regExps.length === 0) return () => false;
+  return (relativePath) => {
+    const parts = relativePath.split('/');
+    for (let length = 1; length <= parts.length; length++) {
+      const candidate = parts.slice(0, length).join('/');
+      if (regExps.some(regExp => regExp.test(candidate))) return true;
+    }
+    return false;
+  };
+}
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { createMatcher, globToRegExp } from './glob.js';
+
+describe('globToRegExp', () => {
+  it('should match ** across folders, including none', () => {
+    const regExp = globToRegExp('**/*.map');
+    expect(regExp.test('app.js.map')).toBe(true);
+    expect(regExp.test('WEB_ROOT/scripts/app.js.map')).toBe(true);
+    expect(regExp.test('WEB_ROOT/app.js')).toBe(false);
+  });
+
+  it('should keep * and ? within a folder', () => {
+    expect(globToRegExp('WEB_ROOT/*.html').test('WEB_ROOT/page.html')).toBe(true);
+    expect(globToRegExp('WEB_ROOT/*.html').test('WEB_ROOT/admin/page.html')).toBe(false);
+    expect(globToRegExp('WEB_ROOT/page?.html').test('WEB_ROOT/page1.html')).toBe(true);
+  });
+
+  it('should match names without a slash at any depth and anchor a leading slash', () => {
+    expect(globToRegExp('.DS_Store').test('WEB_ROOT/admin/.DS_Store')).toBe(true);
+    expect(globToRegExp('.env*').test('WEB_ROOT/.env.local')).toBe(true);
+    expect(globToRegExp('/robots.txt').test('robots.txt')).toBe(true);
+    expect(globToRegExp('/robots.txt').test('WEB_ROOT/robots.txt')).toBe(false);
+  });
+
+  it('should support character classes and alternatives', () => {
+    expect(globToRegExp('**/*.test.{js,ts}').test('src/a.test.ts')).toBe(true);
+    expect(globToRegExp('**/*.test.{js,ts}').test('src/a.test.css')).toBe(false);
+    expect(globToRegExp('file[0-9].txt').test('file7.txt')).toBe(true);
+    expect(globToRegExp('file[!0-9].txt').test('file7.txt')).toBe(false);
+    expect(globToRegExp('a+b(c).txt').test('a+b(c).txt')).toBe(true);
+  });
+
+  it('should reject invalid patterns', () => {
+    expect(() => globToRegExp('')).toThrow('Invalid glob pattern ""');
+    expect(() => globToRegExp('*.{js,ts')).toThrow('unclosed "{"');
+    expect(() => globToRegExp('[z-a].txt')).toThrow('Invalid glob pattern "[z-a].txt"');
+  });
+});
+
+describe('createMatcher', () => {
+  it('should match a path when one of its folders matches', () => {
+    const matches = createMatcher(['**/node_modules', 'WEB_ROOT/drafts/']);
+    expect(matches('WEB_ROOT/node_modules/lib/index.js')).toBe(true);
+    expect(matches('WEB_ROOT/drafts/page.html')).toBe(true);
+    expect(matches('WEB_ROOT/page.html')).toBe(false);
+  });
+
+  it('should match nothing without patterns', () => {
+    expect(createMatcher([])('anything')).toBe(false);
+  });
+});
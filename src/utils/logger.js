@@ -1,16 +1,120 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { format } from 'node:util';
+
+const consoleMethods = { DEBUG: 'log', VERBOSE: 'log', INFO: 'log', WARN: 'warn', ERROR: 'error' };
+
+// Each level also shows the ones before it.
+export const logLevels = ['error', 'warn', 'info', 'verbose', 'debug'];
+
+const settings = { level: 'info', json: false };
+
+// The log buffer of the current captureLogs() call, if any. Builds running side by side
+// each see their own buffer, so their lines never interleave.
+const capture = new AsyncLocalStorage();
+
+// The listeners of the current observeLogs() calls, which see every entry whatever the level.
+const observers = new AsyncLocalStorage();
+
+const isEnabled = level => logLevels.indexOf(level.toLowerCase()) <= logLevels.indexOf(settings.level);
+
+// In JSON mode stdout only carries events, so log lines go to stderr.
+const print = (level, args) => console[settings.json ? 'error' : consoleMethods[level]](`[${level}]`, ...args);
+
+function write(level, args) {
+  const listeners = observers.getStore();
+  if (listeners) {
+    const entry = { level, message: format(...args) };
+    listeners.forEach(listener => listener(entry));
+  }
+  if (!isEnabled(level)) return;
+
+  const entries = capture.getStore();
+  if (entries) {
+    entries.push({ level, message: format(...args) });
+  } else {
+    print(level, args);
+  }
+}
+
 /**
  * A simple logging utility.
  */
 const logger = {
+  debug: (...args) => {
+    write('DEBUG', args);
+  },
+  verbose: (...args) => {
+    write('VERBOSE', args);
+  },
   info: (...args) => {
-    console.log('[INFO]', ...args);
+    write('INFO', args);
   },
   warn: (...args) => {
-    console.warn('[WARN]', ...args);
+    write('WARN', args);
   },
   error: (...args) => {
-    console.error('[ERROR]', ...args);
+    write('ERROR', args);
+  },
+  /**
+   * Prints a structured event as one line of JSON, in JSON mode only.
+   * @param {object} event - The event, with a `type`.
+   */
+  event: (event) => {
+    if (settings.json) console.log(JSON.stringify(event));
   },
 };
 
+/**
+ * Sets how much is logged and whether events are printed as JSON.
+ * @param {object} [options] - Logger options.
+ * @param {string} [options.level] - The most detailed level shown: one of logLevels (defaults to 'info').
+ * @param {boolean} [options.json] - Print events as JSON lines on stdout, and log lines on stderr.
+ */
+export function configureLogger({ level = 'info', json = false } = {}) {
+  if (!logLevels.includes(level)) {
+    throw new Error(`Invalid log level "${level}" (expected one of: ${logLevels.join(', ')})`);
+  }
+  settings.level = level;
+  settings.json = json;
+}
+
+/**
+ * Whether events are printed as JSON lines.
+ * @returns {boolean} True in JSON mode.
+ */
+export function isJsonMode() {
+  return settings.json;
+}
+
+/**
+ * Runs a function with everything it logs collected instead of printed.
+ * @param {Array<{level: string, message: string}>} entries - The array to collect log entries in.
+ * @param {() => Promise<*>} fn - The function to run.
+ * @returns {Promise<*>} What the function resolves to.
+ */
+export function captureLogs(entries, fn) {
+  return capture.run(entries, fn);
+}
+
+/**
+ * Runs a function and passes everything it logs to a listener as well, including the levels
+ * that are not shown.
+ * @param {(entry: {level: string, message: string}) => void} listener - Called with each log entry.
+ * @param {() => Promise<*>} fn - The function to run.
+ * @returns {Promise<*>} What the function resolves to.
+ */
+export function observeLogs(listener, fn) {
+  return observers.run([...(observers.getStore() ?? []), listener], fn);
+}
+
+/**
+ * Prints log entries collected by captureLogs().
+ * @param {Array<{level: string, message: string}>} entries - The log entries.
+ */
+export function printLogs(entries) {
+  for (const { level, message } of entries) {
+    print(level, [message]);
+  }
+}
+
 export default logger;
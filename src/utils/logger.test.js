@@ -1,5 +1,5 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
-import logger from '../utils/logger.js';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import logger, { captureLogs, configureLogger, observeLogs, printLogs } from '../utils/logger.js';
 
 describe('Logger Utility', () => {
   let consoleLogSpy;
@@ -30,3 +30,85 @@ describe('Logger Utility', () => {
     expect(consoleErrorSpy).toHaveBeenCalledWith('[ERROR]', message);
   });
 });
+
+describe('captureLogs', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('should collect the logs of concurrent calls separately', async () => {
+    const first = [];
+    const second = [];
+    const task = async (name) => {
+      logger.info('start', name);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      logger.error(`${name} failed`);
+    };
+
+    await Promise.all([captureLogs(first, () => task('a')), captureLogs(second, () => task('b'))]);
+
+    expect(first).toEqual([{ level: 'INFO', message: 'start a' }, { level: 'ERROR', message: 'a failed' }]);
+    expect(second).toEqual([{ level: 'INFO', message: 'start b' }, { level: 'ERROR', message: 'b failed' }]);
+    expect(console.log).not.toHaveBeenCalled();
+
+    printLogs(first);
+    expect(console.log).toHaveBeenCalledWith('[INFO]', 'start a');
+    expect(console.error).toHaveBeenCalledWith('[ERROR]', 'a failed');
+  });
+});
+
+describe('configureLogger', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    configureLogger();
+  });
+
+  it('should hide the levels more detailed than the configured one', () => {
+    logger.verbose('merged');
+    expect(console.log).not.toHaveBeenCalled();
+
+    configureLogger({ level: 'debug' });
+    logger.debug('copied');
+    expect(console.log).toHaveBeenCalledWith('[DEBUG]', 'copied');
+
+    configureLogger({ level: 'error' });
+    logger.info('started');
+    logger.warn('slow');
+    logger.error('failed');
+    expect(console.log).toHaveBeenCalledTimes(1);
+    expect(console.warn).not.toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalledWith('[ERROR]', 'failed');
+    expect(() => configureLogger({ level: 'loud' })).toThrow('Invalid log level "loud"');
+  });
+
+  it('should print events as JSON lines and logs on stderr in JSON mode', () => {
+    logger.event({ type: 'step' });
+    expect(console.log).not.toHaveBeenCalled();
+
+    configureLogger({ json: true });
+    logger.info('started');
+    logger.event({ type: 'step', step: 'merge' });
+    expect(console.error).toHaveBeenCalledWith('[INFO]', 'started');
+    expect(console.log).toHaveBeenCalledWith('{"type":"step","step":"merge"}');
+  });
+
+  it('should pass hidden entries to observers', async () => {
+    const seen = [];
+    configureLogger({ level: 'error' });
+    await observeLogs(entry => seen.push(entry), async () => {
+      logger.warn('junk left behind in %s', 'dist');
+    });
+    logger.warn('outside');
+
+    expect(seen).toEqual([{ level: 'WARN', message: 'junk left behind in dist' }]);
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,40 @@
+import AdmZip from 'adm-zip';
+
+// adm-zip prefixes its messages with its name and leaves unused placeholders in some of them.
+const messageOf = error => error.message.replace(/^ADM-ZIP: /, '').replace(/\s*\{\d+\}/g, '');
+
+/**
+ * Reads the file entries of a zip archive held in memory.
+ * Directory entries are skipped; every entry's data is inflated and checked against its CRC.
+ * Encrypted archives are rejected.
+ * @param {Buffer} buffer - The zip file contents.
+ * @returns {{path: string, size: number, data: Buffer}[]} The entries, in central directory order.
+ * @throws {Error} If the archive is malformed or uses an unsupported feature.
+ */
+export function readZipEntries(buffer) {
+  let zipEntries;
+  try {
+    zipEntries = new AdmZip(buffer).getEntries();
+  } catch (error) {
+    throw new Error(`not a zip file (${messageOf(error)})`);
+  }
+
+  const entries = [];
+  for (const entry of zipEntries) {
+    if (entry.isDirectory) continue;
+    const name = entry.entryName;
+    if (entry.header.encrypted) throw new Error(`${name}: encrypted entries are not supported`);
+
+    let data;
+    try {
+      data = entry.getData();
+    } catch (error) {
+      throw new Error(`${name}: ${messageOf(error)}`);
+    }
+    if (data.length !== entry.header.size) {
+      throw new Error(`${name}: expected ${entry.header.size} bytes but got ${data.length}`);
+    }
+    entries.push({ path: name, size: data.length, data });
+  }
+  return entries;
+}
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { makeZip } from '../test/makeZip.js';
+import { readZipEntries } from './zip.js';
+
+// The offset of the central directory, from the end of central directory record (no comment).
+const centralDirectoryOf = buffer => buffer.readUInt32LE(buffer.length - 22 + 16);
+
+describe('readZipEntries', () => {
+  it('should read the entries archiver writes', async () => {
+    const buffer = await makeZip({ 'plugin.xml': '<plugin/>', 'WEB_ROOT/empty.txt': '', 'WEB_ROOT/big.txt': 'x'.repeat(5000) });
+
+    const entries = readZipEntries(buffer);
+
+    expect(entries.map(entry => [entry.path, entry.size])).toEqual([
+      ['plugin.xml', 9],
+      ['WEB_ROOT/empty.txt', 0],
+      ['WEB_ROOT/big.txt', 5000],
+    ]);
+    expect(entries[0].data.toString()).toBe('<plugin/>');
+    expect(entries[2].data.toString()).toBe('x'.repeat(5000));
+  });
+
+  it('should read stored, zip64 and non-ASCII entries and skip directories', async () => {
+    const files = { 'WEB_ROOT/': '', 'WEB_ROOT/café.html': 'menu', 'plugin.xml': '<plugin/>' };
+
+    for (const options of [{ store: true }, { forceZip64: true }]) {
+      const entries = readZipEntries(await makeZip(files, options));
+      expect(entries.map(entry => [entry.path, entry.data.toString()])).toEqual([
+        ['WEB_ROOT/café.html', 'menu'],
+        ['plugin.xml', '<plugin/>'],
+      ]);
+    }
+  });
+
+  it('should reject data that is not a zip file', () => {
+    expect(() => readZipEntries(Buffer.from('not a zip file at all, just text'))).toThrow('not a zip file');
+    expect(() => readZipEntries(Buffer.alloc(4))).toThrow('not a zip file');
+  });
+
+  it('should reject a corrupt central directory', async () => {
+    const buffer = await makeZip({ 'plugin.xml': '<plugin/>' });
+    buffer.writeUInt32LE(0, centralDirectoryOf(buffer));
+
+    expect(() => readZipEntries(buffer)).toThrow('not a zip file (Invalid CEN header (bad signature))');
+  });
+
+  it('should reject entries whose data does not match their checksum', async () => {
+    const buffer = await makeZip({ 'plugin.xml': '<plugin/>' }, { store: true });
+    buffer.write('<plugin!>', buffer.indexOf('<plugin/>'));
+
+    expect(() => readZipEntries(buffer)).toThrow('plugin.xml: CRC32 checksum failed');
+  });
+
+  it('should reject encrypted entries', async () => {
+    const buffer = await makeZip({ 'plugin.xml': '<plugin/>' }, { store: true });
+    // Set the encryption flag in the central directory header of the entry.
+    const flagsOffset = centralDirectoryOf(buffer) + 8;
+    buffer.writeUInt16LE(buffer.readUInt16LE(flagsOffset) | 1, flagsOffset);
+
+    expect(() => readZipEntries(buffer)).toThrow('plugin.xml: encrypted entries are not supported');
+  });
+});
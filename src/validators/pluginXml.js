@@ -0,0 +1,173 @@
+import { pluginVersionPattern } from '../versioning.js';
+
+// PowerSchool rejects plugin names longer than this on upload.
+export const maxPluginNameLength = 40;
+
+export const accessLevels = ['ViewOnly', 'FullAccess'];
+
+// Elements of the PowerSchool plugin schema that only belong inside another element.
+// Other top-level elements are left to PowerSchool, whose schema grows between releases.
+const nestedElements = {
+  contact: 'publisher',
+  field: 'access_request',
+  link: 'links',
+  ui_contexts: 'link',
+  ui_context: 'ui_contexts',
+};
+
+const identifierPattern = /^[A-Z]\w*$/i;
+const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const attributesOf = element => (typeof element === 'object' && element?.$) || {};
+const childrenOf = (element, name) => (typeof element === 'object' && element?.[name]) || [];
+// Elements are numbered from 1 so error paths match what a reader counts in the file.
+const indexed = (name, index, list) => list.length > 1 ? `${name}[${index + 1}]` : name;
+
+/**
+ * Checks that an element carries every required attribute with a non-empty value.
+ * @param {object} element - The parsed element.
+ * @param {string} where - The element path used in error messages.
+ * @param {string[]} required - The required attribute names.
+ * @param {string[]} errors - The list errors are added to.
+ */
+function requireAttributes(element, where, required, errors) {
+  const attributes = attributesOf(element);
+  for (const name of required) {
+    if (typeof attributes[name] !== 'string' || attributes[name].trim() === '') {
+      errors.push(`${where}: missing required attribute "${name}"`);
+    }
+  }
+}
+
+/**
+ * Validates the <links> section of the plugin or of an <openid> block.
+ * @param {object[]} linksElements - The parsed <links> elements.
+ * @param {string} where - The path of the parent element.
+ * @param {string[]} errors - The list errors are added to.
+ */
+function validateLinks(linksElements, where, errors) {
+  if (linksElements.length > 1) errors.push(`${where}: only one <links> element is allowed`);
+
+  linksElements.forEach((links, linksIndex) => {
+    const linksPath = `${where} > ${indexed('links', linksIndex, linksElements)}`;
+    const linkElements = childrenOf(links, 'link');
+    if (linkElements.length === 0) errors.push(`${linksPath}: must contain at least one <link>`);
+
+    linkElements.forEach((link, index) => {
+      const linkPath = `${linksPath} > ${indexed('link', index, linkElements)}`;
+      requireAttributes(link, linkPath, ['display-text', 'path'], errors);
+      const contexts = childrenOf(link, 'ui_contexts').flatMap(uiContexts => childrenOf(uiContexts, 'ui_context'));
+      contexts.forEach((uiContext, contextIndex) => {
+        requireAttributes(uiContext, `${linkPath} > ui_contexts > ${indexed('ui_context', contextIndex, contexts)}`, ['id'], errors);
+      });
+    });
+  });
+}
+
+/**
+ * Validates a parsed plugin.xml (as produced by xml2js) against the PowerSchool plugin schema.
+ * Checks the required plugin attributes, publisher/contact, access_request entries and the
+ * oauth, openid and links sections.
+ * @param {object} psXML - The parsed plugin.xml object.
+ * @returns {string[]} A list of errors, each prefixed with the path of the offending element.
+ */
+export function validatePluginXml(psXML) {
+  const plugin = psXML?.plugin;
+  if (!plugin || typeof plugin !== 'object') {
+    return ['plugin.xml: root element must be <plugin>'];
+  }
+
+  const errors = [];
+  const { name, version } = attributesOf(plugin);
+
+  requireAttributes(plugin, 'plugin', ['name', 'version'], errors);
+  if (typeof name === 'string' && name.length > maxPluginNameLength) {
+    errors.push(`plugin: name "${name}" is ${name.length} characters long (maximum ${maxPluginNameLength})`);
+  }
+  if (typeof version === 'string' && version !== '' && !pluginVersionPattern.test(version)) {
+    errors.push(`plugin: version "${version}" must be dot-separated numbers (e.g. 26.06.04)`);
+  }
+
+  for (const key of Object.keys(plugin)) {
+    if (Object.hasOwn(nestedElements, key)) {
+      errors.push(`plugin > ${key}: must be inside <${nestedElements[key]}>`);
+    }
+  }
+
+  // Publisher and contact
+  const publishers = childrenOf(plugin, 'publisher');
+  if (publishers.length === 0) {
+    errors.push('plugin: missing required <publisher> element');
+  } else if (publishers.length > 1) {
+    errors.push('plugin: only one <publisher> element is allowed');
+  }
+  publishers.forEach((publisher, index) => {
+    const publisherPath = `plugin > ${indexed('publisher', index, publishers)}`;
+    requireAttributes(publisher, publisherPath, ['name'], errors);
+    const contacts = childrenOf(publisher, 'contact');
+    if (contacts.length === 0) {
+      errors.push(`${publisherPath}: missing required <contact> element`);
+    }
+    contacts.forEach((contact, contactIndex) => {
+      const contactPath = `${publisherPath} > ${indexed('contact', contactIndex, contacts)}`;
+      requireAttributes(contact, contactPath, ['email'], errors);
+      const { email } = attributesOf(contact);
+      if (email && !emailPattern.test(email)) {
+        errors.push(`${contactPath}: invalid email "${email}"`);
+      }
+    });
+  });
+
+  // Access request
+  const accessRequests = childrenOf(plugin, 'access_request');
+  if (accessRequests.length > 1) errors.push('plugin: only one <access_request> element is allowed');
+  accessRequests.forEach((accessRequest) => {
+    const fields = childrenOf(accessRequest, 'field');
+    if (fields.length === 0) errors.push('plugin > access_request: must contain at least one <field>');
+
+    const seen = new Set();
+    fields.forEach((field, index) => {
+      const fieldPath = `plugin > access_request > ${indexed('field', index, fields)}`;
+      requireAttributes(field, fieldPath, ['table', 'field', 'access'], errors);
+      const { table, field: column, access } = attributesOf(field);
+      for (const [attribute, value] of [['table', table], ['field', column]]) {
+        if (value && !identifierPattern.test(value)) {
+          errors.push(`${fieldPath}: invalid ${attribute} name "${value}"`);
+        }
+      }
+      if (access && !accessLevels.includes(access)) {
+        errors.push(`${fieldPath}: access "${access}" must be one of: ${accessLevels.join(', ')}`);
+      }
+      const key = `${table}.${column}`.toUpperCase();
+      if (table && column && seen.has(key)) {
+        errors.push(`${fieldPath}: duplicate entry for ${table}.${column}`);
+      }
+      seen.add(key);
+    });
+  });
+
+  // OAuth takes no configuration; its presence enables OAuth for the plugin.
+  const oauths = childrenOf(plugin, 'oauth');
+  if (oauths.length > 1) errors.push('plugin: only one <oauth> element is allowed');
+  oauths.forEach((oauth) => {
+    if (typeof oauth === 'object' && Object.keys(oauth).some(key => key !== '$')) {
+      errors.push('plugin > oauth: must be empty');
+    }
+  });
+
+  // OpenID Connect and its links
+  const openids = childrenOf(plugin, 'openid');
+  if (openids.length > 1) errors.push('plugin: only one <openid> element is allowed');
+  openids.forEach((openid) => {
+    requireAttributes(openid, 'plugin > openid', ['host'], errors);
+    const { port } = attributesOf(openid);
+    if (port !== undefined && !/^\d+$/.test(port)) {
+      errors.push(`plugin > openid: port "${port}" must be a number`);
+    }
+    validateLinks(childrenOf(openid, 'links'), 'plugin > openid', errors);
+  });
+
+  validateLinks(childrenOf(plugin, 'links'), 'plugin', errors);
+
+  return errors;
+}
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import xml2js from 'xml2js';
+import { validatePluginXml } from './pluginXml.js';
+
+const parse = xml => xml2js.parseStringPromise(xml);
+
+const publisher = '<publisher name="Benjamin Kemp"><contact email="kempb@tesd.net"/></publisher>';
+
+describe('validatePluginXml', () => {
+  it('should accept a complete manifest', async () => {
+    const psXML = await parse(`
+      <plugin xmlns="http://plugin.powerschool.pearson.com" name="Test Plugin" version="26.06.04" description="Test">
+        ${publisher}
+        <access_request>
+          <field table="STUDENTS" field="DCID" access="ViewOnly"/>
+          <field table="U_TEST" field="NOTE" access="FullAccess"/>
+        </access_request>
+        <oauth></oauth>
+        <links>
+          <link display-text="Reports" path="/admin/reports.html" title="Reports">
+            <ui_contexts><ui_context id="admin.header"/></ui_contexts>
+          </link>
+        </links>
+      </plugin>`);
+
+    expect(validatePluginXml(psXML)).toEqual([]);
+  });
+
+  it('should require the plugin attributes and a publisher with contact', async () => {
+    const psXML = await parse('<plugin version="v1.0"><publisher><contact email="nobody"/></publisher></plugin>');
+
+    expect(validatePluginXml(psXML)).toEqual([
+      'plugin: missing required attribute "name"',
+      'plugin: version "v1.0" must be dot-separated numbers (e.g. 26.06.04)',
+      'plugin > publisher: missing required attribute "name"',
+      'plugin > publisher > contact: invalid email "nobody"',
+    ]);
+  });
+
+  it('should reject pre-release versions, which the plugin schema does not allow', async () => {
+    const psXML = await parse(`<plugin name="Test" version="26.06.05-beta.1">${publisher}</plugin>`);
+    expect(validatePluginXml(psXML)).toEqual(['plugin: version "26.06.05-beta.1" must be dot-separated numbers (e.g. 26.06.04)']);
+  });
+
+  it('should leave top-level elements it does not check to PowerSchool', async () => {
+    const psXML = await parse(`
+      <plugin name="Test" version="1">
+        ${publisher}
+        <saml name="sso" idp-name="IdP" idp-entity-id="urn:idp" idp-metadata-url="https://idp.example.com/metadata"/>
+        <extras/>
+      </plugin>`);
+    expect(validatePluginXml(psXML)).toEqual([]);
+  });
+
+  it('should reject names over the length limit', async () => {
+    const psXML = await parse(`<plugin name="${'x'.repeat(41)}" version="1">${publisher}</plugin>`);
+    expect(validatePluginXml(psXML)).toEqual([`plugin: name "${'x'.repeat(41)}" is 41 characters long (maximum 40)`]);
+  });
+
+  it('should point to malformed access_request entries', async () => {
+    const psXML = await parse(`
+      <plugin name="Test" version="1">
+        ${publisher}
+        <access_request>
+          <field table="STUDENTS" field="DCID" access="ViewOnly"/>
+          <field table="STUDENTS" field="LAST NAME" access="Read"/>
+          <field table="students" field="dcid" access="FullAccess"/>
+          <field field="ID" access="ViewOnly"/>
+        </access_request>
+      </plugin>`);
+
+    expect(validatePluginXml(psXML)).toEqual([
+      'plugin > access_request > field[2]: invalid field name "LAST NAME"',
+      'plugin > access_request > field[2]: access "Read" must be one of: ViewOnly, FullAccess',
+      'plugin > access_request > field[3]: duplicate entry for students.dcid',
+      'plugin > access_request > field[4]: missing required attribute "table"',
+    ]);
+  });
+
+  it('should check the oauth, openid and links sections', async () => {
+    const psXML = await parse(`
+      <plugin name="Test" version="1">
+        ${publisher}
+        <oauth><client/></oauth>
+        <openid port="https">
+          <links><link display-text="SSO"/></links>
+        </openid>
+        <links/>
+        <field table="STUDENTS" field="DCID" access="ViewOnly"/>
+      </plugin>`);
+
+    expect(validatePluginXml(psXML)).toEqual([
+      'plugin > field: must be inside <access_request>',
+      'plugin > oauth: must be empty',
+      'plugin > openid: missing required attribute "host"',
+      'plugin > openid: port "https" must be a number',
+      'plugin > openid > links > link: missing required attribute "path"',
+      'plugin > links: must contain at least one <link>',
+    ]);
+  });
+
+  it('should require a <plugin> root element', async () => {
+    expect(validatePluginXml(await parse('<manifest/>'))).toEqual(['plugin.xml: root element must be <plugin>']);
+  });
+});
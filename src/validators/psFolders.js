@@ -0,0 +1,408 @@
+import * as fs from 'node:fs';
+import path from 'node:path';
+import xml2js from 'xml2js';
+import { walkFiles } from '../utils/fileOps.js';
+
+const fsPromises = fs.promises;
+
+export const fieldTypes = ['String', 'Integer', 'Double', 'Boolean', 'Date', 'Timestamp', 'CLOB', 'BLOB'];
+
+// Oracle's VARCHAR2 limit, which PowerSchool applies to String extension fields.
+export const maxStringLength = 4000;
+
+// Columns PowerSchool adds to every extension table.
+const implicitFields = ['ID', 'WHOCREATED', 'WHENCREATED', 'WHOMODIFIED', 'WHENMODIFIED', 'WHOMODIFIEDTYPE'];
+
+// Database extension tables are always prefixed with U_; anything else is a core table.
+const isExtensionTable = table => /^U_/i.test(table);
+
+// Fields every pagecataloging page must have; sortOrder is a number, the others are strings.
+export const pageFields = ['htmlID', 'title', 'contextType', 'pageURL', 'parentHTMLID', 'sortOrder'];
+
+const identifierPattern = /^[A-Z]\w*$/i;
+const queryNamePattern = /^[a-z]\w*(\.[a-z]\w*){2,}$/i;
+const columnPattern = /^(\w+)\.(\w+)$/;
+
+const attributesOf = element => (typeof element === 'object' && element?.$) || {};
+const childrenOf = (element, name) => (typeof element === 'object' && element?.[name]) || [];
+const textOf = element => (typeof element === 'object' ? element?._ : element) ?? '';
+const indexed = (name, index, list) => list.length > 1 ? `${name}[${index + 1}]` : name;
+
+/**
+ * Reads and parses every XML file under a directory, skipping empty ones.
+ * @param {string} dir - The directory to read.
+ * @param {string} baseDir - The directory file names are reported relative to.
+ * @param {string[]} errors - The list parse errors are added to.
+ * @returns {Promise<{file: string, doc: object}[]>} The parsed documents.
+ */
+export async function parseXmlFiles(dir, baseDir, errors) {
+  const files = (await walkFiles(dir)).filter(file => path.extname(file.path).toLowerCase() === '.xml');
+  const docs = [];
+  for (const { path: filePath } of files.sort((a, b) => a.path.localeCompare(b.path))) {
+    const file = path.relative(baseDir, filePath).split(path.sep).join('/');
+    try {
+      const contents = await fsPromises.readFile(filePath, 'utf8');
+      // Empty files are placeholders, e.g. from the project template: treat them as absent.
+      if (contents.trim() === '') continue;
+      const doc = await xml2js.parseStringPromise(contents);
+      if (doc !== null) docs.push({ file, doc });
+    } catch (error) {
+      errors.push(`${file}: malformed XML: ${error.message.replace(/\s*\n\s*/g, ' ')}`);
+    }
+  }
+  return docs;
+}
+
+/**
+ * Reads and parses every JSON file under a directory.
+ * @param {string} dir - The directory to read.
+ * @param {string} baseDir - The directory file names are reported relative to.
+ * @param {string[]} errors - The list parse errors are added to.
+ * @returns {Promise<{file: string, doc: *}[]>} The parsed documents.
+ */
+export async function parseJsonFiles(dir, baseDir, errors) {
+  const files = (await walkFiles(dir)).filter(file => path.extname(file.path).toLowerCase() === '.json');
+  const docs = [];
+  for (const { path: filePath } of files.sort((a, b) => a.path.localeCompare(b.path))) {
+    const file = path.relative(baseDir, filePath).split(path.sep).join('/');
+    try {
+      docs.push({ file, doc: JSON.parse(await fsPromises.readFile(filePath, 'utf8')) });
+    } catch (error) {
+      errors.push(`${file}: malformed JSON: ${error.message}`);
+    }
+  }
+  return docs;
+}
+
+/**
+ * Validates database extension definitions and collects the tables and fields they define.
+ * Accepts <extensions> files (one-to-one and child-table extensions) and <tables> files (independent tables).
+ * @param {{file: string, doc: object}[]} docs - The parsed user_schema_root files.
+ * @param {string[]} errors - The list errors are added to.
+ * @returns {Map<string, Set<string>>} Defined tables (upper case) mapped to their field names (upper case).
+ */
+export function validateUserSchema(docs, errors) {
+  const tables = new Map();
+
+  const validateTable = (table, where, file, coreTable) => {
+    const { name } = attributesOf(table);
+    if (!name) {
+      errors.push(`${file}: ${where}: missing required attribute "name"`);
+      return;
+    }
+    if (!identifierPattern.test(name)) {
+      errors.push(`${file}: ${where}: invalid table name "${name}"`);
+    } else if (!isExtensionTable(name)) {
+      errors.push(`${file}: ${where}: table name "${name}" must start with "U_"`);
+    }
+    const key = name.toUpperCase();
+    if (tables.has(key)) {
+      errors.push(`${file}: ${where}: table "${name}" is already defined`);
+    }
+
+    const fieldNames = new Set(implicitFields);
+    if (coreTable) fieldNames.add(`${coreTable.toUpperCase()}DCID`);
+    const fields = childrenOf(table, 'field');
+    if (fields.length === 0) errors.push(`${file}: ${where} (${name}): must define at least one <field>`);
+
+    fields.forEach((field, index) => {
+      const fieldPath = `${file}: ${where} > ${indexed('field', index, fields)}`;
+      const { name: fieldName, type, maxLength } = attributesOf(field);
+      if (!fieldName) {
+        errors.push(`${fieldPath}: missing required attribute "name"`);
+      } else if (!identifierPattern.test(fieldName)) {
+        errors.push(`${fieldPath}: invalid field name "${fieldName}"`);
+      } else if (fieldNames.has(fieldName.toUpperCase()) && !implicitFields.includes(fieldName.toUpperCase())) {
+        errors.push(`${fieldPath}: duplicate field "${fieldName}"`);
+      }
+
+      const fieldType = fieldTypes.find(candidate => candidate.toLowerCase() === type?.toLowerCase());
+      if (!type) {
+        errors.push(`${fieldPath}: missing required attribute "type"`);
+      } else if (!fieldType) {
+        errors.push(`${fieldPath}: type "${type}" must be one of: ${fieldTypes.join(', ')}`);
+      }
+
+      if (fieldType === 'String') {
+        const length = Number(maxLength);
+        if (maxLength === undefined) {
+          errors.push(`${fieldPath}: String fields need a "maxLength"`);
+        } else if (!Number.isInteger(length) || length < 1 || length > maxStringLength) {
+          errors.push(`${fieldPath}: maxLength "${maxLength}" must be an integer from 1 to ${maxStringLength}`);
+        }
+      }
+      if (fieldName) fieldNames.add(fieldName.toUpperCase());
+    });
+
+    tables.set(key, fieldNames);
+  };
+
+  for (const { file, doc } of docs) {
+    if (Object.hasOwn(doc, 'extensions')) {
+      const extensions = childrenOf(doc.extensions, 'extension');
+      if (extensions.length === 0) errors.push(`${file}: extensions: must contain at least one <extension>`);
+      extensions.forEach((extension, index) => {
+        const where = `extensions > ${indexed('extension', index, extensions)}`;
+        const { name, coreTable } = attributesOf(extension);
+        if (!name) errors.push(`${file}: ${where}: missing required attribute "name"`);
+        const extensionTables = childrenOf(extension, 'table');
+        if (extensionTables.length === 0) errors.push(`${file}: ${where}: must contain at least one <table>`);
+        extensionTables.forEach((table, tableIndex) => {
+          validateTable(table, `${where} > ${indexed('table', tableIndex, extensionTables)}`, file, coreTable);
+        });
+      });
+    } else if (Object.hasOwn(doc, 'tables')) {
+      const independentTables = childrenOf(doc.tables, 'table');
+      independentTables.forEach((table, index) => {
+        validateTable(table, `tables > ${indexed('table', index, independentTables)}`, file);
+      });
+    } else {
+      errors.push(`${file}: root element must be <extensions> or <tables>`);
+    }
+  }
+
+  return tables;
+}
+
+/**
+ * Validates named query definitions and collects the queries and column references they contain.
+ * @param {{file: string, doc: object}[]} docs - The parsed queries_root files.
+ * @param {string[]} errors - The list errors are added to.
+ * @returns {{names: Set<string>, references: {where: string, table: string, field: string}[]}} Query names and TABLE.FIELD references.
+ */
+export function validateQueries(docs, errors) {
+  const names = new Set();
+  const references = [];
+
+  const addReference = (value, where) => {
+    const match = columnPattern.exec(value ?? '');
+    if (!match) {
+      errors.push(`${where}: column "${value ?? ''}" must be in TABLE.FIELD form`);
+      return;
+    }
+    references.push({ where, table: match[1], field: match[2] });
+  };
+
+  for (const { file, doc } of docs) {
+    if (!Object.hasOwn(doc, 'queries')) {
+      errors.push(`${file}: root element must be <queries>`);
+      continue;
+    }
+    const queries = childrenOf(doc.queries, 'query');
+    if (queries.length === 0) errors.push(`${file}: queries: must contain at least one <query>`);
+
+    queries.forEach((query, index) => {
+      const { name } = attributesOf(query);
+      const where = `${file}: queries > ${indexed('query', index, queries)}${name ? ` (${name})` : ''}`;
+      if (!name) {
+        errors.push(`${where}: missing required attribute "name"`);
+      } else if (!queryNamePattern.test(name)) {
+        errors.push(`${where}: name must be namespaced with at least three dot-separated parts (e.g. com.district.plugin.students)`);
+      } else if (names.has(name)) {
+        errors.push(`${where}: duplicate query name`);
+      }
+      if (name) names.add(name);
+
+      const argsElements = childrenOf(query, 'args');
+      if (argsElements.length === 0) errors.push(`${where}: missing <args> (use an empty <args/> when the query takes none)`);
+      const args = argsElements.flatMap(args => childrenOf(args, 'arg'));
+      args.forEach((arg, argIndex) => {
+        const argPath = `${where} > args > ${indexed('arg', argIndex, args)}`;
+        const { name: argName, type, column } = attributesOf(arg);
+        if (!argName) errors.push(`${argPath}: missing required attribute "name"`);
+        if (!type) errors.push(`${argPath}: missing required attribute "type"`);
+        if (column !== undefined) addReference(column, argPath);
+      });
+
+      const columns = childrenOf(query, 'columns').flatMap(columnsElement => childrenOf(columnsElement, 'column'));
+      if (columns.length === 0) errors.push(`${where}: must declare at least one <column> in <columns>`);
+      columns.forEach((column, columnIndex) => {
+        addReference(attributesOf(column).column, `${where} > columns > ${indexed('column', columnIndex, columns)}`);
+      });
+
+      const sql = childrenOf(query, 'sql').map(textOf).join('').trim();
+      if (sql === '') errors.push(`${where}: missing or empty <sql>`);
+    });
+  }
+
+  return { names, references };
+}
+
+/**
+ * Validates permission mappings and returns the pages and queries they refer to.
+ * @param {{file: string, doc: object}[]} docs - The parsed permissions_root files.
+ * @param {string[]} errors - The list errors are added to.
+ * @returns {{where: string, page: string, implied: string[]}[]} One entry per <permission>.
+ */
+export function validatePermissions(docs, errors) {
+  const permissions = [];
+
+  for (const { file, doc } of docs) {
+    if (!Object.hasOwn(doc, 'permission_mappings')) {
+      errors.push(`${file}: root element must be <permission_mappings>`);
+      continue;
+    }
+    const entries = childrenOf(doc.permission_mappings, 'permission');
+    entries.forEach((permission, index) => {
+      const where = `${file}: permission_mappings > ${indexed('permission', index, entries)}`;
+      const { name } = attributesOf(permission);
+      if (!name) {
+        errors.push(`${where}: missing required attribute "name"`);
+        return;
+      }
+      if (!name.startsWith('/')) {
+        errors.push(`${where}: page "${name}" must be an absolute path starting with "/"`);
+      }
+      const implied = childrenOf(permission, 'implies').map(textOf).map(value => value.trim());
+      implied.forEach((value, impliesIndex) => {
+        if (value === '') errors.push(`${where} > ${indexed('implies', impliesIndex, implied)}: must not be empty`);
+      });
+      permissions.push({ where, page: name, implied: implied.filter(Boolean) });
+    });
+  }
+
+  return permissions;
+}
+
+/**
+ * Validates pagecataloging files: each must hold a `pages` array whose pages have every field of
+ * `pageFields`, an absolute pageURL and an htmlID no other page uses.
+ * @param {{file: string, doc: *}[]} docs - The parsed pagecataloging files.
+ * @param {string[]} errors - The list errors are added to.
+ * @returns {{where: string, page: string}[]} The pageURL of each valid page.
+ */
+export function validatePageCataloging(docs, errors) {
+  const pages = [];
+  const htmlIDs = new Map();
+
+  for (const { file, doc } of docs) {
+    if (typeof doc !== 'object' || doc === null || !Array.isArray(doc.pages)) {
+      errors.push(`${file}: must be an object with a "pages" array`);
+      continue;
+    }
+    doc.pages.forEach((page, index) => {
+      const where = `${file}: ${indexed('pages', index, doc.pages)}`;
+      if (typeof page !== 'object' || page === null || Array.isArray(page)) {
+        errors.push(`${where}: must be an object`);
+        return;
+      }
+      let valid = true;
+      for (const field of pageFields) {
+        const value = page[field];
+        if (value === undefined || value === null || value === '') {
+          errors.push(`${where}: missing required field "${field}"`);
+          valid = false;
+        } else if (field === 'sortOrder' ? !Number.isFinite(value) : typeof value !== 'string') {
+          errors.push(`${where}: "${field}" must be a ${field === 'sortOrder' ? 'number' : 'string'} (got ${JSON.stringify(value)})`);
+          valid = false;
+        }
+      }
+      if (page.version !== undefined && typeof page.version !== 'string') {
+        errors.push(`${where}: "version" must be a string (got ${JSON.stringify(page.version)})`);
+      }
+      if (typeof page.htmlID === 'string' && page.htmlID !== '') {
+        if (htmlIDs.has(page.htmlID)) {
+          errors.push(`${where}: duplicate htmlID "${page.htmlID}" (also used by ${htmlIDs.get(page.htmlID)})`);
+        } else {
+          htmlIDs.set(page.htmlID, where);
+        }
+      }
+      if (typeof page.pageURL === 'string' && page.pageURL !== '' && !page.pageURL.startsWith('/')) {
+        errors.push(`${where}: pageURL "${page.pageURL}" must be an absolute path starting with "/"`);
+        valid = false;
+      }
+      if (valid) pages.push({ where, page: page.pageURL });
+    });
+  }
+
+  return pages;
+}
+
+/**
+ * Reads and validates the pagecataloging files of a plugin, without checking that their pages exist.
+ * @param {string} powerSchoolSourceDir - The directory holding the PowerSchool folders.
+ * @returns {Promise<string[]>} A list of errors, each prefixed with the file it was found in.
+ */
+export async function validatePageCatalogingFolder(powerSchoolSourceDir) {
+  const errors = [];
+  validatePageCataloging(await parseJsonFiles(path.join(powerSchoolSourceDir, 'pagecataloging'), powerSchoolSourceDir, errors), errors);
+  return errors;
+}
+
+/**
+ * Checks whether a page path exists in any of the given WEB_ROOT directories.
+ * @param {string} page - The page path, e.g. /admin/students/example.html.
+ * @param {{dir: string, url: string}[]} webRoots - The directories to look in and the URL folders they are served from.
+ * @returns {Promise<boolean>} True if the page exists.
+ */
+async function pageExists(page, webRoots) {
+  const pagePath = page.split(/[?#]/)[0];
+  for (const { dir, url } of webRoots) {
+    if (!pagePath.startsWith(url)) continue;
+    const filePath = path.resolve(dir, pagePath.slice(url.length).replace(/^\/+/, ''));
+    if (!filePath.startsWith(path.resolve(dir) + path.sep)) continue;
+    try {
+      await fsPromises.access(filePath);
+      return true;
+    } catch {
+      // Try the next WEB_ROOT.
+    }
+  }
+  return false;
+}
+
+/**
+ * Validates the user_schema_root, queries_root, permissions_root and pagecataloging folders of a
+ * plugin, including cross-file references: query columns on extension tables must be defined in
+ * user_schema_root, permission and pagecataloging pages must exist in WEB_ROOT and implied
+ * /ws/schema/query paths must name a defined query.
+ * @param {string} powerSchoolSourceDir - The directory holding the PowerSchool folders.
+ * @param {object} [options] - Options.
+ * @param {(string|{dir: string, url: string})[]} [options.webRoots] - WEB_ROOT directories pages may live in (defaults to the
+ *   source WEB_ROOT), or directories served from a folder of WEB_ROOT, e.g. { dir: 'dist', url: '/scripts/my_plugin/' }.
+ * @returns {Promise<string[]>} A list of errors, each prefixed with the file it was found in.
+ */
+export async function validatePowerSchoolFolders(powerSchoolSourceDir, { webRoots } = {}) {
+  const errors = [];
+  const roots = (webRoots ?? [path.join(powerSchoolSourceDir, 'WEB_ROOT')]).map(root => typeof root === 'string' ? { dir: root, url: '/' } : root);
+
+  const schemaDocs = await parseXmlFiles(path.join(powerSchoolSourceDir, 'user_schema_root'), powerSchoolSourceDir, errors);
+  const queryDocs = await parseXmlFiles(path.join(powerSchoolSourceDir, 'queries_root'), powerSchoolSourceDir, errors);
+  const permissionDocs = await parseXmlFiles(path.join(powerSchoolSourceDir, 'permissions_root'), powerSchoolSourceDir, errors);
+  const pageCatalogingDocs = await parseJsonFiles(path.join(powerSchoolSourceDir, 'pagecataloging'), powerSchoolSourceDir, errors);
+
+  const tables = validateUserSchema(schemaDocs, errors);
+  const { names: queryNames, references } = validateQueries(queryDocs, errors);
+  const permissions = validatePermissions(permissionDocs, errors);
+  const catalogedPages = validatePageCataloging(pageCatalogingDocs, errors);
+
+  for (const { where, table, field } of references) {
+    if (!isExtensionTable(table)) continue;
+    const fields = tables.get(table.toUpperCase());
+    if (!fields) {
+      errors.push(`${where}: table "${table}" is not defined in user_schema_root`);
+    } else if (!fields.has(field.toUpperCase())) {
+      errors.push(`${where}: field "${field}" is not defined on table "${table}" in user_schema_root`);
+    }
+  }
+
+  for (const { where, page, implied } of permissions) {
+    if (page.startsWith('/') && !await pageExists(page, roots)) {
+      errors.push(`${where}: page "${page}" does not exist in WEB_ROOT`);
+    }
+    for (const value of implied) {
+      const query = /^\/ws\/schema\/query\/(.+)$/.exec(value)?.[1];
+      if (query && !queryNames.has(query)) {
+        errors.push(`${where}: implied query "${query}" is not defined in queries_root`);
+      }
+    }
+  }
+
+  for (const { where, page } of catalogedPages) {
+    if (!await pageExists(page, roots)) {
+      errors.push(`${where}: pageURL "${page}" does not exist in WEB_ROOT`);
+    }
+  }
+
+  return errors;
+}
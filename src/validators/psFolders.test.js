@@ -0,0 +1,191 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import * as fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { validatePowerSchoolFolders } from './psFolders.js';
+
+const fsPromises = fs.promises;
+
+const schemaXml = `
+<extensions>
+  <extension name="U_EXAMPLE" coreTable="STUDENTS" description="Example">
+    <table name="U_EXAMPLE">
+      <field name="NOTE" type="String" maxLength="200" />
+      <field name="REVIEWED" type="Boolean" />
+    </table>
+  </extension>
+</extensions>`;
+
+const queriesXml = `
+<queries>
+  <query name="net.tesd.example.notes" coreTable="students">
+    <args><arg name="dcid" type="primitive" column="STUDENTS.DCID" /></args>
+    <columns>
+      <column column="STUDENTS.DCID">dcid</column>
+      <column column="U_EXAMPLE.NOTE">note</column>
+      <column column="U_EXAMPLE.STUDENTSDCID">studentsdcid</column>
+    </columns>
+    <sql><![CDATA[SELECT 1 FROM dual]]></sql>
+  </query>
+</queries>`;
+
+const permissionsXml = `
+<permission_mappings>
+  <permission name="/admin/example.html">
+    <implies allow="post">/ws/schema/query/net.tesd.example.notes</implies>
+  </permission>
+</permission_mappings>`;
+
+const pageCatalogingJson = JSON.stringify({
+  pages: [{
+    htmlID: 'examplePage',
+    title: 'Example',
+    version: '26.06.04',
+    contextType: 'student',
+    pageURL: '/admin/example.html?frn=~(studentfrn)',
+    parentHTMLID: 'navStudentProfileSection',
+    sortOrder: 200,
+  }],
+});
+
+describe('validatePowerSchoolFolders', () => {
+  let root;
+
+  const write = async (file, contents) => {
+    const filePath = path.join(root, file);
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+    await fsPromises.writeFile(filePath, contents);
+  };
+
+  beforeEach(async () => {
+    root = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'ps-package-folders-'));
+    await write('user_schema_root/example.xml', schemaXml);
+    await write('queries_root/example.named_queries.xml', queriesXml);
+    await write('permissions_root/example.permission_mappings.xml', permissionsXml);
+    await write('pagecataloging/example.json', pageCatalogingJson);
+    await write('WEB_ROOT/admin/example.html', '<html></html>');
+  });
+
+  afterEach(async () => {
+    await fsPromises.rm(root, { recursive: true, force: true });
+  });
+
+  it('should accept consistent folders', async () => {
+    await expect(validatePowerSchoolFolders(root)).resolves.toEqual([]);
+  });
+
+  it('should accept a missing folder', async () => {
+    await fsPromises.rm(path.join(root, 'permissions_root'), { recursive: true });
+    await expect(validatePowerSchoolFolders(root)).resolves.toEqual([]);
+  });
+
+  it('should report malformed files and skip empty ones', async () => {
+    await write('queries_root/empty.xml', '');
+    await write('permissions_root/blank.xml', '\n  \n');
+    await write('user_schema_root/broken.xml', '<extensions><extension>');
+
+    const errors = await validatePowerSchoolFolders(root);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatch(/^user_schema_root\/broken\.xml: malformed XML: /);
+  });
+
+  it('should accept the placeholder files of the project template', async () => {
+    const templateDir = fileURLToPath(new URL('../powerschool', import.meta.url));
+    await expect(validatePowerSchoolFolders(templateDir)).resolves.toEqual([]);
+  });
+
+  it('should check table extension definitions', async () => {
+    await write('user_schema_root/example.xml', `
+      <extensions>
+        <extension coreTable="STUDENTS">
+          <table name="EXAMPLE">
+            <field name="NOTE" type="String" />
+            <field name="NOTE" type="Text" />
+            <field type="Integer" />
+            <field name="CODE" type="String" maxLength="5000" />
+          </table>
+        </extension>
+      </extensions>`);
+    await write('queries_root/example.named_queries.xml', '<queries/>');
+    await fsPromises.rm(path.join(root, 'permissions_root'), { recursive: true });
+
+    expect(await validatePowerSchoolFolders(root)).toEqual([
+      'user_schema_root/example.xml: extensions > extension: missing required attribute "name"',
+      'user_schema_root/example.xml: extensions > extension > table: table name "EXAMPLE" must start with "U_"',
+      'user_schema_root/example.xml: extensions > extension > table > field[1]: String fields need a "maxLength"',
+      'user_schema_root/example.xml: extensions > extension > table > field[2]: duplicate field "NOTE"',
+      'user_schema_root/example.xml: extensions > extension > table > field[2]: type "Text" must be one of: String, Integer, Double, Boolean, Date, Timestamp, CLOB, BLOB',
+      'user_schema_root/example.xml: extensions > extension > table > field[3]: missing required attribute "name"',
+      'user_schema_root/example.xml: extensions > extension > table > field[4]: maxLength "5000" must be an integer from 1 to 4000',
+      'queries_root/example.named_queries.xml: queries: must contain at least one <query>',
+    ]);
+  });
+
+  it('should check named queries and their column references', async () => {
+    await write('queries_root/example.named_queries.xml', `
+      <queries>
+        <query name="notes">
+          <columns>
+            <column column="U_EXAMPLE.MISSING">missing</column>
+            <column column="U_OTHER.NOTE">other</column>
+            <column column="DCID">dcid</column>
+          </columns>
+          <sql> </sql>
+        </query>
+      </queries>`);
+
+    const where = 'queries_root/example.named_queries.xml: queries > query (notes)';
+    expect(await validatePowerSchoolFolders(root)).toEqual([
+      `${where}: name must be namespaced with at least three dot-separated parts (e.g. com.district.plugin.students)`,
+      `${where}: missing <args> (use an empty <args/> when the query takes none)`,
+      `${where} > columns > column[3]: column "DCID" must be in TABLE.FIELD form`,
+      `${where}: missing or empty <sql>`,
+      `${where} > columns > column[1]: field "MISSING" is not defined on table "U_EXAMPLE" in user_schema_root`,
+      `${where} > columns > column[2]: table "U_OTHER" is not defined in user_schema_root`,
+      'permissions_root/example.permission_mappings.xml: permission_mappings > permission: implied query "net.tesd.example.notes" is not defined in queries_root',
+    ]);
+  });
+
+  it('should check that permission pages exist in a WEB_ROOT', async () => {
+    await write('permissions_root/example.permission_mappings.xml', `
+      <permission_mappings>
+        <permission name="/admin/missing.html"><implies allow="post"></implies></permission>
+        <permission name="/admin/built.html"></permission>
+      </permission_mappings>`);
+    await write('dist/WEB_ROOT/admin/built.html', '<html></html>');
+
+    const errors = await validatePowerSchoolFolders(root, {
+      webRoots: [path.join(root, 'WEB_ROOT'), path.join(root, 'dist', 'WEB_ROOT')],
+    });
+
+    expect(errors).toEqual([
+      'permissions_root/example.permission_mappings.xml: permission_mappings > permission[1] > implies: must not be empty',
+      'permissions_root/example.permission_mappings.xml: permission_mappings > permission[1]: page "/admin/missing.html" does not exist in WEB_ROOT',
+    ]);
+  });
+
+  it('should check pagecataloging files and that their pages exist', async () => {
+    await write('pagecataloging/more.json', JSON.stringify({
+      pages: [
+        { htmlID: 'examplePage', title: 'Copy', contextType: 'student', pageURL: '/admin/missing.html', parentHTMLID: 'nav', sortOrder: 1 },
+        { htmlID: 'other', title: 'Other', contextType: 'student', pageURL: 'admin/other.html', parentHTMLID: 'nav', sortOrder: '2', version: 3 },
+      ],
+    }));
+    await write('pagecataloging/broken.json', '{ "pages": ');
+    await write('pagecataloging/flat.json', JSON.stringify({ htmlID: 'flat' }));
+
+    const errors = await validatePowerSchoolFolders(root);
+
+    expect(errors).toEqual([
+      expect.stringMatching(/^pagecataloging\/broken\.json: malformed JSON: /),
+      'pagecataloging/flat.json: must be an object with a "pages" array',
+      'pagecataloging/more.json: pages[1]: duplicate htmlID "examplePage" (also used by pagecataloging/example.json: pages)',
+      'pagecataloging/more.json: pages[2]: "sortOrder" must be a number (got "2")',
+      'pagecataloging/more.json: pages[2]: "version" must be a string (got 3)',
+      'pagecataloging/more.json: pages[2]: pageURL "admin/other.html" must be an absolute path starting with "/"',
+      'pagecataloging/more.json: pages[1]: pageURL "/admin/missing.html" does not exist in WEB_ROOT',
+    ]);
+  });
+});
@@ -0,0 +1,179 @@
+import logger from './utils/logger.js';
+
+export const releaseTypes = ['major', 'minor', 'patch'];
+
+// Versions are dot-separated numbers with an optional pre-release tag, e.g. 26.06.04 or 26.06.04-beta.1.
+export const versionPattern = /^\d+(\.\d+)*(-[0-9a-z]+(\.[0-9a-z]+)*)?$/i;
+
+// plugin.xml versions are dot-separated numbers only; the PowerSchool plugin schema has no pre-release tags.
+export const pluginVersionPattern = /^\d+(\.\d+)*$/;
+
+export const preidPattern = /^[a-z][0-9a-z]*$/i;
+
+const pad = value => String(value).padStart(2, '0');
+const numericParts = (version, count) => {
+  const parts = version.split('.');
+  return parts.length === count && parts.every(part => /^\d+$/.test(part)) ? parts.map(Number) : null;
+};
+
+/**
+ * Returns the ISO 8601 week-based year and week number of a date.
+ * @param {Date} date - The date.
+ * @returns {{year: number, week: number}} The week-based year and week number.
+ */
+export function isoWeek(date) {
+  const day = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  // The Thursday of a week decides which year the week belongs to.
+  day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7));
+  const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+  return { year: day.getUTCFullYear(), week: Math.ceil(((day - yearStart) / 86400000 + 1) / 7) };
+}
+
+/**
+ * Creates a calendar strategy: a date-based period followed by a counter.
+ * The counter increments within a period and resets to 1 when the period changes.
+ * @param {string} format - The format, e.g. YY.MM.PATCH.
+ * @param {(now: Date) => number[]} periodOf - Returns the period parts for a date.
+ * @param {(counter: number) => string} formatCounter - Formats the counter.
+ * @returns {object} The strategy.
+ */
+function calendarStrategy(format, periodOf, formatCounter) {
+  const size = periodOf(new Date()).length;
+  const samePeriod = (parts, now) => periodOf(now).every((value, index) => parts[index] === value);
+  const formatPeriod = (now) => {
+    const [first, ...rest] = periodOf(now);
+    return [first, ...rest.map(pad)].join('.');
+  };
+
+  return {
+    format,
+    matches: version => numericParts(version, size + 1) !== null,
+    first: ({ now }) => `${formatPeriod(now)}.${formatCounter(1)}`,
+    next(version, { now }) {
+      const parts = numericParts(version, size + 1);
+      const counter = samePeriod(parts, now) ? parts[size] + 1 : 1;
+      return `${formatPeriod(now)}.${formatCounter(counter)}`;
+    },
+    isCurrent: (version, { now }) => samePeriod(numericParts(version, size + 1), now),
+  };
+}
+
+/**
+ * The available versioning strategies, by name.
+ * Each one knows whether a version fits its format, the first version of a fresh series,
+ * the release that follows a version, and whether a version is still in the current period.
+ */
+export const strategies = {
+  'calver': calendarStrategy('YY.MM.PATCH', now => [now.getFullYear() % 100, now.getMonth() + 1], pad),
+  'calver-daily': calendarStrategy('YYYY.MM.DD.N', now => [now.getFullYear(), now.getMonth() + 1, now.getDate()], String),
+  'calver-weekly': calendarStrategy('YY.WW.PATCH', (now) => {
+    const { year, week } = isoWeek(now);
+    return [year % 100, week];
+  }, pad),
+  'semver': {
+    format: 'MAJOR.MINOR.PATCH',
+    matches: version => numericParts(version, 3) !== null,
+    first: () => '1.0.0',
+    next(version, { release }) {
+      const [major, minor, patch] = numericParts(version, 3);
+      if (release === 'major') return `${major + 1}.0.0`;
+      if (release === 'minor') return `${major}.${minor + 1}.0`;
+      return `${major}.${minor}.${patch + 1}`;
+    },
+    isCurrent: () => true,
+  },
+};
+
+/**
+ * Splits a version into its release part and optional pre-release tag.
+ * @param {string} version - The version, e.g. 26.06.04-beta.2.
+ * @returns {{base: string, preid: string|null, prerelease: number}} The parts.
+ */
+export function parseVersion(version) {
+  const separator = version.indexOf('-');
+  if (separator === -1) return { base: version, preid: null, prerelease: 0 };
+
+  const tag = version.slice(separator + 1);
+  const match = /^(.+)\.(\d+)$/.exec(tag);
+  return {
+    base: version.slice(0, separator),
+    preid: match ? match[1] : tag,
+    prerelease: match ? Number(match[2]) : 0,
+  };
+}
+
+/**
+ * Returns the version written to plugin.xml: the release part of a pre-release version.
+ * @param {string} version - The version, e.g. 26.06.05-beta.1.
+ * @returns {string} The plugin.xml version, e.g. 26.06.05.
+ */
+export function pluginVersionOf(version) {
+  return parseVersion(version).base;
+}
+
+/**
+ * Checks versioning options before any version is computed.
+ * @param {object} options - The options given to nextVersion.
+ * @throws {Error} Listing every invalid option.
+ */
+function validateVersionOptions({ strategy, release, preid, version }) {
+  const errors = [];
+  if (!Object.hasOwn(strategies, strategy)) {
+    errors.push(`Unknown version strategy "${strategy}" (expected one of: ${Object.keys(strategies).join(', ')})`);
+  }
+  if (!releaseTypes.includes(release)) {
+    errors.push(`Invalid release type "${release}" (expected one of: ${releaseTypes.join(', ')})`);
+  }
+  if (preid !== undefined && !preidPattern.test(preid)) {
+    errors.push(`Invalid pre-release tag "${preid}" (expected letters and digits starting with a letter, e.g. beta)`);
+  }
+  if (version !== undefined && !versionPattern.test(version)) {
+    errors.push(`Invalid version "${version}" (expected dot-separated numbers with an optional pre-release tag, e.g. 26.06.04-beta.1)`);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid versioning options:\n  ${errors.join('\n  ')}`);
+  }
+}
+
+/**
+ * Computes the next version.
+ * An explicit `version` is used as-is. With `preid`, the next version becomes a pre-release
+ * (26.06.05-beta.1), and another pre-release with the same tag only increments its number
+ * (26.06.05-beta.2). Without `preid`, a pre-release of the current period is released as its
+ * base version (26.06.05). A pre-release of a past period moves to the current one either way
+ * (26.05.05-beta.2 becomes 26.06.01-beta.1 in June). A version that does not fit the strategy, e.g. after switching
+ * strategies, starts a fresh series.
+ * @param {string} currentVersion - The current version.
+ * @param {object} [options] - Versioning options.
+ * @param {string} [options.strategy] - One of the strategies (defaults to 'calver').
+ * @param {string} [options.release] - For semver: 'major', 'minor' or 'patch' (defaults to 'patch').
+ * @param {string} [options.preid] - A pre-release tag, e.g. 'beta'.
+ * @param {string} [options.version] - An explicit version that overrides the strategy.
+ * @param {Date} [options.now] - The date to version against (defaults to now).
+ * @returns {string} The new version.
+ * @throws {Error} If any option is invalid.
+ */
+export function nextVersion(currentVersion, options = {}) {
+  const { strategy = 'calver', release = 'patch', preid, version, now = new Date() } = options;
+  validateVersionOptions({ strategy, release, preid, version });
+  if (version !== undefined) return version;
+
+  const selected = strategies[strategy];
+  const current = parseVersion(String(currentVersion ?? ''));
+  const context = { release, now };
+
+  if (!selected.matches(current.base)) {
+    logger.warn(`Could not parse current version "${currentVersion}" as ${selected.format}. Starting a new ${strategy} version.`);
+    const first = selected.first(context);
+    return preid ? `${first}-${preid}.1` : first;
+  }
+
+  const inPeriod = current.preid && selected.isCurrent(current.base, context);
+  if (preid && current.preid === preid && inPeriod) {
+    return `${current.base}-${preid}.${current.prerelease + 1}`;
+  }
+  const base = inPeriod
+    ? current.base
+    : selected.next(current.base, context);
+  return preid ? `${base}-${preid}.1` : base;
+}
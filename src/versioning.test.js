@@ -0,0 +1,74 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { isoWeek, nextVersion, parseVersion } from './versioning.js';
+
+const june15 = new Date(2026, 5, 15);
+
+describe('nextVersion', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('should bump calver within and across months', () => {
+    expect(nextVersion('26.06.04', { now: june15 })).toBe('26.06.05');
+    expect(nextVersion('26.05.09', { now: june15 })).toBe('26.06.01');
+    expect(nextVersion('25.06.09', { now: june15 })).toBe('26.06.01');
+  });
+
+  it('should bump daily and weekly calver', () => {
+    expect(nextVersion('2026.06.15.3', { strategy: 'calver-daily', now: june15 })).toBe('2026.06.15.4');
+    expect(nextVersion('2026.06.14.3', { strategy: 'calver-daily', now: june15 })).toBe('2026.06.15.1');
+    expect(nextVersion('26.25.01', { strategy: 'calver-weekly', now: june15 })).toBe('26.25.02');
+    expect(nextVersion('26.24.07', { strategy: 'calver-weekly', now: june15 })).toBe('26.25.01');
+  });
+
+  it('should bump semver by release type', () => {
+    expect(nextVersion('1.2.3', { strategy: 'semver' })).toBe('1.2.4');
+    expect(nextVersion('1.2.3', { strategy: 'semver', release: 'minor' })).toBe('1.3.0');
+    expect(nextVersion('1.2.3', { strategy: 'semver', release: 'major' })).toBe('2.0.0');
+  });
+
+  it('should make and release pre-releases', () => {
+    expect(nextVersion('26.06.04', { preid: 'beta', now: june15 })).toBe('26.06.05-beta.1');
+    expect(nextVersion('26.06.05-beta.1', { preid: 'beta', now: june15 })).toBe('26.06.05-beta.2');
+    expect(nextVersion('26.06.05-beta.2', { preid: 'rc', now: june15 })).toBe('26.06.05-rc.1');
+    expect(nextVersion('26.06.05-beta.2', { now: june15 })).toBe('26.06.05');
+    expect(nextVersion('26.05.05-beta.2', { now: june15 })).toBe('26.06.01');
+    expect(nextVersion('26.05.05-beta.2', { preid: 'beta', now: june15 })).toBe('26.06.01-beta.1');
+    expect(nextVersion('2026.06.14.1-rc.1', { strategy: 'calver-daily', preid: 'rc', now: june15 })).toBe('2026.06.15.1-rc.1');
+    expect(nextVersion('2.0.0-beta.3', { strategy: 'semver' })).toBe('2.0.0');
+  });
+
+  it('should use an explicit version as-is', () => {
+    expect(nextVersion('26.06.04', { version: '26.06.10-hotfix.1' })).toBe('26.06.10-hotfix.1');
+  });
+
+  it('should start a new series when the current version does not fit the strategy', () => {
+    expect(nextVersion('26.06.04', { strategy: 'calver-daily', now: june15 })).toBe('2026.06.15.1');
+    expect(nextVersion('not-a-version', { strategy: 'semver' })).toBe('1.0.0');
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  it('should list every invalid option', () => {
+    expect(() => nextVersion('1.0.0', { strategy: 'random', release: 'huge', preid: 'beta.1', version: 'v2' })).toThrow(
+      'Invalid versioning options:\n'
+      + '  Unknown version strategy "random" (expected one of: calver, calver-daily, calver-weekly, semver)\n'
+      + '  Invalid release type "huge" (expected one of: major, minor, patch)\n'
+      + '  Invalid pre-release tag "beta.1" (expected letters and digits starting with a letter, e.g. beta)\n'
+      + '  Invalid version "v2" (expected dot-separated numbers with an optional pre-release tag, e.g. 26.06.04-beta.1)',
+    );
+  });
+});
+
+describe('parseVersion', () => {
+  it('should split off the pre-release tag', () => {
+    expect(parseVersion('26.06.05-beta.2')).toEqual({ base: '26.06.05', preid: 'beta', prerelease: 2 });
+    expect(parseVersion('26.06.05')).toEqual({ base: '26.06.05', preid: null, prerelease: 0 });
+  });
+});
+
+describe('isoWeek', () => {
+  it('should use the ISO week-based year', () => {
+    expect(isoWeek(new Date(2027, 0, 1))).toEqual({ year: 2026, week: 53 });
+    expect(isoWeek(new Date(2024, 11, 30))).toEqual({ year: 2025, week: 1 });
+  });
+});
@@ -0,0 +1,232 @@
+import * as fs from 'node:fs';
+import path from 'node:path';
+import xml2js from 'xml2js';
+import { frontendDirOf } from './adapters.js';
+import { envSourceDirOf, pluginXmlOverlayPathOf } from './environments.js';
+import { archivePathOf, classifyPath } from './fileRules.js';
+import {
+  copyFrontendBuildContents,
+  createArchives,
+  destinationFor,
+  ensureDirectoriesExist,
+  prepareBuildDirectory,
+  removeJunk,
+  writeBuildXml,
+} from './main.js';
+import { isWithin } from './utils/fileOps.js';
+import logger from './utils/logger.js';
+
+const fsPromises = fs.promises;
+
+/**
+ * Reads and parses the project's plugin.xml.
+ * @param {object} ctx - The build context.
+ * @returns {Promise<object>} The parsed plugin.xml object.
+ */
+async function readPluginXml(ctx) {
+  const xmlString = await fsPromises.readFile(path.join(ctx.config.projectRoot, 'plugin.xml'), 'utf8');
+  return xml2js.parseStringPromise(xmlString);
+}
+
+/**
+ * Returns the front-end build output directory to watch, if it lives outside the build directory.
+ * @param {object} config - The resolved configuration.
+ * @returns {string|null} The directory, or null if there is nothing to watch.
+ */
+function watchedFrontendDir(config) {
+  const dir = frontendDirOf(config);
+  return dir && !isWithin(dir, config.buildDir) && !isWithin(config.buildDir, dir) ? dir : null;
+}
+
+/**
+ * Maps a changed source path to where a full build would put it, following the same rules as
+ * the build: PowerSchool folders are merged into the build or schema directory. The front-end
+ * build output is not mapped file by file; it is copied again by its adapter.
+ * @param {object} ctx - The build context.
+ * @param {string} sourcePath - The changed file or directory.
+ * @returns {string|null} The destination, or null if the path is not part of the merged folders.
+ */
+export function destinationOf(ctx, sourcePath) {
+  const { config } = ctx;
+  if (sourcePath.includes(`${path.sep}examples${path.sep}`)) return null;
+
+  for (const sourceDir of [config.powerSchoolSourceDir, envSourceDirOf(config)]) {
+    if (!sourceDir || !isWithin(sourcePath, sourceDir)) continue;
+    const [folder, ...rest] = path.relative(sourceDir, sourcePath).split(path.sep);
+    if (!config.psFolders.includes(folder)) return null;
+    // dist/WEB_ROOT also holds the front-end build, so it is never removed as a whole.
+    if (rest.length === 0 && folder === 'WEB_ROOT') return null;
+    return path.join(destinationFor(config, folder), ...rest);
+  }
+  return null;
+}
+
+/**
+ * Lists the source paths a build merges into the same destination as a changed path: the path
+ * in the PowerSchool source directory and, with an environment, the one in its overlay folder,
+ * which is merged last.
+ * @param {object} config - The resolved configuration.
+ * @param {string} sourcePath - The changed file or directory.
+ * @returns {string[]} The source paths, in merge order.
+ */
+function layersOf(config, sourcePath) {
+  const envSourceDir = envSourceDirOf(config);
+  if (!envSourceDir) return [sourcePath];
+  const relativePath = isWithin(sourcePath, envSourceDir)
+    ? path.relative(envSourceDir, sourcePath)
+    : path.relative(config.powerSchoolSourceDir, sourcePath);
+  return [path.join(config.powerSchoolSourceDir, relativePath), path.join(envSourceDir, relativePath)];
+}
+
+/**
+ * Whether a build output file would be removed by a full build's junk removal.
+ * @param {object} ctx - The build context.
+ * @param {string} destination - The path in the build output.
+ * @returns {boolean} True for junk and excluded files, and the template WEB_ROOT/index.html.
+ */
+function isJunk(ctx, destination) {
+  const { config } = ctx;
+  return classifyPath(config, archivePathOf(config, destination)) === 'exclude'
+    || destination === path.join(config.buildDir, 'WEB_ROOT', 'index.html');
+}
+
+/**
+ * Brings the build output up to date for a set of changed source paths: changed files are
+ * copied, deleted ones are removed from the output, and junk files are left out. A file in the
+ * environment's overlay folder wins over the regular one, which comes back when the overlay
+ * file is deleted.
+ * @param {object} ctx - The build context.
+ * @param {string[]} sourcePaths - The changed files or directories.
+ * @returns {Promise<{copied: string[], removed: string[]}>} The destinations copied to and removed.
+ */
+export async function syncChanges(ctx, sourcePaths) {
+  const { config, ops } = ctx;
+  const copied = [];
+  const removed = [];
+
+  for (const sourcePath of [...new Set(sourcePaths)].sort()) {
+    const destination = destinationOf(ctx, sourcePath);
+    if (!destination) continue;
+
+    const layers = [];
+    for (const layer of layersOf(config, sourcePath)) {
+      try {
+        layers.push({ path: layer, stat: await fsPromises.stat(layer) });
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    if (layers.length === 0) {
+      if (await ops.exists(destination)) {
+        await ops.rm(destination, { recursive: true, force: true });
+        removed.push(destination);
+      }
+      continue;
+    }
+
+    if (layers.some(layer => layer.stat.isDirectory())) {
+      for (const layer of layers.filter(layer => layer.stat.isDirectory())) {
+        await ops.cp(layer.path, destination, { recursive: true });
+      }
+      await removeJunk(ctx, destination);
+      copied.push(destination);
+    } else if (isJunk(ctx, destination)) {
+      if (await ops.exists(destination)) {
+        await ops.rm(destination, { force: true });
+        removed.push(destination);
+      }
+    } else {
+      await ops.mkdir(path.dirname(destination), { recursive: true });
+      await ops.cp(layers.at(-1).path, destination);
+      copied.push(destination);
+    }
+  }
+  return { copied, removed };
+}
+
+/**
+ * Watches the PowerSchool folders (and the environment's overlays), plugin.xml and the front-end build output, and keeps the
+ * build and schema directories in sync without bumping the version. The output is fully
+ * synced once at the start; after that only changed paths are copied or removed, in batches
+ * collected over `debounceMs`. With `zip`, the archives for the current version are rebuilt
+ * after each batch.
+ * @param {object} ctx - The build context.
+ * @param {object} [options] - Watch options.
+ * @param {boolean} [options.zip] - Rebuild the archives after each batch of changes.
+ * @param {number} [options.debounceMs] - How long to wait for further changes before syncing.
+ * @returns {Promise<{close: () => Promise<void>, idle: () => Promise<void>}>} Stops watching, or waits for pending syncs.
+ */
+export async function startWatching(ctx, { zip = false, debounceMs = 300 } = {}) {
+  const { config } = ctx;
+  let psXML = await readPluginXml(ctx);
+  const frontendDir = watchedFrontendDir(config);
+
+  await ensureDirectoriesExist(ctx);
+  await writeBuildXml(ctx, psXML);
+  await prepareBuildDirectory(ctx);
+  await copyFrontendBuildContents(ctx, psXML);
+  if (zip) await createArchives(ctx, psXML);
+
+  const pluginXmlPath = path.join(config.projectRoot, 'plugin.xml');
+  const overlayPath = pluginXmlOverlayPathOf(config);
+  const pending = new Set();
+  let timer = null;
+  let running = Promise.resolve();
+
+  const flush = () => {
+    timer = null;
+    const changed = [...pending];
+    pending.clear();
+    running = running.then(async () => {
+      if (changed.includes(pluginXmlPath) || changed.includes(overlayPath)) {
+        psXML = await readPluginXml(ctx);
+        await writeBuildXml(ctx, psXML);
+        logger.info('Synced plugin.xml');
+      }
+      const { copied, removed } = await syncChanges(ctx, changed);
+      copied.forEach(destination => logger.info(`  + ${path.relative(config.projectRoot, destination)}`));
+      removed.forEach(destination => logger.info(`  - ${path.relative(config.projectRoot, destination)}`));
+      if (frontendDir && changed.some(changedPath => isWithin(changedPath, frontendDir))) {
+        await copyFrontendBuildContents(ctx, psXML);
+      }
+      if (zip) await createArchives(ctx, psXML);
+    }).catch((error) => {
+      // Keep watching: the next change may fix whatever went wrong.
+      logger.error(`Sync failed: ${error.message}`);
+    });
+  };
+
+  const onChange = dir => (eventType, fileName) => {
+    pending.add(fileName ? path.join(dir, fileName.toString()) : dir);
+    clearTimeout(timer);
+    timer = setTimeout(flush, debounceMs);
+  };
+
+  const watchers = [];
+  const dirs = [config.powerSchoolSourceDir, envSourceDirOf(config), frontendDir].filter(Boolean);
+  for (const dir of dirs) {
+    try {
+      watchers.push(fs.watch(dir, { recursive: true }, onChange(dir)));
+      logger.info(`Watching ${path.relative(config.projectRoot, dir)}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      logger.warn(`Not watching ${path.relative(config.projectRoot, dir)}: it does not exist`);
+    }
+  }
+  // Watch the project root rather than the files: editors that save by renaming would replace the watched file.
+  const pluginXmlNames = [pluginXmlPath, overlayPath].filter(Boolean).map(filePath => path.basename(filePath));
+  watchers.push(fs.watch(config.projectRoot, (eventType, fileName) => {
+    const name = fileName?.toString() ?? 'plugin.xml';
+    if (pluginXmlNames.includes(name)) onChange(config.projectRoot)(eventType, name);
+  }));
+
+  return {
+    async close() {
+      watchers.forEach(watcher => watcher.close());
+      if (timer) flush();
+      await running;
+    },
+    idle: () => running,
+  };
+}
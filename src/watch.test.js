@@ -0,0 +1,127 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { resolveConfig } from './config.js';
+import { createContext } from './main.js';
+import { destinationOf, startWatching, syncChanges } from './watch.js';
+
+const fsPromises = fs.promises;
+
+describe('watch mode', () => {
+  let root;
+  let ctx;
+
+  const source = (...parts) => path.join(root, 'src', 'powerschool', ...parts);
+  const write = async (filePath, contents) => {
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+    await fsPromises.writeFile(filePath, contents);
+  };
+  const exists = filePath => fsPromises.access(filePath).then(() => true, () => false);
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    root = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'ps-package-watch-'));
+    await write(path.join(root, 'plugin.xml'), '<plugin name="Test Plugin" version="26.06.04"><publisher name="T"><contact email="t@example.com"/></publisher></plugin>');
+    await write(source('WEB_ROOT', 'admin', 'page.html'), 'page');
+    await write(source('MessageKeys', 'keys.US_en.properties'), 'key=value');
+    ctx = createContext(resolveConfig({ projectType: 'svelte' }, root));
+  });
+
+  afterEach(async () => {
+    await fsPromises.rm(root, { recursive: true, force: true });
+  });
+
+  it('should map source paths to their place in the build output', () => {
+    const { config } = ctx;
+    expect(destinationOf(ctx, source('WEB_ROOT', 'admin', 'page.html'))).toBe(path.join(config.buildDir, 'WEB_ROOT', 'admin', 'page.html'));
+    expect(destinationOf(ctx, source('MessageKeys', 'keys.US_en.properties'))).toBe(path.join(config.schemaDir, 'MessageKeys', 'keys.US_en.properties'));
+    expect(destinationOf(ctx, path.join(root, 'public', 'build', 'app.js'))).toBeNull();
+    expect(destinationOf(ctx, source('WEB_ROOT'))).toBeNull();
+    expect(destinationOf(ctx, source('notes.txt'))).toBeNull();
+    expect(destinationOf(ctx, path.join(root, 'src', 'App.vue'))).toBeNull();
+  });
+
+  it('should copy changed files, remove deleted ones and skip junk', async () => {
+    const { buildDir } = ctx.config;
+    await write(path.join(buildDir, 'WEB_ROOT', 'admin', 'old.html'), 'old');
+    await write(source('WEB_ROOT', 'admin', 'new.html'), 'new');
+    await write(source('WEB_ROOT', 'admin', '.DS_Store'), 'junk');
+    await write(path.join(buildDir, 'WEB_ROOT', 'admin', '.DS_Store'), 'junk');
+
+    const result = await syncChanges(ctx, [
+      source('WEB_ROOT', 'admin', 'new.html'),
+      source('WEB_ROOT', 'admin', 'old.html'),
+      source('WEB_ROOT', 'admin', '.DS_Store'),
+    ]);
+
+    expect(result).toEqual({
+      copied: [path.join(buildDir, 'WEB_ROOT', 'admin', 'new.html')],
+      removed: [path.join(buildDir, 'WEB_ROOT', 'admin', '.DS_Store'), path.join(buildDir, 'WEB_ROOT', 'admin', 'old.html')],
+    });
+    expect(await fsPromises.readFile(path.join(buildDir, 'WEB_ROOT', 'admin', 'new.html'), 'utf8')).toBe('new');
+  });
+
+  it('should let the environment overlay win and fall back when it is deleted', async () => {
+    const envCtx = createContext(resolveConfig({ projectType: 'svelte', env: 'test' }, root));
+    const overlay = path.join(root, 'src', 'powerschool.test', 'WEB_ROOT', 'admin', 'page.html');
+    const destination = path.join(envCtx.config.buildDir, 'WEB_ROOT', 'admin', 'page.html');
+    await write(overlay, 'test page');
+
+    expect(destinationOf(envCtx, overlay)).toBe(destination);
+    await syncChanges(envCtx, [source('WEB_ROOT', 'admin', 'page.html')]);
+    expect(await fsPromises.readFile(destination, 'utf8')).toBe('test page');
+
+    await fsPromises.rm(overlay);
+    await syncChanges(envCtx, [overlay]);
+    expect(await fsPromises.readFile(destination, 'utf8')).toBe('page');
+  });
+
+  it('should sync the output at the start and then follow changes', async () => {
+    const { buildDir, schemaDir } = ctx.config;
+    await write(path.join(root, 'public', 'build', 'app.js'), 'v1');
+    const watcher = await startWatching(ctx, { debounceMs: 20 });
+    try {
+      expect(await fsPromises.readFile(path.join(buildDir, 'WEB_ROOT', 'admin', 'page.html'), 'utf8')).toBe('page');
+      expect(await fsPromises.readFile(path.join(buildDir, 'WEB_ROOT', 'Test_Plugin', 'app.js'), 'utf8')).toBe('v1');
+      expect(await exists(path.join(schemaDir, 'MessageKeys', 'keys.US_en.properties'))).toBe(true);
+      expect(await fsPromises.readFile(path.join(schemaDir, 'plugin.xml'), 'utf8')).toContain('name="Test Plugin DATA"');
+
+      await fsPromises.writeFile(source('WEB_ROOT', 'admin', 'page.html'), 'changed');
+      await fsPromises.rm(source('MessageKeys', 'keys.US_en.properties'));
+      await fsPromises.writeFile(path.join(root, 'public', 'build', 'app.js'), 'v2');
+
+      await vi.waitFor(async () => {
+        await watcher.idle();
+        expect(await fsPromises.readFile(path.join(buildDir, 'WEB_ROOT', 'admin', 'page.html'), 'utf8')).toBe('changed');
+        expect(await exists(path.join(schemaDir, 'MessageKeys', 'keys.US_en.properties'))).toBe(false);
+        expect(await fsPromises.readFile(path.join(buildDir, 'WEB_ROOT', 'Test_Plugin', 'app.js'), 'utf8')).toBe('v2');
+      }, { timeout: 5000, interval: 50 });
+    } finally {
+      await watcher.close();
+    }
+    expect(await fsPromises.readFile(path.join(root, 'plugin.xml'), 'utf8')).toContain('version="26.06.04"');
+  });
+
+  it('should keep following plugin.xml when an editor saves it by renaming', async () => {
+    const watcher = await startWatching(ctx, { debounceMs: 20 });
+    const pluginXmlPath = path.join(root, 'plugin.xml');
+    const save = async (name) => {
+      const xml = (await fsPromises.readFile(pluginXmlPath, 'utf8')).replace(/name="[^"]*"/, `name="${name}"`);
+      await fsPromises.writeFile(`${pluginXmlPath}.tmp`, xml);
+      await fsPromises.rename(`${pluginXmlPath}.tmp`, pluginXmlPath);
+    };
+    try {
+      for (const name of ['Renamed Once', 'Renamed Twice']) {
+        await save(name);
+        await vi.waitFor(async () => {
+          await watcher.idle();
+          expect(await fsPromises.readFile(path.join(ctx.config.buildDir, 'plugin.xml'), 'utf8')).toContain(`name="${name}"`);
+        }, { timeout: 5000, interval: 50 });
+      }
+    } finally {
+      await watcher.close();
+    }
+  });
+});
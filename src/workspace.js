@@ -0,0 +1,173 @@
+import * as fs from 'node:fs';
+import path from 'node:path';
+import { globToRegExp } from './utils/glob.js';
+
+const fsPromises = fs.promises;
+
+const unquote = value => value.trim().replace(/^(['"])(.*)\1$/, '$2');
+
+/**
+ * Reads the `packages` list of a pnpm-workspace.yaml file. Only the block and flow list forms
+ * pnpm documents are understood, which avoids depending on a YAML parser.
+ * @param {string} text - The contents of pnpm-workspace.yaml.
+ * @returns {string[]} The package patterns.
+ */
+export function parsePnpmWorkspace(text) {
+  const patterns = [];
+  let inPackages = false;
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/(^|\s)#.*$/, '').trimEnd();
+    if (line.trim() === '') continue;
+    if (/^\S/.test(line)) {
+      const flow = /^packages\s*:\s*\[(.*)\]$/.exec(line);
+      if (flow) patterns.push(...flow[1].split(',').map(unquote).filter(Boolean));
+      inPackages = /^packages\s*:$/.test(line);
+      continue;
+    }
+    const item = inPackages && /^\s+-\s*(.+)$/.exec(line);
+    if (item) patterns.push(unquote(item[1]));
+  }
+  return patterns;
+}
+
+/**
+ * Reads the workspace package patterns of a repository, from pnpm-workspace.yaml and from the
+ * `workspaces` field of package.json (npm, Yarn and Bun).
+ * @param {string} root - The repository root.
+ * @returns {Promise<string[]>} The package patterns; a leading `!` excludes matches.
+ */
+export async function readWorkspacePatterns(root) {
+  const patterns = [];
+  try {
+    patterns.push(...parsePnpmWorkspace(await fsPromises.readFile(path.join(root, 'pnpm-workspace.yaml'), 'utf8')));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  let packageJson;
+  try {
+    packageJson = JSON.parse(await fsPromises.readFile(path.join(root, 'package.json'), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return patterns;
+    throw new Error(`Could not parse package.json: ${error.message}`);
+  }
+  const workspaces = Array.isArray(packageJson.workspaces) ? packageJson.workspaces : packageJson.workspaces?.packages;
+  if (Array.isArray(workspaces)) patterns.push(...workspaces.filter(pattern => typeof pattern === 'string'));
+  return patterns;
+}
+
+/**
+ * Lists the folders below a root that match a workspace pattern, skipping node_modules and
+ * hidden folders.
+ * @param {string} root - The repository root.
+ * @param {string} pattern - The workspace pattern, e.g. `packages/*`.
+ * @returns {Promise<string[]>} The matching folders, relative to the root with forward slashes.
+ */
+async function matchFolders(root, pattern) {
+  const segments = pattern.replace(/^\.\//, '').replace(/^\/+|\/+$/g, '').split('/');
+  const firstGlob = segments.findIndex(segment => /[*?[{]/.test(segment));
+  const base = firstGlob === -1 ? segments : segments.slice(0, firstGlob);
+  const maxDepth = segments.some(segment => segment.includes('**')) ? Infinity : segments.length;
+  const regExp = globToRegExp(`/${segments.join('/')}`);
+
+  const found = [];
+  const visit = async (relativeDir, depth) => {
+    if (regExp.test(relativeDir)) found.push(relativeDir);
+    if (depth >= maxDepth) return;
+    let entries;
+    try {
+      entries = await fsPromises.readdir(path.join(root, relativeDir), { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+      await visit(relativeDir ? `${relativeDir}/${entry.name}` : entry.name, depth + 1);
+    }
+  };
+  await visit(base.join('/'), base.length);
+  return found;
+}
+
+/**
+ * Finds the workspace packages of a repository that are PowerSchool plugins, i.e. that have
+ * both a package.json and a plugin.xml.
+ * @param {string} root - The repository root.
+ * @returns {Promise<Array<{dir: string, relativeDir: string, name: string}>>} The packages, sorted by folder.
+ * @throws {Error} If the repository declares no workspaces.
+ */
+export async function findWorkspacePackages(root) {
+  const patterns = await readWorkspacePatterns(root);
+  if (patterns.length === 0) {
+    throw new Error('No workspaces found (expected a pnpm-workspace.yaml or a "workspaces" field in package.json)');
+  }
+
+  const folders = new Set();
+  for (const pattern of patterns.filter(pattern => !pattern.startsWith('!'))) {
+    for (const folder of await matchFolders(root, pattern)) folders.add(folder);
+  }
+  const excluded = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => globToRegExp(`/${pattern.slice(1).replace(/^\.?\//, '')}`));
+
+  const packages = [];
+  for (const relativeDir of [...folders].sort()) {
+    if (relativeDir === '' || excluded.some(regExp => regExp.test(relativeDir))) continue;
+    const dir = path.join(root, relativeDir);
+    let packageJson;
+    try {
+      await fsPromises.access(path.join(dir, 'plugin.xml'));
+      packageJson = JSON.parse(await fsPromises.readFile(path.join(dir, 'package.json'), 'utf8'));
+    } catch {
+      continue;
+    }
+    packages.push({ dir, relativeDir, name: packageJson.name ?? path.basename(dir) });
+  }
+  return packages;
+}
+
+/**
+ * Calls an async function for each item, with at most `limit` calls running at a time.
+ * @param {Array<*>} items - The items.
+ * @param {number} limit - The maximum number of concurrent calls.
+ * @param {(item: *, index: number) => Promise<*>} fn - The function to call.
+ * @returns {Promise<Array<*>>} The results, in the order of the items.
+ */
+export async function mapConcurrently(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+/**
+ * Formats the results of a workspace run as a table.
+ * @param {Array<{relativeDir: string, name: string, exitCode: number, version: ?{from: string, to: string}, archives: Array<object>, duration: number, error: ?Error}>} results - The result of each package.
+ * @returns {string} The summary table.
+ */
+export function formatWorkspaceSummary(results) {
+  const rows = results.map(result => [
+    result.relativeDir,
+    result.name,
+    !result.version ? '-' : result.version.from === result.version.to ? result.version.to : `${result.version.from} -> ${result.version.to}`,
+    String(result.archives.filter(archive => !archive.skipped).length),
+    `${(result.duration / 1000).toFixed(1)}s`,
+    result.exitCode === 0 ? 'ok' : `FAILED${result.error ? `: ${result.error.message.split('\n')[0]}` : ''}`,
+  ]);
+  const header = ['Package', 'Name', 'Version', 'Archives', 'Time', 'Result'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const formatRow = row => row.map((cell, column) => (column === row.length - 1 ? cell : cell.padEnd(widths[column]))).join('  ');
+
+  const failed = results.filter(result => result.exitCode !== 0).length;
+  return [
+    formatRow(header),
+    formatRow(widths.map(width => '-'.repeat(width))),
+    ...rows.map(formatRow),
+    '',
+    `${results.length} package(s): ${results.length - failed} succeeded, ${failed} failed`,
+  ].join('\n');
+}
@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import * as fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { findWorkspacePackages, formatWorkspaceSummary, mapConcurrently, parsePnpmWorkspace } from './workspace.js';
+
+const fsPromises = fs.promises;
+
+describe('parsePnpmWorkspace', () => {
+  it('should read block and flow package lists', () => {
+    const yaml = [
+      '# plugins and shared code',
+      'packages:',
+      '  - "plugins/*"',
+      "  - 'apps/**' # nested apps",
+      '  - \'!**/test/**\'',
+      'catalog:',
+      '  - not-a-package',
+    ].join('\n');
+    expect(parsePnpmWorkspace(yaml)).toEqual(['plugins/*', 'apps/**', '!**/test/**']);
+    expect(parsePnpmWorkspace('packages: [plugins/*, "tools"]\n')).toEqual(['plugins/*', 'tools']);
+  });
+});
+
+describe('findWorkspacePackages', () => {
+  let root;
+
+  const addPackage = async (relativeDir, { name = path.basename(relativeDir), plugin = true } = {}) => {
+    const dir = path.join(root, relativeDir);
+    await fsPromises.mkdir(dir, { recursive: true });
+    await fsPromises.writeFile(path.join(dir, 'package.json'), JSON.stringify({ name }));
+    if (plugin) await fsPromises.writeFile(path.join(dir, 'plugin.xml'), '<plugin/>');
+  };
+
+  beforeEach(async () => {
+    root = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'ps-package-workspace-'));
+  });
+
+  afterEach(async () => {
+    await fsPromises.rm(root, { recursive: true, force: true });
+  });
+
+  it('should find the packages with a plugin.xml from package.json workspaces', async () => {
+    await fsPromises.writeFile(path.join(root, 'package.json'), JSON.stringify({ workspaces: ['plugins/*', 'libs/shared'] }));
+    await addPackage('plugins/attendance', { name: '@district/attendance' });
+    await addPackage('plugins/grades');
+    await addPackage('plugins/grades/node_modules/dep');
+    await addPackage('libs/shared', { plugin: false });
+
+    expect(await findWorkspacePackages(root)).toEqual([
+      { dir: path.join(root, 'plugins/attendance'), relativeDir: 'plugins/attendance', name: '@district/attendance' },
+      { dir: path.join(root, 'plugins/grades'), relativeDir: 'plugins/grades', name: 'grades' },
+    ]);
+  });
+
+  it('should read pnpm-workspace.yaml, with nested globs and exclusions', async () => {
+    await fsPromises.writeFile(path.join(root, 'pnpm-workspace.yaml'), 'packages:\n  - "apps/**"\n  - "!apps/legacy/**"\n');
+    await addPackage('apps/district/enrollment');
+    await addPackage('apps/legacy/old');
+
+    expect((await findWorkspacePackages(root)).map(pkg => pkg.relativeDir)).toEqual(['apps/district/enrollment']);
+  });
+
+  it('should fail without any workspaces', async () => {
+    await fsPromises.writeFile(path.join(root, 'package.json'), JSON.stringify({ name: 'single' }));
+    await expect(findWorkspacePackages(root)).rejects.toThrow('No workspaces found');
+  });
+});
+
+describe('mapConcurrently', () => {
+  it('should keep the order of the items and the concurrency limit', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const results = await mapConcurrently([30, 10, 20, 5], 2, async (delay, index) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      running--;
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2, 3]);
+    expect(maxRunning).toBe(2);
+  });
+});
+
+describe('formatWorkspaceSummary', () => {
+  it('should list each package with its version, archives, time and result', () => {
+    const summary = formatWorkspaceSummary([
+      { relativeDir: 'plugins/attendance', name: 'attendance', exitCode: 0, version: { from: '26.06.04', to: '26.06.05' }, archives: [{ name: 'a.zip' }, { name: 'DATA-a.zip', skipped: true }], duration: 1234, error: null },
+      { relativeDir: 'plugins/grades', name: 'grades', exitCode: 1, version: null, archives: [], duration: 50, error: new Error('plugin.xml is missing\n  details') },
+    ]);
+
+    expect(summary).toBe([
+      'Package             Name        Version               Archives  Time  Result',
+      '------------------  ----------  --------------------  --------  ----  -----------------------------',
+      'plugins/attendance  attendance  26.06.04 -> 26.06.05  1         1.2s  ok',
+      'plugins/grades      grades      -                     0         0.1s  FAILED: plugin.xml is missing',
+      '',
+      '2 package(s): 1 succeeded, 1 failed',
+    ].join('\n'));
+  });
+});